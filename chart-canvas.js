@@ -0,0 +1,199 @@
+// chart-canvas.js
+// Draws the images of chart attachments ('chart.png', 'setup.png', 'indicator.png', ...) on a <canvas>,
+// so a lounge never needs image assets or the network to show them.
+//
+// Candles come from MessagePool.getCandles(token, { time, timeframe }), i.e. the same price timeline the
+// messages quote. Tokens MessagePool does not know (imported history) get a seeded random walk instead.
+// The same attachment always draws the same picture.
+//
+// Public API:
+//   ChartCanvas.candlesFor(attachment, time, count)  -> [{ time, open, high, low, close }]
+//   ChartCanvas.drawCandles(canvas, candles, opts)   opts: { title, subtitle, ma (moving average length, 0 = none), theme }
+//   ChartCanvas.drawAttachment(canvas, attachment, time, opts)
+//   ChartCanvas.toDataURL(attachment, time, opts)    opts: { width, height } (for <img> / the lightbox)
+
+(function globalChartCanvas(){
+  if(window.ChartCanvas) return;
+
+  const THEME = {
+    bg: '#1c1f26', grid: '#2a303c', text: '#a0a6b5', title: '#e6e9ef',
+    up: '#22c55e', down: '#ef4444', ma: '#f59e0b'
+  };
+
+  /* ---------- Helpers ---------- */
+  function strHash(s){
+    s = String(s || '');
+    let h = 2166136261 >>> 0;
+    for(let i=0;i<s.length;i++){ h ^= s.charCodeAt(i); h = Math.imul(h, 16777619) >>> 0; }
+    return h >>> 0;
+  }
+  function xorshift32(seed){
+    let x = (seed >>> 0) || 0x811c9dc5;
+    return function(){
+      x ^= x << 13; x >>>= 0;
+      x ^= x >>> 17; x >>>= 0;
+      x ^= x << 5; x >>>= 0;
+      return (x >>> 0) / 4294967296;
+    };
+  }
+
+  // indicator / setup screenshots get a moving average on top of the candles
+  function wantsMa(filename){ return /indicator|setup|flow/i.test(String(filename || '')); }
+
+  function fmtPrice(p){
+    if(p >= 1000) return p.toFixed(0);
+    if(p >= 10) return p.toFixed(2);
+    if(p >= 1) return p.toFixed(4);
+    return p.toPrecision(4);
+  }
+
+  // seeded random walk for tokens without a price timeline
+  function fallbackCandles(seed, count){
+    const rnd = xorshift32(seed);
+    let price = 10 + rnd() * 190;
+    const out = [];
+    for(let i=0;i<count;i++){
+      const open = price;
+      const close = open * (1 + (rnd() - 0.5) * 0.04);
+      out.push({
+        time: i,
+        open,
+        high: Math.max(open, close) * (1 + rnd() * 0.012),
+        low: Math.min(open, close) * (1 - rnd() * 0.012),
+        close
+      });
+      price = close;
+    }
+    return out;
+  }
+
+  /* ---------- Candles ---------- */
+  function candlesFor(attachment, time, count){
+    attachment = attachment || {};
+    count = count || 48;
+    let candles = null;
+    try{
+      if(attachment.token && window.MessagePool && typeof window.MessagePool.getCandles === 'function'){
+        candles = window.MessagePool.getCandles(attachment.token, { time, timeframe: attachment.timeframe || '1h', count });
+      }
+    }catch(e){
+      console.warn('ChartCanvas: getCandles failed', e);
+    }
+    if(candles && candles.length) return candles;
+    return fallbackCandles(strHash([attachment.token, attachment.filename, attachment.timeframe, time].join('|')), count);
+  }
+
+  /* ---------- Drawing ---------- */
+  function drawCandles(canvas, candles, opts){
+    opts = opts || {};
+    const ctx = canvas && canvas.getContext ? canvas.getContext('2d') : null;
+    if(!ctx || !candles || !candles.length) return false;
+    const theme = Object.assign({}, THEME, opts.theme || {});
+    const w = canvas.width, h = canvas.height;
+    const pad = { top: opts.title ? 28 : 10, right: 54, bottom: 10, left: 8 };
+    const plotW = w - pad.left - pad.right, plotH = h - pad.top - pad.bottom;
+
+    let lo = Infinity, hi = -Infinity;
+    candles.forEach(c => { lo = Math.min(lo, c.low); hi = Math.max(hi, c.high); });
+    if(hi <= lo){ hi = lo * 1.01 + 1e-9; }
+    const margin = (hi - lo) * 0.06;
+    lo -= margin; hi += margin;
+    const y = (p) => pad.top + (hi - p) / (hi - lo) * plotH;
+    const step = plotW / candles.length;
+    const x = (i) => pad.left + step * (i + 0.5);
+
+    ctx.fillStyle = theme.bg;
+    ctx.fillRect(0, 0, w, h);
+
+    // grid + price scale
+    ctx.strokeStyle = theme.grid;
+    ctx.lineWidth = 1;
+    ctx.fillStyle = theme.text;
+    ctx.font = '10px sans-serif';
+    ctx.textBaseline = 'middle';
+    for(let i=0;i<=4;i++){
+      const gy = Math.round(pad.top + plotH * i / 4) + 0.5;
+      ctx.beginPath(); ctx.moveTo(pad.left, gy); ctx.lineTo(pad.left + plotW, gy); ctx.stroke();
+      ctx.fillText(fmtPrice(hi - (hi - lo) * i / 4), pad.left + plotW + 6, gy);
+    }
+
+    // candles
+    const bodyW = Math.max(1, step * 0.6);
+    candles.forEach((c, i) => {
+      const color = c.close >= c.open ? theme.up : theme.down;
+      const cx = Math.round(x(i)) + 0.5;
+      ctx.strokeStyle = color;
+      ctx.beginPath(); ctx.moveTo(cx, y(c.high)); ctx.lineTo(cx, y(c.low)); ctx.stroke();
+      const top = y(Math.max(c.open, c.close)), bottom = y(Math.min(c.open, c.close));
+      ctx.fillStyle = color;
+      ctx.fillRect(cx - bodyW / 2, top, bodyW, Math.max(1, bottom - top));
+    });
+
+    // moving average
+    const ma = Math.floor(opts.ma || 0);
+    if(ma > 1 && candles.length > ma){
+      ctx.strokeStyle = theme.ma;
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      let sum = 0;
+      candles.forEach((c, i) => {
+        sum += c.close;
+        if(i >= ma) sum -= candles[i - ma].close;
+        if(i < ma - 1) return;
+        const py = y(sum / ma);
+        if(i === ma - 1) ctx.moveTo(x(i), py); else ctx.lineTo(x(i), py);
+      });
+      ctx.stroke();
+    }
+
+    // title: "BTC · 1h" plus last price
+    if(opts.title){
+      ctx.textBaseline = 'alphabetic';
+      ctx.fillStyle = theme.title;
+      ctx.font = 'bold 13px sans-serif';
+      ctx.fillText(opts.title, pad.left + 4, 18);
+      if(opts.subtitle){
+        const tw = ctx.measureText(opts.title).width;
+        ctx.fillStyle = theme.text;
+        ctx.font = '11px sans-serif';
+        ctx.fillText(opts.subtitle, pad.left + tw + 12, 18);
+      }
+    }
+    return true;
+  }
+
+  function drawAttachment(canvas, attachment, time, opts){
+    opts = opts || {};
+    attachment = attachment || {};
+    const candles = candlesFor(attachment, time, opts.count || Math.max(24, Math.min(96, Math.floor((canvas.width || 320) / 7))));
+    const last = candles[candles.length - 1];
+    return drawCandles(canvas, candles, {
+      title: [attachment.token, attachment.timeframe].filter(Boolean).join(' · ') || attachment.filename || '',
+      subtitle: last ? fmtPrice(last.close) : '',
+      ma: opts.ma !== undefined ? opts.ma : (wantsMa(attachment.filename) ? 9 : 0),
+      theme: opts.theme
+    });
+  }
+
+  // PNG data URL of the chart, or '' when canvas is unavailable
+  function toDataURL(attachment, time, opts){
+    opts = opts || {};
+    try{
+      const canvas = document.createElement('canvas');
+      canvas.width = opts.width || 960;
+      canvas.height = opts.height || 540;
+      if(!drawAttachment(canvas, attachment, time, opts)) return '';
+      return canvas.toDataURL('image/png');
+    }catch(e){
+      console.warn('ChartCanvas: toDataURL failed', e);
+      return '';
+    }
+  }
+
+  window.ChartCanvas = {
+    candlesFor,
+    drawCandles,
+    drawAttachment,
+    toDataURL
+  };
+})();
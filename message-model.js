@@ -0,0 +1,174 @@
+// message-model.js
+// Canonical Message model shared by every producer (MessagePool, imports, the composer, the legacy
+// AbroxDB page) and every renderer (ui-adapter.js, message.js, the inline renderer in index.html).
+// Include it before the other chat scripts.
+//
+// Message {
+//   id:          string            unique: 'msg_N' generated, 'imp_…' imported, 'local_…' sent here, 'db_N' legacy AbroxDB,
+//                                  'scn_…' scenario steps, 'sim_…' members' replies to the user (SimulationEngine)
+//   name:        string            sender short name (SyntheticPeople member name), 'You' for own messages
+//   displayName: string            sender name as shown
+//   role:        'ADMIN' | 'MOD' | 'VERIFIED'
+//   avatar:      string            image URL ('' for none)
+//   text:        string            plain text, never HTML — renderers escape it
+//   lang:        string | null     BCP 47 language of the text ('en', 'ar', ...), null when unknown
+//   out:         boolean           sent by the local user
+//   time:        number            ms since the epoch
+//   replyTo:     string | null     id of the message this one answers
+//   pinned:      boolean
+//   attachment:  { filename: string, url: string, token?: string, timeframe?: string } | null
+//                url '' means no file: images are drawn locally as a chart of token / timeframe
+// }
+//
+// normalizeMessage(raw) maps the older shapes onto it (timestamp / isOwn from message.js and AbroxDB records,
+// Telegram-style from / date / reply_to_message_id, seconds instead of ms, string attachments, ...).
+// validateMessage(m) -> { valid, errors } checks a message against the schema.
+// openAbroxDB() opens the legacy AbroxDB store, migrating version-1 records to the schema.
+
+(function globalMessageModel(){
+  if(window.MessageModel) return;
+
+  const SCHEMA_VERSION = 1;
+  const ROLES = ['ADMIN', 'MOD', 'VERIFIED'];
+  const FIELDS = ['id', 'name', 'displayName', 'role', 'avatar', 'text', 'lang', 'out', 'time', 'replyTo', 'pinned', 'attachment'];
+
+  /* ---------- Helpers ---------- */
+  function first(){
+    for(let i=0;i<arguments.length;i++){
+      const v = arguments[i];
+      if(v !== undefined && v !== null && v !== '') return v;
+    }
+    return undefined;
+  }
+
+  // ms timestamp from ms / seconds numbers, numeric strings, date strings or Date objects; NaN if unusable
+  function toTime(v){
+    if(v instanceof Date) return v.getTime();
+    if(v === undefined || v === null || v === '') return NaN;
+    const n = Number(v);
+    if(isFinite(n)) return n < 1e11 ? n * 1000 : n;
+    return Date.parse(v);
+  }
+
+  function toText(v){
+    if(Array.isArray(v)) return v.map(p => typeof p === 'string' ? p : (p && p.text) || '').join('');
+    return v === undefined || v === null ? '' : String(v);
+  }
+
+  function toAttachment(v){
+    if(Array.isArray(v)) v = v[0];
+    if(!v) return null;
+    const filename = typeof v === 'string' ? v.split('/').pop() : (v.filename || v.name || String(v.url || '').split('/').pop());
+    if(!filename) return null;
+    const out = { filename: String(filename), url: typeof v === 'object' && v.url ? String(v.url) : '' };
+    // chart attachments without a url are drawn locally from these (see MessagePool.getCandles)
+    if(typeof v === 'object' && v.token) out.token = String(v.token);
+    if(typeof v === 'object' && v.timeframe) out.timeframe = String(v.timeframe);
+    return out;
+  }
+
+  let localSeq = 0;
+  function localId(time){ return 'local_' + time + '_' + (localSeq++).toString(36); }
+
+  /* ---------- normalize / validate ---------- */
+  // Canonical copy of any message-like object (see the schema above). Always returns a new object with
+  // exactly the schema fields; unknown fields are dropped.
+  function normalizeMessage(raw){
+    raw = raw || {};
+    const sender = raw.sender && typeof raw.sender === 'object' ? raw.sender : {};
+    const out = !!first(raw.out, raw.isOwn, raw.own, raw.outgoing);
+    let time = toTime(first(raw.time, raw.timestamp, raw.date_unixtime, raw.date, raw.createdAt));
+    if(!isFinite(time)) time = Date.now();
+    const name = String(first(raw.name, sender.name, typeof raw.sender === 'string' ? raw.sender : undefined, raw.author, raw.from, raw.username, raw.displayName, out ? 'You' : 'Unknown'));
+    const role = String(first(raw.role, sender.role, '')).toUpperCase();
+    const replyTo = first(raw.replyTo, raw.reply_to, raw.replyToId, raw.reply_to_message_id);
+    const lang = first(raw.lang);
+    return {
+      id: String(first(raw.id, raw.messageId, localId(time))),
+      name,
+      displayName: String(first(raw.displayName, raw.display_name, sender.displayName, name)),
+      role: ROLES.indexOf(role) !== -1 ? role : 'VERIFIED',
+      avatar: String(first(raw.avatar, sender.avatar, raw.photoUrl) || ''),
+      text: toText(first(raw.text, raw.content, raw.body, raw.message)),
+      lang: lang ? String(lang).toLowerCase() : null,
+      out,
+      time: Math.round(time),
+      replyTo: replyTo !== undefined ? String(replyTo) : null,
+      pinned: !!raw.pinned,
+      attachment: toAttachment(first(raw.attachment, raw.attachments, raw.file, raw.photo))
+    };
+  }
+
+  // { valid, errors: ['field: problem', ...] }
+  function validateMessage(m){
+    const errors = [];
+    if(!m || typeof m !== 'object') return { valid: false, errors: ['message: not an object'] };
+    const str = (k, nonEmpty) => { if(typeof m[k] !== 'string' || (nonEmpty && !m[k])) errors.push(k + ': expected ' + (nonEmpty ? 'a non-empty string' : 'a string')); };
+    str('id', true);
+    str('name', true);
+    str('displayName', true);
+    str('avatar');
+    str('text');
+    if(ROLES.indexOf(m.role) === -1) errors.push('role: expected one of ' + ROLES.join(', '));
+    if(m.lang !== null && (typeof m.lang !== 'string' || !m.lang)) errors.push('lang: expected a language tag or null');
+    if(typeof m.out !== 'boolean') errors.push('out: expected a boolean');
+    if(typeof m.time !== 'number' || !isFinite(m.time)) errors.push('time: expected ms since the epoch');
+    if(m.replyTo !== null && typeof m.replyTo !== 'string') errors.push('replyTo: expected an id or null');
+    if(typeof m.pinned !== 'boolean') errors.push('pinned: expected a boolean');
+    if(m.attachment !== null && (typeof m.attachment !== 'object' || typeof m.attachment.filename !== 'string' || typeof m.attachment.url !== 'string' || (m.attachment.token !== undefined && typeof m.attachment.token !== 'string'))) errors.push('attachment: expected { filename, url } or null');
+    Object.keys(m).forEach(k => { if(FIELDS.indexOf(k) === -1) errors.push(k + ': not part of the schema'); });
+    return { valid: errors.length === 0, errors };
+  }
+
+  /* ---------- Legacy AbroxDB (IndexedDB) ---------- */
+  // Version 1 stored { id: autoIncrement number, name, role, avatar, text, timestamp, out } records.
+  // Version 2 stores canonical messages keyed by their string id; old records become 'db_<old key>'.
+  const ABROX_DB = 'AbroxDB', ABROX_STORE = 'messages', ABROX_DB_VERSION = 2;
+
+  function migrateRecord(record, key){
+    return normalizeMessage(Object.assign({}, record, { id: 'db_' + key }));
+  }
+
+  // resolves to the open database (migrated), rejects when IndexedDB is unavailable
+  function openAbroxDB(){
+    return new Promise((resolve, reject) => {
+      if(typeof indexedDB === 'undefined') return reject(new Error('IndexedDB not available'));
+      const req = indexedDB.open(ABROX_DB, ABROX_DB_VERSION);
+      req.onupgradeneeded = (e) => {
+        const db = req.result;
+        if(!db.objectStoreNames.contains(ABROX_STORE)){
+          db.createObjectStore(ABROX_STORE, { keyPath: 'id' });
+          return;
+        }
+        if(e.oldVersion < 2){
+          const store = req.transaction.objectStore(ABROX_STORE);
+          store.openCursor().onsuccess = (ev) => {
+            const cursor = ev.target.result;
+            if(!cursor) return;
+            // numeric keys become string ids, so each record moves to a new key
+            if(typeof cursor.key === 'number'){
+              const m = migrateRecord(cursor.value, cursor.key);
+              cursor.delete();
+              store.put(m);
+            } else {
+              cursor.update(normalizeMessage(cursor.value));
+            }
+            cursor.continue();
+          };
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  window.MessageModel = {
+    SCHEMA_VERSION,
+    ROLES: ROLES.slice(),
+    FIELDS: FIELDS.slice(),
+    normalizeMessage,
+    validateMessage,
+    openAbroxDB,
+    _migrateRecord: migrateRecord
+  };
+})();
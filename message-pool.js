@@ -3,12 +3,25 @@
 // - Default pool size: 100000 messages (configurable)
 // - Deterministic via seedBase so same seed reproduces same messages
 // - Templates + tokenization & numeric variety to reduce duplicates
-// - Integrates with SyntheticPeople for senders/avatars/roles
-// - Methods: generatePool, regenerateAndInject, getMessageByIndex, getRange, pickRandom,
-//            streamToUI (simulate live emission), exportToJSON, estimatePoolForDuration, preGenerateTemplates
+// - Integrates with SyntheticPeople for senders/avatars/roles; text follows the sender's archetype, emotion and language
+// - Methods: generatePool, generatePoolAsync (Web Worker, see pool-worker.js), regenerateAndInject,
+//            getMessageByIndex, getRange, pickRandom, streamToUI (simulate live emission), exportToJSON,
+//            estimatePoolForDuration, preGenerateTemplates,
+//            getReplies / getThread (coherent reply threads, also available on createGeneratorView()),
+//            registerTemplatePack / listTemplatePacks (vocabulary packs, blend via generatePool({ packs })),
+//            configureActivity / getMarketEvents (diurnal + weekly activity curve with market-event bursts),
+//            isToken, priceAt / getCandles (seeded per-token price timeline that generated prices, TP/SL, % changes and chart
+//            attachments follow),
+//            search / whenSearchReady (incremental inverted index with sender / role / time / attachment / pinned /
+//            token facets),
+//            importMessages (Telegram JSON / NDJSON / CSV history mapped onto SyntheticPeople members),
+//            exportChunks / exportBlob / downloadExport (streaming NDJSON, CSV and Telegram result.json exports),
+//            loadPoolAsync / cachePool / getRangeAsync / getMessageByIndexAsync / clearCache / cacheInfo (IndexedDB cache)
 //
 // Usage (example):
 //   MessagePool.generatePool({ size:100000, seedBase:4000, spanDays:730 });
+//   MessagePool.generatePool({ size:20000, packs:[{ id:'forex', weight:3 }, 'options'] });
+//   MessagePool.generatePool({ size:20000, codeSwitch:0.5 }); // half of non-English speakers' messages in English
 //   MessagePool.streamToUI({ startIndex:0, ratePerMin:45 });
 //   const window = MessagePool.getRange(0,50);
 
@@ -27,38 +40,959 @@
     };
   }
 
+  // integer hash of (a, b, salt) -> independent seed for a secondary PRNG stream
+  function mixSeed(a, b, salt){
+    let h = Math.imul((a | 0) ^ 0x9e3779b9, 0x85ebca6b) ^ Math.imul(((b | 0) + (salt | 0)) | 0, 0xc2b2ae35);
+    h ^= h >>> 16; h = Math.imul(h, 0x7feb352d);
+    h ^= h >>> 15; h = Math.imul(h, 0x846ca68b);
+    h ^= h >>> 16;
+    return h >>> 0;
+  }
+
   function clamp(v,a,b){ return Math.max(a, Math.min(b, v)); }
   function uid(prefix='msg'){ return prefix + '_' + Math.random().toString(36).slice(2,10); }
+  function indexFromId(id){ const m = /^msg_(\d+)$/.exec(String(id || '')); return m ? Number(m[1]) - 1 : -1; }
 
-  /* ---------- Crypto vocabulary & templates ---------- */
-  const TOKENS = ['BTC','ETH','SOL','LTC','DOGE','XRP','ADA','BNB','MATIC','AVAX','DOT','LINK','OP','ARB'];
-  const INDICATORS = ['RSI','MACD','EMA50','EMA200','SMA20','OBV','VWAP','Volume'];
-  const TIMEFRAMES = ['1m','5m','15m','1h','4h','1d','1w'];
-  const ORDERS = ['buy','sell','long','short','swing','scalp','hodl'];
-  const COMMON_PHRASES = [
-    'Anyone watching {token}?',
-    'Set a stop at {stop}.',
-    'TP at {tp}.',
-    'Looks like accumulation to me.',
-    'This looks like a retrace — waiting for confirmation.',
-    'FOMO incoming 🚀',
-    'Diamond hands.',
-    'Paper hands everywhere 😅',
-    'Watching the order book — strong sell wall.',
-    'Good time to DCA?',
-    'That was a nasty wick on the 1h.',
-    'Whale alert on {token} 🐳',
-    'IIRC that indicator signals reversal.',
-    'Use limit orders if you care about price.',
-    'The bot produced a noisy signal today.',
-    'Anyone sharing indicators? DM me.',
-    'This feels like a fakeout.',
-    'LFG to the moon 🚀💎',
-    'That TA lines up with weekly resistance.',
-    'Small position only — too risky for me.'
-  ];
-  const ATTACH_TITLES = ['chart.png','screenshot.jpg','trade.mp4','report.pdf','indicator.png'];
-  const EMOJI = ['🚀','💎','🔥','📉','📈','🤖','🔒','⚠️','✅','❌','🐳'];
+  /* ---------- Template packs ---------- */
+  // A pack is plain JSON, registered with MessagePool.registerTemplatePack(pack):
+  // {
+  //   "id": "forex",                       // required, unique
+  //   "label": "Forex",                    // optional display name
+  //   "vocabulary": {                      // lists feeding the {placeholders}; missing lists fall back to the crypto pack
+  //     "tokens": ["EURUSD", "GBPUSD"],    // {token}: ticker / instrument (required)
+  //     "indicators": [], "timeframes": [], "orders": [], "biases": [],
+  //     "chatter": [],                     // filler words for noisy "chatter" messages
+  //     "slang": [],                       // openers used by slangy archetypes (MemeTrader, Shiller)
+  //     "emoji": [], "attachments": ["chart.png"]
+  //   },
+  //   "templates": {
+  //     "phrases":   ["Anyone watching {token}?"],
+  //     "questions": [{ "text": "Is {indicator} bearish on {timeframe}?", "focus": "indicator" }],
+  //     "trades":    ["{first} posted: {token} {order} @ {price} — TP {tp} / SL {stop} ({pct})"],
+  //     "analysis":  ["{token} {timeframe}: {indicator} looks {bias}"],   // archetype families (see ARCHETYPE_STYLES)
+  //     "memes":     ["{token} to the moon 🚀"],
+  //     "positions": ["Added {size} in {token} @ {price}"],
+  //     "replies":   { "<question focus>": [], "trade": [], "phrase": [], "generic": [], "chatter": [] }
+  //   },
+  //   "familyWeights": { "phrase": 0.42, "chatter": 0.30, "trade": 0.15, "question": 0.13 },  // + analysis/meme/position
+  //   "prices": { "EURUSD": [1.05, 1.12, 4], "*": [1, 100] },  // [min, max, decimals=2]; "*" is the fallback
+  //                                        // (range of the price at the end of the span; see priceAt)
+  //   "volatility": 0.0012,                // optional hourly log-return stddev (default 0.006)
+  //   "locales": {                         // optional: messages of members whose `language` matches
+  //     "es": { "vocabulary": { "chatter": [], "slang": [], "biasWords": { "bullish": "alcista" } },
+  //             "templates": { "phrases": [], "questions": [], "replies": {}, ... } }
+  //   }
+  // }
+  // Placeholders: {token} {indicator} {timeframe} {order} {bias} {price} {tp} {stop} {pct} {first} {size},
+  // plus {support} / {resistance}: the lower / higher of {tp} and {stop}, for chart talk that is not about one side
+  // Replies use templates.replies[focus] where focus is the thread root's question focus, "trade", "chatter",
+  // "phrase" (root phrase mentions {token}) or "generic".
+  // Members whose language has no locale in the chosen pack write in English, as do a meta.codeSwitch share
+  // of the others (English code-switching).
+
+  const CRYPTO_PACK = {
+    id: 'crypto',
+    label: 'Crypto',
+    vocabulary: {
+      tokens: ['BTC','ETH','SOL','LTC','DOGE','XRP','ADA','BNB','MATIC','AVAX','DOT','LINK','OP','ARB'],
+      indicators: ['RSI','MACD','EMA50','EMA200','SMA20','OBV','VWAP','Volume'],
+      timeframes: ['1m','5m','15m','1h','4h','1d','1w'],
+      orders: ['buy','sell','long','short','swing','scalp','hodl'],
+      biases: ['bullish','bearish','neutral','choppy'],
+      chatter: ['check','signal','buy','sell','watch','nice','yikes','rekt','hold','wait','now','looks'],
+      slang: ['ser','fren','gm','anon','wagmi,','ngl'],
+      emoji: ['🚀','💎','🔥','📉','📈','🤖','🔒','⚠️','✅','❌','🐳'],
+      attachments: ['chart.png','screenshot.jpg','trade.mp4','report.pdf','indicator.png']
+    },
+    templates: {
+      phrases: [
+        'Anyone watching {token}?',
+        'Set a stop at {stop}.',
+        'TP at {tp}.',
+        'Looks like accumulation to me.',
+        'This looks like a retrace — waiting for confirmation.',
+        'FOMO incoming 🚀',
+        'Diamond hands.',
+        'Paper hands everywhere 😅',
+        'Watching the order book — strong sell wall.',
+        'Good time to DCA?',
+        'That was a nasty wick on the 1h.',
+        'Whale alert on {token} 🐳',
+        'IIRC that indicator signals reversal.',
+        'Use limit orders if you care about price.',
+        'The bot produced a noisy signal today.',
+        'Anyone sharing indicators? DM me.',
+        'This feels like a fakeout.',
+        'LFG to the moon 🚀💎',
+        'That TA lines up with weekly resistance.',
+        'Small position only — too risky for me.'
+      ],
+      // `focus` tells replies what the thread is about
+      questions: [
+        { text: 'Anyone got thoughts on {token}?', focus: 'token' },
+        { text: 'Who else is holding {token}?', focus: 'holding' },
+        { text: 'Is {indicator} bearish on {timeframe}?', focus: 'indicator' },
+        { text: 'Just saw a whale move on {token}', focus: 'whale' }
+      ],
+      trades: ['{first} posted: {token} {order} @ {price} — TP {tp} / SL {stop} ({pct})'],
+      analysis: [
+        '{indicator} on the {timeframe} is {bias} — {token} support {support}, resistance {resistance}.',
+        '{token} {timeframe}: {indicator} divergence, reads {bias}. Invalidation below {support}.',
+        'Weekly close matters here. {token} {indicator} on {timeframe} still {bias}.',
+        'Volume confirms the {timeframe} structure on {token}; {indicator} is {bias}, target {tp}.'
+      ],
+      memes: [
+        '{token} to the moon 🚀🚀',
+        'wen lambo',
+        'gm degens, {token} pumping',
+        'wagmi 💎🙌',
+        'ngmi if you sold {token} here lol',
+        'pls {token} up only',
+        'ape in or cope 🦍'
+      ],
+      positions: [
+        'Just added {size} in {token} @ {price}, stop {stop}.',
+        'Closed my {size} {token} {order} for {pct}.',
+        'Loaded {size} of {token} around {price}. Not leaving.',
+        'Moved {size} of {token} off exchange.'
+      ],
+      // reply templates keyed by what the thread root talks about
+      replies: {
+        token: [
+          '{token} looks {bias} to me, watching {support} as support.',
+          'Still {bias} on {token} — {indicator} on {timeframe} agrees.',
+          'Took a small {order} on {token}, TP {tp}.',
+          'Not touching {token} until it reclaims {tp}.'
+        ],
+        holding: [
+          'Holding {token} since last dip, not selling yet 💎',
+          'Sold half my {token} at {tp}, holding the rest.',
+          'Still holding {token}, stop at {stop}.',
+          'Me — {token} bag is {pct} this week.'
+        ],
+        indicator: [
+          '{indicator} on {timeframe} looks {bias} to me, waiting for the close.',
+          'Not yet — {indicator} still neutral on {timeframe}.',
+          'Checked {indicator} {timeframe}: {bias}. I would not fight it.',
+          '{indicator} {timeframe} flipped {bias} an hour ago, {token} follows.'
+        ],
+        whale: [
+          'Saw it too — {token} order book got thin after that 🐳',
+          'Whales moving {token} again, expect volatility.',
+          'Probably exchange rebalancing, {token} barely reacted.',
+          'That {token} whale bought near {stop} last time too.'
+        ],
+        trade: [
+          'Nice entry on {token}. SL {stop} feels tight though.',
+          'What is your reasoning for the {token} {order}?',
+          'Copied — {token} TP {tp} 🎯',
+          '{token} {order} makes sense, {indicator} on {timeframe} supports it.'
+        ],
+        phrase: [
+          'Agreed, {token} looks {bias} from here.',
+          'Same view, {indicator} on {timeframe} confirms it.',
+          'Not sure, {token} has been {bias} all week.',
+          'This 👆'
+        ],
+        generic: [
+          'Agreed.',
+          'Same here, {indicator} on {timeframe} says the same.',
+          'Not sure about that one.',
+          '+1, good call'
+        ],
+        chatter: [
+          'lol same',
+          'fr, {token} is wild today',
+          'watching {token} too',
+          'this 👆'
+        ]
+      }
+    },
+    familyWeights: { phrase: 0.42, chatter: 0.30, trade: 0.15, question: 0.13, analysis: 0, meme: 0, position: 0 },
+    prices: {
+      BTC: [28200, 31800], ETH: [1880, 2120], SOL: [18, 26], LTC: [62, 78], DOGE: [0.0752, 0.0848, 4],
+      XRP: [0.45, 0.58, 4], ADA: [0.24, 0.31, 4], BNB: [210, 245], MATIC: [0.52, 0.68, 4], AVAX: [9.5, 12.5],
+      DOT: [4.1, 5.2], LINK: [6.2, 7.8], OP: [1.2, 1.6], ARB: [0.85, 1.15], '*': [94, 106]
+    }
+  };
+
+  // Localized overlays of the crypto pack, keyed by SyntheticPeople member `language`.
+  // Same shape as a pack's vocabulary/templates; missing sections fall back to the English pack,
+  // tickers/indicators/timeframes stay untranslated. biasWords maps the English {bias} to the local word.
+  const CRYPTO_LOCALES = {
+    es: {
+      vocabulary: {
+        chatter: ['ojo','señal','compra','venta','mirad','bien','uff','liquidado','holdear','espera','ya','parece'],
+        biasWords: { bullish: 'alcista', bearish: 'bajista', neutral: 'neutral', choppy: 'lateral' }
+      },
+      templates: {
+        phrases: ['¿Alguien sigue {token}?', 'Stop puesto en {stop}.', 'TP en {tp}.', 'Esto parece acumulación.', 'Manos de diamante 💎', 'Esperando confirmación antes de entrar.', 'Alerta de ballena en {token} 🐳', 'Posición pequeña nada más, demasiado riesgo.'],
+        questions: [
+          { text: '¿Qué opináis de {token}?', focus: 'token' },
+          { text: '¿Quién más tiene {token}?', focus: 'holding' },
+          { text: '¿El {indicator} está bajista en {timeframe}?', focus: 'indicator' },
+          { text: 'Acabo de ver una ballena moviendo {token}', focus: 'whale' }
+        ],
+        trades: ['{first} publicó: {token} {order} @ {price} — TP {tp} / SL {stop} ({pct})'],
+        analysis: ['{indicator} en {timeframe} está {bias} — soporte de {token} en {support}, resistencia {resistance}.', '{token} {timeframe}: divergencia en {indicator}, pinta {bias}. Invalida bajo {support}.'],
+        memes: ['{token} a la luna 🚀🚀', 'hoy se come o se es comido 🦍'],
+        positions: ['Acabo de meter {size} en {token} @ {price}, stop {stop}.', 'Cerré mi {order} de {size} en {token} con {pct}.'],
+        replies: {
+          token: ['{token} lo veo {bias}, vigilando {support} como soporte.', 'Sigo {bias} con {token}, el {indicator} en {timeframe} coincide.'],
+          holding: ['Yo sigo con {token} desde la última caída 💎', 'Vendí la mitad de {token} en {tp}, el resto aguanta.'],
+          indicator: ['{indicator} en {timeframe} lo veo {bias}, espero al cierre.', 'Todavía no, {indicator} sigue neutral en {timeframe}.'],
+          whale: ['Yo también lo vi, el libro de {token} se quedó fino 🐳', 'Las ballenas mueven {token} otra vez, habrá volatilidad.'],
+          trade: ['Buena entrada en {token}. El SL en {stop} es algo justo.', '¿Por qué el {order} en {token}?'],
+          phrase: ['De acuerdo, {token} pinta {bias} desde aquí.', 'No sé, {token} lleva toda la semana {bias}.'],
+          generic: ['De acuerdo.', 'No estoy seguro de eso.', '+1, buena'],
+          chatter: ['jaja igual', 'mirando {token} también']
+        }
+      }
+    },
+    fr: {
+      vocabulary: {
+        chatter: ['regardez','signal','achat','vente','attention','joli','aïe','liquidé','hold','attends','maintenant','semble'],
+        biasWords: { bullish: 'haussier', bearish: 'baissier', neutral: 'neutre', choppy: 'en range' }
+      },
+      templates: {
+        phrases: ['Quelqu\'un suit {token} ?', 'Stop placé à {stop}.', 'TP à {tp}.', 'Ça ressemble à de l\'accumulation.', 'Mains de diamant 💎', 'J\'attends une confirmation avant d\'entrer.', 'Alerte baleine sur {token} 🐳', 'Petite position seulement, trop risqué.'],
+        questions: [
+          { text: 'Des avis sur {token} ?', focus: 'token' },
+          { text: 'Qui d\'autre garde du {token} ?', focus: 'holding' },
+          { text: 'Le {indicator} est baissier en {timeframe} ?', focus: 'indicator' },
+          { text: 'Je viens de voir une baleine bouger du {token}', focus: 'whale' }
+        ],
+        trades: ['{first} a posté : {token} {order} @ {price} — TP {tp} / SL {stop} ({pct})'],
+        analysis: ['{indicator} en {timeframe} est {bias} — support {token} à {support}, résistance {resistance}.', '{token} {timeframe} : divergence sur le {indicator}, plutôt {bias}. Invalidation sous {support}.'],
+        memes: ['{token} vers la lune 🚀🚀', 'on achète le dip ou on pleure 🦍'],
+        positions: ['Je viens de rajouter {size} de {token} @ {price}, stop {stop}.', 'Clôturé mon {order} de {size} sur {token} à {pct}.'],
+        replies: {
+          token: ['{token} me paraît {bias}, je surveille {support} comme support.', 'Toujours {bias} sur {token}, le {indicator} en {timeframe} confirme.'],
+          holding: ['Je garde mon {token} depuis le dernier creux 💎', 'Vendu la moitié de mes {token} à {tp}, je garde le reste.'],
+          indicator: ['Le {indicator} en {timeframe} est {bias} pour moi, j\'attends la clôture.', 'Pas encore, le {indicator} reste neutre en {timeframe}.'],
+          whale: ['Vu aussi, le carnet de {token} s\'est vidé 🐳', 'Les baleines bougent encore {token}, attention à la volatilité.'],
+          trade: ['Belle entrée sur {token}. Le SL à {stop} est un peu serré.', 'Pourquoi ce {order} sur {token} ?'],
+          phrase: ['D\'accord, {token} semble {bias} d\'ici.', 'Pas sûr, {token} est {bias} depuis une semaine.'],
+          generic: ['D\'accord.', 'Pas sûr de ça.', '+1, bien vu'],
+          chatter: ['mdr pareil', 'je regarde {token} aussi']
+        }
+      }
+    },
+    pt: {
+      vocabulary: {
+        chatter: ['olha','sinal','compra','venda','atenção','boa','eita','liquidado','segura','espera','agora','parece'],
+        biasWords: { bullish: 'altista', bearish: 'baixista', neutral: 'neutro', choppy: 'lateral' }
+      },
+      templates: {
+        phrases: ['Alguém acompanhando {token}?', 'Stop em {stop}.', 'Alvo em {tp}.', 'Parece acumulação pra mim.', 'Mão de diamante 💎', 'Esperando confirmação antes de entrar.', 'Alerta de baleia no {token} 🐳', 'Só posição pequena, arriscado demais.'],
+        questions: [
+          { text: 'O que vocês acham do {token}?', focus: 'token' },
+          { text: 'Quem mais está segurando {token}?', focus: 'holding' },
+          { text: 'O {indicator} está baixista no {timeframe}?', focus: 'indicator' },
+          { text: 'Acabei de ver uma baleia mexendo no {token}', focus: 'whale' }
+        ],
+        trades: ['{first} postou: {token} {order} @ {price} — TP {tp} / SL {stop} ({pct})'],
+        analysis: ['{indicator} no {timeframe} está {bias} — suporte do {token} em {support}, resistência {resistance}.', '{token} {timeframe}: divergência no {indicator}, leitura {bias}. Invalida abaixo de {support}.'],
+        memes: ['{token} rumo à lua 🚀🚀', 'bora que hoje tem 🦍'],
+        positions: ['Coloquei {size} em {token} @ {price}, stop {stop}.', 'Fechei meu {order} de {size} em {token} com {pct}.'],
+        replies: {
+          token: ['{token} tá {bias} pra mim, de olho em {support} como suporte.', 'Ainda {bias} no {token}, o {indicator} no {timeframe} concorda.'],
+          holding: ['Segurando {token} desde a última queda 💎', 'Vendi metade do {token} em {tp}, segurando o resto.'],
+          indicator: ['{indicator} no {timeframe} tá {bias}, esperando o fechamento.', 'Ainda não, {indicator} segue neutro no {timeframe}.'],
+          whale: ['Vi também, o book do {token} ficou fino 🐳', 'Baleias mexendo no {token} de novo, vem volatilidade.'],
+          trade: ['Boa entrada no {token}. SL em {stop} tá apertado.', 'Qual a lógica do {order} no {token}?'],
+          phrase: ['Concordo, {token} parece {bias} daqui.', 'Não sei, {token} tá {bias} a semana toda.'],
+          generic: ['Concordo.', 'Não tenho certeza disso.', '+1, boa'],
+          chatter: ['kkkk mesmo', 'de olho no {token} também']
+        }
+      }
+    },
+    de: {
+      vocabulary: {
+        chatter: ['schaut','Signal','kaufen','verkaufen','Achtung','nice','autsch','liquidiert','halten','warten','jetzt','sieht'],
+        biasWords: { bullish: 'bullisch', bearish: 'bärisch', neutral: 'neutral', choppy: 'seitwärts' }
+      },
+      templates: {
+        phrases: ['Beobachtet jemand {token}?', 'Stop liegt bei {stop}.', 'TP bei {tp}.', 'Sieht nach Akkumulation aus.', 'Diamanthände 💎', 'Warte auf Bestätigung vor dem Einstieg.', 'Wal-Alarm bei {token} 🐳', 'Nur kleine Position, zu riskant.'],
+        questions: [
+          { text: 'Meinungen zu {token}?', focus: 'token' },
+          { text: 'Wer hält noch {token}?', focus: 'holding' },
+          { text: 'Ist der {indicator} auf {timeframe} bärisch?', focus: 'indicator' },
+          { text: 'Gerade eine Wal-Bewegung bei {token} gesehen', focus: 'whale' }
+        ],
+        trades: ['{first} hat gepostet: {token} {order} @ {price} — TP {tp} / SL {stop} ({pct})'],
+        analysis: ['{indicator} auf {timeframe} ist {bias} — {token} Support {support}, Widerstand {resistance}.', '{token} {timeframe}: Divergenz im {indicator}, eher {bias}. Ungültig unter {support}.'],
+        memes: ['{token} zum Mond 🚀🚀', 'Dip kaufen oder weinen 🦍'],
+        positions: ['Gerade {size} in {token} @ {price} nachgekauft, Stop {stop}.', 'Meinen {size} {token} {order} mit {pct} geschlossen.'],
+        replies: {
+          token: ['{token} sieht für mich {bias} aus, {support} als Support im Blick.', 'Weiter {bias} bei {token}, der {indicator} auf {timeframe} passt.'],
+          holding: ['Halte {token} seit dem letzten Dip 💎', 'Hälfte meiner {token} bei {tp} verkauft, Rest bleibt.'],
+          indicator: ['{indicator} auf {timeframe} ist {bias}, warte auf den Schlusskurs.', 'Noch nicht, {indicator} ist auf {timeframe} neutral.'],
+          whale: ['Hab ich auch gesehen, das Orderbuch von {token} ist dünn 🐳', 'Wale bewegen {token} wieder, Volatilität kommt.'],
+          trade: ['Guter Einstieg bei {token}. SL bei {stop} ist aber eng.', 'Warum der {order} bei {token}?'],
+          phrase: ['Stimmt, {token} sieht von hier {bias} aus.', 'Weiß nicht, {token} ist die ganze Woche {bias}.'],
+          generic: ['Stimmt.', 'Da bin ich mir nicht sicher.', '+1, guter Punkt'],
+          chatter: ['haha genau', 'beobachte {token} auch']
+        }
+      }
+    },
+    it: {
+      vocabulary: {
+        chatter: ['occhio','segnale','compra','vendi','attenzione','bello','ahia','liquidato','tieni','aspetta','ora','sembra'],
+        biasWords: { bullish: 'rialzista', bearish: 'ribassista', neutral: 'neutrale', choppy: 'laterale' }
+      },
+      templates: {
+        phrases: ['Qualcuno segue {token}?', 'Stop messo a {stop}.', 'TP a {tp}.', 'Mi sembra accumulo.', 'Mani di diamante 💎', 'Aspetto conferma prima di entrare.', 'Allerta balena su {token} 🐳', 'Solo posizione piccola, troppo rischio.'],
+        questions: [
+          { text: 'Che ne pensate di {token}?', focus: 'token' },
+          { text: 'Chi altro tiene {token}?', focus: 'holding' },
+          { text: 'Il {indicator} è ribassista sul {timeframe}?', focus: 'indicator' },
+          { text: 'Ho appena visto una balena muovere {token}', focus: 'whale' }
+        ],
+        trades: ['{first} ha postato: {token} {order} @ {price} — TP {tp} / SL {stop} ({pct})'],
+        analysis: ['{indicator} sul {timeframe} è {bias} — supporto {token} a {support}, resistenza {resistance}.', '{token} {timeframe}: divergenza sul {indicator}, lettura {bias}. Invalidazione sotto {support}.'],
+        memes: ['{token} sulla luna 🚀🚀', 'compra il dip o piangi 🦍'],
+        positions: ['Ho appena aggiunto {size} di {token} @ {price}, stop {stop}.', 'Chiuso il mio {order} da {size} su {token} a {pct}.'],
+        replies: {
+          token: ['{token} lo vedo {bias}, guardo {support} come supporto.', 'Ancora {bias} su {token}, il {indicator} sul {timeframe} conferma.'],
+          holding: ['Tengo {token} dall\'ultimo calo 💎', 'Venduto metà {token} a {tp}, il resto lo tengo.'],
+          indicator: ['{indicator} sul {timeframe} per me è {bias}, aspetto la chiusura.', 'Non ancora, il {indicator} è neutrale sul {timeframe}.'],
+          whale: ['Visto anche io, il book di {token} si è svuotato 🐳', 'Le balene muovono di nuovo {token}, arriva volatilità.'],
+          trade: ['Bella entrata su {token}. SL a {stop} un po\' stretto.', 'Perché il {order} su {token}?'],
+          phrase: ['D\'accordo, {token} sembra {bias} da qui.', 'Non so, {token} è {bias} da tutta la settimana.'],
+          generic: ['D\'accordo.', 'Non ne sono sicuro.', '+1, ottimo'],
+          chatter: ['ahah uguale', 'guardo {token} anch\'io']
+        }
+      }
+    },
+    nl: {
+      vocabulary: {
+        chatter: ['kijk','signaal','kopen','verkopen','let op','mooi','auw','geliquideerd','vasthouden','wacht','nu','lijkt'],
+        biasWords: { bullish: 'bullish', bearish: 'bearish', neutral: 'neutraal', choppy: 'zijwaarts' }
+      },
+      templates: {
+        phrases: ['Iemand die {token} volgt?', 'Stop staat op {stop}.', 'TP op {tp}.', 'Lijkt op accumulatie.', 'Diamanten handen 💎', 'Wacht op bevestiging voor ik instap.', 'Walvis-alert op {token} 🐳', 'Alleen een kleine positie, te riskant.'],
+        questions: [
+          { text: 'Meningen over {token}?', focus: 'token' },
+          { text: 'Wie houdt er nog meer {token} vast?', focus: 'holding' },
+          { text: 'Is de {indicator} bearish op {timeframe}?', focus: 'indicator' },
+          { text: 'Net een walvis {token} zien verplaatsen', focus: 'whale' }
+        ],
+        trades: ['{first} postte: {token} {order} @ {price} — TP {tp} / SL {stop} ({pct})'],
+        analysis: ['{indicator} op {timeframe} is {bias} — {token} support {support}, weerstand {resistance}.'],
+        memes: ['{token} naar de maan 🚀🚀'],
+        positions: ['Net {size} {token} bijgekocht @ {price}, stop {stop}.'],
+        replies: {
+          token: ['{token} ziet er {bias} uit, {support} als support in de gaten.'],
+          holding: ['Hou {token} vast sinds de laatste dip 💎'],
+          indicator: ['{indicator} op {timeframe} is {bias}, wacht op de close.'],
+          whale: ['Zag het ook, orderboek van {token} is dun 🐳'],
+          trade: ['Mooie entry op {token}. SL op {stop} is wel krap.'],
+          phrase: ['Eens, {token} ziet er {bias} uit.'],
+          generic: ['Eens.', 'Weet ik niet zeker.'],
+          chatter: ['haha zelfde', 'kijk ook naar {token}']
+        }
+      }
+    },
+    tr: {
+      vocabulary: {
+        chatter: ['bakın','sinyal','al','sat','dikkat','güzel','eyvah','likit','tut','bekle','şimdi','gibi'],
+        biasWords: { bullish: 'yükselişte', bearish: 'düşüşte', neutral: 'nötr', choppy: 'yatay' }
+      },
+      templates: {
+        phrases: ['{token} takip eden var mı?', 'Stop {stop} seviyesinde.', 'Hedef {tp}.', 'Bana toplama gibi geliyor.', 'Elmas eller 💎', 'Girmeden önce teyit bekliyorum.', '{token} balina alarmı 🐳', 'Sadece küçük pozisyon, risk çok.'],
+        questions: [
+          { text: '{token} hakkında ne düşünüyorsunuz?', focus: 'token' },
+          { text: 'Başka kimde {token} var?', focus: 'holding' },
+          { text: '{timeframe} grafikte {indicator} düşüşte mi?', focus: 'indicator' },
+          { text: 'Az önce {token} tarafında balina hareketi gördüm', focus: 'whale' }
+        ],
+        trades: ['{first} paylaştı: {token} {order} @ {price} — TP {tp} / SL {stop} ({pct})'],
+        analysis: ['{timeframe} grafikte {indicator} {bias} — {token} destek {support}, direnç {resistance}.', '{token} {timeframe}: {indicator} uyumsuzluğu var, görünüm {bias}. {support} altı geçersiz.'],
+        memes: ['{token} aya gidiyor 🚀🚀', 'dipten al ya da ağla 🦍'],
+        positions: ['{token} için {size} ekledim @ {price}, stop {stop}.', '{size} {token} {order} pozisyonumu {pct} ile kapattım.'],
+        replies: {
+          token: ['{token} bence {bias}, destek olarak {support} izliyorum.', '{token} için hâlâ {bias}, {timeframe} {indicator} de aynı şeyi söylüyor.'],
+          holding: ['Son düşüşten beri {token} tutuyorum 💎', '{token} yarısını {tp} seviyesinde sattım, kalanı duruyor.'],
+          indicator: ['{timeframe} {indicator} bence {bias}, kapanışı bekliyorum.', 'Henüz değil, {timeframe} {indicator} nötr.'],
+          whale: ['Ben de gördüm, {token} emir defteri inceldi 🐳', 'Balinalar yine {token} oynatıyor, volatilite gelir.'],
+          trade: ['{token} girişi güzel. {stop} stop biraz dar ama.', '{token} {order} mantığı ne?'],
+          phrase: ['Katılıyorum, {token} buradan {bias} görünüyor.', 'Emin değilim, {token} bütün hafta {bias}.'],
+          generic: ['Katılıyorum.', 'Ondan emin değilim.', '+1, iyi tespit'],
+          chatter: ['aynen haha', 'ben de {token} izliyorum']
+        }
+      }
+    },
+    ru: {
+      vocabulary: {
+        chatter: ['смотрите','сигнал','покупка','продажа','внимание','норм','жесть','ликвиднуло','холд','ждём','сейчас','похоже'],
+        biasWords: { bullish: 'бычий', bearish: 'медвежий', neutral: 'нейтральный', choppy: 'боковик' }
+      },
+      templates: {
+        phrases: ['Кто-нибудь следит за {token}?', 'Стоп стоит на {stop}.', 'Тейк на {tp}.', 'Похоже на накопление.', 'Алмазные руки 💎', 'Жду подтверждения перед входом.', 'Кит на {token} 🐳', 'Только маленькая позиция, слишком рискованно.'],
+        questions: [
+          { text: 'Что думаете про {token}?', focus: 'token' },
+          { text: 'Кто ещё держит {token}?', focus: 'holding' },
+          { text: '{indicator} на {timeframe} медвежий?', focus: 'indicator' },
+          { text: 'Только что видел движение кита по {token}', focus: 'whale' }
+        ],
+        trades: ['{first} опубликовал: {token} {order} @ {price} — TP {tp} / SL {stop} ({pct})'],
+        analysis: ['{indicator} на {timeframe}: {bias} — поддержка {token} {support}, сопротивление {resistance}.', '{token} {timeframe}: дивергенция по {indicator}, картина {bias}. Отмена ниже {support}.'],
+        memes: ['{token} на луну 🚀🚀', 'откупаем дно или плачем 🦍'],
+        positions: ['Докупил {size} {token} по {price}, стоп {stop}.', 'Закрыл {order} на {size} по {token} с {pct}.'],
+        replies: {
+          token: ['По {token} настрой {bias}, слежу за {support} как поддержкой.', 'Всё ещё {bias} по {token}, {indicator} на {timeframe} согласен.'],
+          holding: ['Держу {token} с последней просадки 💎', 'Продал половину {token} на {tp}, остальное держу.'],
+          indicator: ['{indicator} на {timeframe}, по-моему, {bias}, жду закрытия.', 'Пока нет, {indicator} на {timeframe} нейтральный.'],
+          whale: ['Тоже видел, стакан по {token} стал тонким 🐳', 'Киты опять двигают {token}, будет волатильность.'],
+          trade: ['Хороший вход по {token}. Стоп на {stop} тесноват.', 'Какая логика у {order} по {token}?'],
+          phrase: ['Согласен, {token} отсюда выглядит {bias}.', 'Не уверен, {token} всю неделю {bias}.'],
+          generic: ['Согласен.', 'Не уверен.', '+1, хорошая мысль'],
+          chatter: ['ахах так же', 'тоже смотрю на {token}']
+        }
+      }
+    },
+    ar: {
+      vocabulary: {
+        chatter: ['انتبهوا','إشارة','شراء','بيع','راقب','ممتاز','يا ساتر','تصفية','احتفظ','انتظر','الآن','يبدو'],
+        biasWords: { bullish: 'صاعد', bearish: 'هابط', neutral: 'محايد', choppy: 'عرضي' }
+      },
+      templates: {
+        phrases: ['أحد يتابع {token}؟', 'وقف الخسارة عند {stop}.', 'الهدف {tp}.', 'يبدو لي تجميع.', 'أيادٍ ماسية 💎', 'أنتظر التأكيد قبل الدخول.', 'تنبيه حوت على {token} 🐳', 'صفقة صغيرة فقط، المخاطرة عالية.'],
+        questions: [
+          { text: 'ما رأيكم في {token}؟', focus: 'token' },
+          { text: 'مين كمان ماسك {token}؟', focus: 'holding' },
+          { text: 'هل {indicator} هابط على فريم {timeframe}؟', focus: 'indicator' },
+          { text: 'شفت حركة حوت على {token} قبل شوي', focus: 'whale' }
+        ],
+        trades: ['{first} نشر: {token} {order} @ {price} — الهدف {tp} / الوقف {stop} ({pct})'],
+        analysis: ['{indicator} على فريم {timeframe} {bias} — دعم {token} عند {support} ومقاومة {resistance}.', '{token} {timeframe}: دايفرجنس على {indicator}، القراءة {bias}. يلغى تحت {support}.'],
+        memes: ['{token} إلى القمر 🚀🚀', 'اشترِ القاع أو ابكِ 🦍'],
+        positions: ['أضفت {size} في {token} عند {price}، الوقف {stop}.', 'أغلقت صفقة {order} بحجم {size} على {token} بنتيجة {pct}.'],
+        replies: {
+          token: ['{token} أراه {bias}، أراقب {support} كدعم.', 'ما زلت {bias} على {token}، و{indicator} على {timeframe} يؤكد.'],
+          holding: ['ماسك {token} من آخر هبوط 💎', 'بعت نصف {token} عند {tp} وماسك الباقي.'],
+          indicator: ['{indicator} على {timeframe} {bias} برأيي، أنتظر الإغلاق.', 'ليس بعد، {indicator} محايد على {timeframe}.'],
+          whale: ['شفتها كمان، دفتر أوامر {token} صار خفيف 🐳', 'الحيتان تحرك {token} مرة ثانية، توقعوا تذبذب.'],
+          trade: ['دخول جميل على {token}. بس الوقف عند {stop} قريب.', 'ليش {order} على {token}؟'],
+          phrase: ['متفق، {token} يبدو {bias} من هنا.', 'مش متأكد، {token} {bias} طول الأسبوع.'],
+          generic: ['متفق.', 'مش متأكد من هذا.', '+1، كلام صحيح'],
+          chatter: ['ههه نفس الشي', 'أراقب {token} أيضاً']
+        }
+      }
+    },
+    fa: {
+      vocabulary: {
+        chatter: ['ببینید','سیگنال','خرید','فروش','مراقب','عالی','وای','لیکوئید','نگه دار','صبر','الان','انگار'],
+        biasWords: { bullish: 'صعودی', bearish: 'نزولی', neutral: 'خنثی', choppy: 'رنج' }
+      },
+      templates: {
+        phrases: ['کسی {token} رو دنبال می‌کنه؟', 'حد ضرر روی {stop}.', 'تارگت {tp}.', 'به نظرم انباشت داره.', 'دست الماسی 💎', 'قبل از ورود منتظر تأیید هستم.', 'هشدار نهنگ روی {token} 🐳', 'فقط پوزیشن کوچیک، ریسکش زیاده.'],
+        questions: [
+          { text: 'نظرتون درباره {token} چیه؟', focus: 'token' },
+          { text: 'کی دیگه {token} نگه داشته؟', focus: 'holding' },
+          { text: '{indicator} توی تایم {timeframe} نزولیه؟', focus: 'indicator' },
+          { text: 'همین الان حرکت نهنگ روی {token} دیدم', focus: 'whale' }
+        ],
+        trades: ['{first} گذاشت: {token} {order} @ {price} — تارگت {tp} / حد ضرر {stop} ({pct})'],
+        analysis: ['{indicator} توی تایم {timeframe} {bias} — حمایت {token} روی {support}، مقاومت {resistance}.'],
+        memes: ['{token} به سمت ماه 🚀🚀'],
+        positions: ['{size} دیگه {token} خریدم روی {price}، حد ضرر {stop}.'],
+        replies: {
+          token: ['{token} به نظرم {bias}ه، {support} رو به عنوان حمایت نگاه می‌کنم.', 'هنوز روی {token} {bias} هستم، {indicator} تایم {timeframe} هم موافقه.'],
+          holding: ['از آخرین ریزش {token} نگه داشتم 💎', 'نصف {token} رو روی {tp} فروختم، بقیه رو نگه داشتم.'],
+          indicator: ['{indicator} تایم {timeframe} به نظرم {bias}ه، منتظر کلوز هستم.', 'هنوز نه، {indicator} توی {timeframe} خنثیه.'],
+          whale: ['منم دیدم، اوردربوک {token} خالی شد 🐳', 'نهنگ‌ها دوباره {token} رو تکون میدن، نوسان در راهه.'],
+          trade: ['ورود خوبی روی {token}. ولی حد ضرر {stop} نزدیکه.', 'دلیل {order} روی {token} چیه؟'],
+          phrase: ['موافقم، {token} از اینجا {bias} به نظر میاد.', 'مطمئن نیستم، {token} کل هفته {bias} بوده.'],
+          generic: ['موافقم.', 'مطمئن نیستم.', '+1، درسته'],
+          chatter: ['منم همینطور', 'منم دارم {token} رو نگاه می‌کنم']
+        }
+      }
+    },
+    ur: {
+      vocabulary: {
+        chatter: ['دیکھو','سگنل','خریدو','بیچو','دھیان','زبردست','اوہ','لیکویڈیٹ','ہولڈ','رکو','ابھی','لگتا'],
+        biasWords: { bullish: 'تیزی', bearish: 'مندی', neutral: 'نیوٹرل', choppy: 'رینج' }
+      },
+      templates: {
+        phrases: ['کوئی {token} دیکھ رہا ہے؟', 'اسٹاپ {stop} پر ہے۔', 'ٹارگٹ {tp}۔', 'مجھے ایکیومولیشن لگ رہی ہے۔', 'ڈائمنڈ ہینڈز 💎', 'انٹری سے پہلے کنفرمیشن کا انتظار ہے۔', '{token} پر وہیل الرٹ 🐳', 'صرف چھوٹی پوزیشن، رسک زیادہ ہے۔'],
+        questions: [
+          { text: '{token} کے بارے میں کیا خیال ہے؟', focus: 'token' },
+          { text: 'اور کون {token} ہولڈ کر رہا ہے؟', focus: 'holding' },
+          { text: 'کیا {timeframe} پر {indicator} مندی دکھا رہا ہے؟', focus: 'indicator' },
+          { text: 'ابھی {token} پر وہیل کی حرکت دیکھی', focus: 'whale' }
+        ],
+        trades: ['{first} نے پوسٹ کیا: {token} {order} @ {price} — ٹارگٹ {tp} / اسٹاپ {stop} ({pct})'],
+        analysis: ['{timeframe} پر {indicator} {bias} ہے — {token} سپورٹ {support}، ریزسٹنس {resistance}۔'],
+        memes: ['{token} چاند کی طرف 🚀🚀'],
+        positions: ['{token} میں {size} مزید ڈالے {price} پر، اسٹاپ {stop}۔'],
+        replies: {
+          token: ['{token} مجھے {bias} لگ رہا ہے، {support} کو سپورٹ کے طور پر دیکھ رہا ہوں۔', '{token} پر اب بھی {bias}، {timeframe} پر {indicator} بھی یہی کہتا ہے۔'],
+          holding: ['پچھلی گراوٹ سے {token} ہولڈ کر رہا ہوں 💎', 'آدھا {token} {tp} پر بیچ دیا، باقی ہولڈ ہے۔'],
+          indicator: ['{timeframe} پر {indicator} میرے خیال میں {bias} ہے، کلوز کا انتظار ہے۔', 'ابھی نہیں، {timeframe} پر {indicator} نیوٹرل ہے۔'],
+          whale: ['میں نے بھی دیکھا، {token} کی آرڈر بک پتلی ہو گئی 🐳', 'وہیلز پھر سے {token} ہلا رہی ہیں، والیٹیلیٹی آئے گی۔'],
+          trade: ['{token} پر اچھی انٹری۔ لیکن {stop} کا اسٹاپ قریب ہے۔', '{token} پر {order} کی وجہ کیا ہے؟'],
+          phrase: ['متفق، {token} یہاں سے {bias} لگ رہا ہے۔', 'پتا نہیں، {token} پورا ہفتہ {bias} رہا ہے۔'],
+          generic: ['متفق ہوں۔', 'اس کا یقین نہیں۔', '+1، اچھی بات'],
+          chatter: ['ہاہا میں بھی', 'میں بھی {token} دیکھ رہا ہوں']
+        }
+      }
+    },
+    hi: {
+      vocabulary: {
+        chatter: ['देखो','सिग्नल','खरीदो','बेचो','ध्यान','बढ़िया','अरे','लिक्विडेट','होल्ड','रुको','अभी','लगता'],
+        biasWords: { bullish: 'तेज़ी', bearish: 'मंदी', neutral: 'न्यूट्रल', choppy: 'साइडवेज़' }
+      },
+      templates: {
+        phrases: ['कोई {token} देख रहा है?', 'स्टॉप {stop} पर लगाया है।', 'टारगेट {tp}।', 'मुझे एक्युमुलेशन लग रहा है।', 'डायमंड हैंड्स 💎', 'एंट्री से पहले कन्फर्मेशन का इंतज़ार।', '{token} पर व्हेल अलर्ट 🐳', 'सिर्फ छोटी पोज़िशन, रिस्क ज़्यादा है।'],
+        questions: [
+          { text: '{token} के बारे में क्या सोचते हो?', focus: 'token' },
+          { text: 'और कौन {token} होल्ड कर रहा है?', focus: 'holding' },
+          { text: 'क्या {timeframe} पर {indicator} मंदी दिखा रहा है?', focus: 'indicator' },
+          { text: 'अभी {token} पर व्हेल मूव देखा', focus: 'whale' }
+        ],
+        trades: ['{first} ने पोस्ट किया: {token} {order} @ {price} — टारगेट {tp} / स्टॉप {stop} ({pct})'],
+        analysis: ['{timeframe} पर {indicator} {bias} में है — {token} सपोर्ट {support}, रेज़िस्टेंस {resistance}।'],
+        memes: ['{token} चाँद की ओर 🚀🚀'],
+        positions: ['{token} में {size} और डाले {price} पर, स्टॉप {stop}।'],
+        replies: {
+          token: ['{token} मुझे {bias} में लग रहा है, {support} सपोर्ट पर नज़र है।', '{token} पर अभी भी {bias}, {timeframe} पर {indicator} भी यही कहता है।'],
+          holding: ['पिछली गिरावट से {token} होल्ड कर रहा हूँ 💎', 'आधा {token} {tp} पर बेच दिया, बाकी होल्ड है।'],
+          indicator: ['{timeframe} पर {indicator} मेरे हिसाब से {bias} है, क्लोज़ का इंतज़ार।', 'अभी नहीं, {timeframe} पर {indicator} न्यूट्रल है।'],
+          whale: ['मैंने भी देखा, {token} की ऑर्डर बुक पतली हो गई 🐳', 'व्हेल फिर से {token} हिला रहे हैं, वोलैटिलिटी आएगी।'],
+          trade: ['{token} पर बढ़िया एंट्री। पर {stop} का स्टॉप टाइट है।', '{token} पर {order} क्यों लिया?'],
+          phrase: ['सहमत, {token} यहाँ से {bias} लग रहा है।', 'पता नहीं, {token} पूरे हफ्ते {bias} रहा है।'],
+          generic: ['सहमत।', 'इस पर पक्का नहीं हूँ।', '+1, सही बात'],
+          chatter: ['हाहा सेम', 'मैं भी {token} देख रहा हूँ']
+        }
+      }
+    },
+    zh: {
+      vocabulary: {
+        chatter: ['注意','信号','买','卖','盯着','不错','哎呀','爆仓','拿住','等等','现在','看起来'],
+        biasWords: { bullish: '看涨', bearish: '看跌', neutral: '中性', choppy: '震荡' }
+      },
+      templates: {
+        phrases: ['有人在看{token}吗？', '止损设在{stop}。', '止盈{tp}。', '看起来像是在吸筹。', '钻石手 💎', '等确认再进场。', '{token}巨鲸预警 🐳', '只开了小仓位，风险太大。'],
+        questions: [
+          { text: '大家怎么看{token}？', focus: 'token' },
+          { text: '还有谁拿着{token}？', focus: 'holding' },
+          { text: '{timeframe}级别的{indicator}是看跌吗？', focus: 'indicator' },
+          { text: '刚看到{token}有巨鲸异动', focus: 'whale' }
+        ],
+        trades: ['{first}发布：{token} {order} @ {price} — 止盈 {tp} / 止损 {stop}（{pct}）'],
+        analysis: ['{timeframe}级别{indicator}{bias} — {token}支撑{support}，压力{resistance}。', '{token} {timeframe}：{indicator}背离，偏{bias}。跌破{support}失效。'],
+        memes: ['{token}冲向月球 🚀🚀', '抄底还是哭 🦍'],
+        positions: ['刚在{price}加仓{size}的{token}，止损{stop}。', '{size}的{token} {order}已平仓，收益{pct}。'],
+        replies: {
+          token: ['我觉得{token}{bias}，关注{support}的支撑。', '{token}还是{bias}，{timeframe}的{indicator}也这么说。'],
+          holding: ['上次回调后一直拿着{token} 💎', '{tp}卖了一半{token}，剩下的继续拿。'],
+          indicator: ['{timeframe}的{indicator}我看是{bias}，等收盘。', '还没有，{timeframe}的{indicator}还是中性。'],
+          whale: ['我也看到了，{token}的盘口变薄了 🐳', '巨鲸又在动{token}，要有波动了。'],
+          trade: ['{token}入场不错，不过{stop}的止损有点近。', '{token}做{order}的理由是什么？'],
+          phrase: ['同意，{token}从这里看{bias}。', '不确定，{token}这一周都{bias}。'],
+          generic: ['同意。', '这个不太确定。', '+1，说得好'],
+          chatter: ['哈哈一样', '我也在看{token}']
+        }
+      }
+    }
+  };
+
+  const FOREX_PACK = {
+    id: 'forex',
+    label: 'Forex',
+    vocabulary: {
+      tokens: ['EURUSD','GBPUSD','USDJPY','AUDUSD','USDCAD','USDCHF','NZDUSD','EURGBP','XAUUSD'],
+      indicators: ['RSI','MACD','EMA50','EMA200','ATR','Fibonacci','Bollinger','pivot'],
+      timeframes: ['M5','M15','H1','H4','D1','W1'],
+      orders: ['buy','sell','long','short','buy limit','sell stop'],
+      biases: ['bullish','bearish','ranging','overextended'],
+      chatter: ['pips','spread','news','NFP','CPI','london','NY','session','range','breakout','wait','entry'],
+      slang: ['lads,','fam','bro','ngl'],
+      emoji: ['📈','📉','💵','💶','💷','💴','🏦','⚠️','✅','❌','🔥'],
+      attachments: ['chart.png','screenshot.jpg','session-recap.pdf','setup.png']
+    },
+    templates: {
+      phrases: [
+        'Anyone trading {token} this session?',
+        'Stop at {stop}, no exceptions.',
+        'TP at {tp}.',
+        'London open was brutal on {token}.',
+        'Spreads are wide before the news, careful.',
+        'Sitting on my hands until NFP.',
+        'Risk 1% per trade, always.',
+        'That fakeout took my stop again 😅',
+        'Waiting for the NY session to confirm.',
+        'Central bank speech later — expect volatility on {token}.',
+        'Clean break of the range on {token}.',
+        'Journal your trades, it helps.'
+      ],
+      questions: [
+        { text: 'Anyone got a bias on {token} today?', focus: 'token' },
+        { text: 'Who is still in {token} from yesterday?', focus: 'holding' },
+        { text: 'Is {indicator} bearish on {token} {timeframe}?', focus: 'indicator' },
+        { text: 'What time is the {token} news release?', focus: 'news' }
+      ],
+      trades: ['{first} opened {token} {order} @ {price} — TP {tp} / SL {stop} ({pct})'],
+      analysis: [
+        '{token} {timeframe}: {indicator} is {bias}, support {support}, resistance {resistance}.',
+        '{indicator} on {token} {timeframe} reads {bias}; invalidation {stop}.',
+        'Daily structure on {token} still {bias}, {indicator} on {timeframe} agrees.'
+      ],
+      memes: ['pips printing on {token} 💸', 'stop hunted again 🙃', 'the {token} rollercoaster never ends', 'NFP casino tonight 🎰'],
+      positions: ['Added {size} on {token} @ {price}, SL {stop}.', 'Closed {size} {token} {order} for {pct}.', 'Scaling into {size} of {token} around {price}.'],
+      replies: {
+        token: [
+          '{token} looks {bias} to me, key level {stop}.',
+          '{bias} on {token} until {tp} breaks.',
+          'I am flat on {token}, {indicator} on {timeframe} is mixed.'
+        ],
+        holding: [
+          'Still in {token}, moved SL to {stop}.',
+          'Closed half of {token} at {tp}.',
+          'Me, {token} is {pct} on the week.'
+        ],
+        indicator: [
+          '{indicator} on {token} {timeframe} looks {bias}, waiting for the candle close.',
+          'Not yet — {indicator} still neutral on {timeframe}.',
+          '{timeframe} {indicator} says {bias}, I would not fade it.'
+        ],
+        news: [
+          'High impact at 13:30 UTC, stay flat on {token} before it.',
+          'Check the calendar, {token} gets CPI today.',
+          'After the release spreads on {token} normalize, then I enter.'
+        ],
+        trade: [
+          'Nice {token} entry, SL {stop} is a bit tight for {timeframe}.',
+          'Why {order} on {token} here?',
+          'Same idea on {token}, TP {tp} 🎯'
+        ],
+        phrase: [
+          'Agreed, {token} looks {bias}.',
+          'Same read on {token} {timeframe}.',
+          'Not convinced, {token} has been {bias} all week.'
+        ],
+        generic: ['Agreed.', 'Good reminder.', 'Not sure about that.', '+1'],
+        chatter: ['lol same', '{token} is moving today', 'watching {token} too']
+      }
+    },
+    familyWeights: { phrase: 0.40, chatter: 0.25, trade: 0.20, question: 0.15 },
+    volatility: 0.0012,
+    prices: {
+      EURUSD: [1.05, 1.12, 4], GBPUSD: [1.22, 1.30, 4], USDJPY: [140, 152, 2], AUDUSD: [0.63, 0.69, 4],
+      USDCAD: [1.32, 1.38, 4], USDCHF: [0.86, 0.92, 4], NZDUSD: [0.58, 0.63, 4], EURGBP: [0.84, 0.88, 4],
+      XAUUSD: [1900, 2100, 1], '*': [1, 2, 4]
+    }
+  };
+
+  const OPTIONS_PACK = {
+    id: 'options',
+    label: 'Stock options',
+    vocabulary: {
+      tokens: ['SPY','QQQ','AAPL','TSLA','NVDA','AMZN','MSFT','META','AMD','IWM'],
+      indicators: ['IV','delta','theta','gamma','RSI','VWAP','open interest','put/call ratio'],
+      timeframes: ['5m','15m','1h','daily','weekly'],
+      orders: ['calls','puts','call spread','put spread','iron condor','covered call','CSP'],
+      biases: ['bullish','bearish','neutral','stretched'],
+      chatter: ['IV','crush','theta','gang','0DTE','strike','expiry','roll','premium','assigned','flow','hedge'],
+      slang: ['apes,','bro','fam','ngl'],
+      emoji: ['📈','📉','🐻','🐂','🔥','💸','⚠️','✅','❌','🎯','🧻'],
+      attachments: ['chart.png','screenshot.jpg','flow.png','pnl.png','report.pdf']
+    },
+    templates: {
+      phrases: [
+        'Anyone playing {token} earnings?',
+        'Stop on the underlying at {stop}.',
+        'Target {tp} on {token}.',
+        'IV crush got me again 😅',
+        'Theta gang eating today.',
+        'Rolling my {token} position out a week.',
+        'Never hold 0DTE into the close.',
+        'Sized down, this tape is messy.',
+        'Unusual flow on {token} again.',
+        'Premium is juicy on {token} right now.',
+        'Got assigned, wheel continues.',
+        'Took profits at 50%, not greedy.'
+      ],
+      questions: [
+        { text: 'Thoughts on {token} into earnings?', focus: 'token' },
+        { text: 'Who is holding {token} {order} over the weekend?', focus: 'holding' },
+        { text: 'Is {indicator} on {token} looking {bias} on the {timeframe}?', focus: 'indicator' },
+        { text: 'Huge unusual flow on {token} just hit the tape', focus: 'flow' }
+      ],
+      trades: ['{first} opened {token} {order} — underlying @ {price}, target {tp} / stop {stop} ({pct})'],
+      analysis: [
+        '{token} {timeframe}: {indicator} looks {bias}, levels {support} / {resistance}.',
+        '{indicator} on {token} is {bias} on the {timeframe}; I would sell premium above {resistance}.',
+        'Skew on {token} reads {bias}, {indicator} confirms on the {timeframe}.'
+      ],
+      memes: ['{token} calls go brrr 🚀', 'theta gang sends its regards 🧻', 'bought the top again 🤡', 'sir this is a casino'],
+      positions: ['Opened {size} of {token} {order}, underlying @ {price}.', 'Closed {size} {token} {order} for {pct}.', 'Sold {size} in {token} premium, stop on underlying {stop}.'],
+      replies: {
+        token: [
+          '{token} looks {bias} to me, {stop} is the line.',
+          'Selling premium on {token}, {indicator} is too high to buy.',
+          'I am in {token} {order}, target {tp}.'
+        ],
+        holding: [
+          'Holding my {token} {order}, stop at {stop}.',
+          'Closed my {token} {order} for {pct}.',
+          'Rolled the {token} {order} to next week.'
+        ],
+        indicator: [
+          '{indicator} on {token} {timeframe} looks {bias}, I would wait.',
+          '{indicator} is elevated on {token}, spreads over naked {order}.',
+          'Checked {indicator}: {bias} on the {timeframe}.'
+        ],
+        flow: [
+          'Saw it — big {token} {order} sweep, could be a hedge.',
+          'Flow on {token} has been wrong all month.',
+          'Following the {token} flow with a small {order}.'
+        ],
+        trade: [
+          'Nice {token} entry. {stop} stop feels tight with this IV.',
+          'What strike on the {token} {order}?',
+          'Tailing {token}, target {tp} 🎯'
+        ],
+        phrase: [
+          'Agreed, {token} looks {bias}.',
+          'Same on {token}, {indicator} confirms.',
+          'Not sure, {token} has been {bias} all week.'
+        ],
+        generic: ['Agreed.', 'Good reminder.', 'Not sure about that one.', '+1'],
+        chatter: ['lol same', '{token} is wild today', 'watching {token} too']
+      }
+    },
+    familyWeights: { phrase: 0.40, chatter: 0.25, trade: 0.20, question: 0.15 },
+    volatility: 0.004,
+    prices: {
+      SPY: [430, 470], QQQ: [360, 400], AAPL: [170, 195], TSLA: [180, 260], NVDA: [420, 500],
+      AMZN: [125, 145], MSFT: [320, 370], META: [290, 340], AMD: [95, 125], IWM: [175, 195], '*': [50, 150]
+    }
+  };
+
+  const DEFAULT_VOLATILITY = 0.006; // hourly log-return stddev in the normal regime (packs may set `volatility`)
+  const FAMILIES = ['phrase','chatter','trade','question','analysis','meme','position'];
+  const FAMILY_TEMPLATES = { analysis: 'analysis', meme: 'memes', position: 'positions' };
+  // what replies to archetype families talk about
+  const FAMILY_REPLY_FOCUS = { analysis: 'indicator', meme: 'chatter', position: 'trade' };
+  const EMOJI = CRYPTO_PACK.vocabulary.emoji;
+
+  const PACKS = {}; // id -> normalized pack
+
+  // fill missing sections from the crypto pack so partial packs still generate every family
+  function normalizePack(pack){
+    if(!pack || typeof pack !== 'object' || !pack.id) return null;
+    if(!pack.vocabulary || !Array.isArray(pack.vocabulary.tokens) || !pack.vocabulary.tokens.length) return null;
+    const base = PACKS.crypto || CRYPTO_PACK;
+    const vocab = Object.assign({}, base.vocabulary, pack.vocabulary);
+    const tpl = pack.templates || {};
+    const templates = {
+      phrases: (tpl.phrases && tpl.phrases.length) ? tpl.phrases.slice() : base.templates.phrases,
+      questions: (tpl.questions && tpl.questions.length) ? tpl.questions.map(q => typeof q === 'string' ? { text: q, focus: 'token' } : q) : base.templates.questions,
+      trades: (tpl.trades && tpl.trades.length) ? tpl.trades.slice() : base.templates.trades,
+      analysis: (tpl.analysis && tpl.analysis.length) ? tpl.analysis.slice() : base.templates.analysis,
+      memes: (tpl.memes && tpl.memes.length) ? tpl.memes.slice() : base.templates.memes,
+      positions: (tpl.positions && tpl.positions.length) ? tpl.positions.slice() : base.templates.positions,
+      replies: Object.assign({}, base.templates.replies, tpl.replies || {})
+    };
+    const fw = Object.assign({}, base.familyWeights, pack.familyWeights || {});
+    let total = 0;
+    FAMILIES.forEach(f => { fw[f] = Math.max(0, Number(fw[f]) || 0); total += fw[f]; });
+    if(total <= 0) return null;
+    // cumulative thresholds in FAMILIES order
+    let acc = 0;
+    const familyCdf = FAMILIES.map(f => (acc += fw[f] / total));
+    // locale overlays: missing sections fall back to this pack; slang only if the locale has its own
+    const locales = {};
+    Object.keys(pack.locales || {}).forEach(lang => {
+      const loc = pack.locales[lang] || {};
+      const lt = loc.templates || {};
+      const own = (k) => (lt[k] && lt[k].length) ? lt[k].slice() : templates[k];
+      locales[lang.toLowerCase()] = {
+        vocabulary: Object.assign({}, vocab, { slang: [] }, loc.vocabulary || {}),
+        templates: {
+          phrases: own('phrases'),
+          questions: (lt.questions && lt.questions.length) ? lt.questions.map(q => typeof q === 'string' ? { text: q, focus: 'token' } : q) : templates.questions,
+          trades: own('trades'),
+          analysis: own('analysis'),
+          memes: own('memes'),
+          positions: own('positions'),
+          replies: Object.assign({}, templates.replies, lt.replies || {})
+        }
+      };
+    });
+    return {
+      id: String(pack.id),
+      label: pack.label || String(pack.id),
+      vocabulary: vocab,
+      templates,
+      familyWeights: fw,
+      familyCdf,
+      locales,
+      prices: Object.assign({ '*': [94, 106] }, pack.prices || {}),
+      volatility: Number(pack.volatility) || DEFAULT_VOLATILITY
+    };
+  }
+
+  CRYPTO_PACK.locales = CRYPTO_LOCALES;
+  [CRYPTO_PACK, FOREX_PACK, OPTIONS_PACK].forEach(p => { PACKS[p.id] = normalizePack(p); });
+
+  // packs option -> [{ pack, cdf }] (accepts 'id', ['id', ...] or [{ id, weight }, ...])
+  const packMixCache = new Map(); // keyed by the packs option itself (hot path) and by its JSON
+  function resolvePackMix(packs){
+    if(packMixCache.has(packs)) return packMixCache.get(packs);
+    const list = !packs ? ['crypto'] : Array.isArray(packs) ? packs : [packs];
+    const key = JSON.stringify(list);
+    if(packMixCache.has(key)){
+      packMixCache.set(packs, packMixCache.get(key));
+      return packMixCache.get(key);
+    }
+    const entries = [];
+    list.forEach(e => {
+      const id = typeof e === 'string' ? e : (e && e.id);
+      const weight = (e && typeof e === 'object' && e.weight !== undefined) ? Math.max(0, Number(e.weight) || 0) : 1;
+      if(PACKS[id] && weight > 0) entries.push({ pack: PACKS[id], weight });
+      else if(!PACKS[id]) console.warn('MessagePool: unknown template pack', id);
+    });
+    if(!entries.length) entries.push({ pack: PACKS.crypto, weight: 1 });
+    const total = entries.reduce((s, e) => s + e.weight, 0);
+    let acc = 0;
+    const mix = entries.map(e => ({ pack: e.pack, cdf: (acc += e.weight / total) }));
+    packMixCache.set(key, mix);
+    if(packs && typeof packs === 'object') packMixCache.set(packs, mix);
+    return mix;
+  }
+
+  const REPLY_WINDOW = 500;     // replies point at most this many messages back
+  const MAX_THREAD_DEPTH = 64;  // safety bound when walking reply chains
+  const DEDUPE_WINDOW = 2048;   // a message is compared with this many raw predecessors
+  const NUMERIC_SLOTS = /\{(price|tp|stop|support|resistance|pct|size)\}/; // templates whose text practically never repeats
+  const HASH_MEMO_SIZE = 20000; // raw-text hashes kept per generated pool (see _hashMemoFor)
+  const DEDUPE_PREFIXES = ['', '', 'honestly,', 'ok', 'yeah', 'hmm', 'lol', 'again:', 'fwiw'];
+  const DEDUPE_TAILS = ['', 'tbh', 'imo', 'ngl', 'fr', '👀', 'again', 'lol', 'for real this time', 'just saying'];
+
+  /* ---------- Voice (archetype + emotion) ---------- */
+  // How a sender's personality (SyntheticPeople archetype) reshapes the pack's family weights:
+  // weight_f = pack.familyWeights[f] * mul[f] + add[f]. emoji/slang: chance to add an emoji / slang opener.
+  const ARCHETYPE_STYLES = {
+    Analyst:       { mul: { chatter: 0.4, question: 0.6 }, add: { analysis: 0.55 } },
+    MemeTrader:    { mul: { trade: 0.3, question: 0.5 }, add: { meme: 0.6 }, emoji: 0.5, slang: 0.35 },
+    HODLer:        { mul: { trade: 0.4 }, add: { meme: 0.08, position: 0.05 } },
+    BotBuilder:    { mul: { chatter: 0.6 }, add: { analysis: 0.25 } },
+    Shiller:       { add: { meme: 0.3, position: 0.08 }, emoji: 0.35, slang: 0.2 },
+    Moderator:     { mul: { chatter: 0.3, trade: 0.3 } },
+    QuietObserver: { mul: { chatter: 0.5, trade: 0.5 } },
+    Questioner:    { mul: { phrase: 0.5, chatter: 0.5 }, add: { question: 0.8 } },
+    Researcher:    { mul: { chatter: 0.5 }, add: { analysis: 0.4 } },
+    Whale:         { mul: { chatter: 0.3, question: 0.5 }, add: { position: 0.7 } },
+    DayTrader:     { add: { trade: 0.25, analysis: 0.12 } },
+    Scalper:       { add: { trade: 0.35 } },
+    Investor:      { mul: { chatter: 0.5, trade: 0.6 }, add: { analysis: 0.2, position: 0.05 } }
+  };
+
+  // emotionBaseline -> bias lean (multipliers on vocabulary.biases) and tone markers added with probability rate
+  const EMOTION_TONES = {
+    positive:  { rate: 0.25, bias: { bullish: 2 }, tails: ['🙂', 'nice', 'good vibes'] },
+    excited:   { rate: 0.45, bias: { bullish: 3 }, tails: ['lets go!!', '🚀', 'LFG', '🔥'], exclaim: true },
+    angry:     { rate: 0.40, bias: { bearish: 2.5 }, prefixes: ['smh', 'ugh,', 'seriously,'], tails: ['😤', 'this is ridiculous'] },
+    skeptical: { rate: 0.35, bias: { bearish: 1.5, neutral: 1.5 }, prefixes: ['idk,', 'not convinced,', 'hmm'], tails: ['🤔', 'we will see'] },
+    curious:   { rate: 0.30, tails: ['thoughts?', 'anyone?', '🤔'] },
+    tired:     { rate: 0.35, prefixes: ['meh', 'ugh'], tails: ['😴', 'long day'], lower: true },
+    confident: { rate: 0.30, bias: { bullish: 1.5 }, tails: ['trust me', 'easy', 'mark my words'] },
+    nervous:   { rate: 0.35, bias: { bearish: 2 }, tails: ['😬', 'scared tbh', 'careful out there'] }
+  };
+
+  const NO_STYLE = {};
+
+  function styleFor(sender){ return (sender && ARCHETYPE_STYLES[sender.personality]) || NO_STYLE; }
+  function toneFor(sender){ return (sender && EMOTION_TONES[sender.emotionBaseline]) || null; }
+
+  // family thresholds for a pack as spoken by an archetype (cached per pack + archetype)
+  const familyCdfCache = new Map();
+  function familyCdfFor(pack, personality){
+    const style = ARCHETYPE_STYLES[personality];
+    if(!style) return pack.familyCdf;
+    const key = pack.id + '|' + personality;
+    let cdf = familyCdfCache.get(key);
+    if(cdf && cdf.pack === pack) return cdf.cdf;
+    const mul = style.mul || {}, add = style.add || {};
+    let total = 0;
+    const ws = FAMILIES.map(f => {
+      const w = Math.max(0, pack.familyWeights[f] * (mul[f] === undefined ? 1 : mul[f]) + (add[f] || 0));
+      total += w;
+      return w;
+    });
+    let acc = 0;
+    cdf = { pack, cdf: ws.map(w => (acc += w / total)) };
+    familyCdfCache.set(key, cdf);
+    return cdf.cdf;
+  }
+
+  // bias word leaning toward the sender's emotion (packs without those words fall back to uniform)
+  // lean: optional extra multipliers from the market trend
+  function pickBias(biases, tone, rnd, lean){
+    if((!tone || !tone.bias) && !lean) return pickFrom(biases, rnd);
+    const tb = (tone && tone.bias) || {}, lb = lean || {};
+    let total = 0;
+    const ws = biases.map(b => (total += (tb[b] || 1) * (lb[b] || 1)));
+    const x = rnd() * total;
+    for(let k=0; k<ws.length; k++) if(x < ws[k]) return biases[k];
+    return biases[biases.length - 1];
+  }
+
+  // stable per-member writing habits, derived from the member id. The favourite emoji is kept as a draw and
+  // looked up in the current pack's list, so blended packs give the same text whichever pack came first.
+  const quirkCache = new Map();
+  function memberQuirks(sender){
+    const id = sender && (sender.id || sender.name);
+    if(!id) return NO_STYLE;
+    let q = quirkCache.get(id);
+    if(!q){
+      const r = xorshift32(strHash(id) ^ 0x5eed);
+      q = { lowercase: r() < 0.12, noPeriod: r() < 0.25, emojiPick: r() };
+      if(quirkCache.size > 20000) quirkCache.clear();
+      quirkCache.set(id, q);
+    }
+    return q;
+  }
+
+  // language a message is written in: the sender's when the pack has that locale, minus the code-switch share
+  function messageLanguage(pack, sender, codeSwitch, rnd){
+    const lang = sender && sender.language ? String(sender.language).toLowerCase() : 'en';
+    if(lang === 'en' || !pack.locales || !pack.locales[lang]) return 'en';
+    return rnd() < codeSwitch ? 'en' : lang;
+  }
+
+  function localeOf(pack, lang){ return (lang && pack.locales && pack.locales[lang]) || pack; }
+
+  // English tone/dedupe words only go on English text; other languages keep the neutral markers (emoji, "+1")
+  function markersFor(list, lang){ return (!lang || lang === 'en') ? list : (list || []).filter(x => !/[a-z]/i.test(x)); }
+
+  function lowerFirst(s){ return s && !/^[A-Z]{2}/.test(s) ? s.charAt(0).toLowerCase() + s.slice(1) : s; }
+
+  // apply emotion tone, archetype slang/emoji and member quirks to a rendered message
+  function applyVoice(text, sender, vocab, rnd, lang){
+    const style = styleFor(sender);
+    const tone = toneFor(sender);
+    if(tone && rnd() < tone.rate){
+      const prefixes = markersFor(tone.prefixes, lang), tails = markersFor(tone.tails, lang);
+      if(tone.exclaim) text = text.replace(/\.$/, '!');
+      if(prefixes && prefixes.length && rnd() < 0.5) text = pickFrom(prefixes, rnd) + ' ' + lowerFirst(text);
+      else if(tails && tails.length) text = text + ' ' + pickFrom(tails, rnd);
+      if(tone.lower) text = text.toLowerCase();
+    }
+    if(style.slang && vocab.slang && vocab.slang.length && rnd() < style.slang) text = pickFrom(vocab.slang, rnd) + ' ' + lowerFirst(text);
+    const quirks = memberQuirks(sender);
+    if(style.emoji && rnd() < style.emoji){
+      const fav = (quirks.emojiPick !== undefined && vocab.emoji && vocab.emoji.length) ? vocab.emoji[Math.floor(quirks.emojiPick * vocab.emoji.length)] : null;
+      text = text + ' ' + (fav || pickFrom(vocab.emoji, rnd));
+    }
+    if(quirks.lowercase) text = text.toLowerCase();
+    if(quirks.noPeriod) text = text.replace(/\.$/, '');
+    return text;
+  }
 
   /* ---------- Defaults (tuned for long-run realism) ---------- */
   const DEFAULT = {
@@ -70,22 +1004,62 @@
     replyFraction: 0.06,
     attachmentFraction: 0.04,
     pinnedFraction: 0.0008,
-    adminSpeakBoost: 0.04
+    adminSpeakBoost: 0.04,
+    packs: ['crypto'],  // template packs to use/blend (see registerTemplatePack)
+    codeSwitch: 0.3,    // share of non-English speakers' messages written in English anyway
+    activity: null      // activity curve overrides (see DEFAULT_ACTIVITY / configureActivity)
+  };
+
+  /* ---------- Activity curve (timestamp distribution) ---------- */
+  // Message i is placed at the inverse CDF of an hourly intensity curve evaluated at (i + u) / size,
+  // so timestamps stay ordered by index while following the curve. Intensity at hour t is
+  //   sum over timezone groups g of  g.weight * hourWeights[localHour_g(t)] * dayWeights[localDay_g(t)]
+  //   * burst(t) (market events) * periods(t)
+  // where groups bucket SyntheticPeople members by their country's UTC offset.
+  const HOUR_MS = 3600000;
+  const DAY_MS = 86400000;
+  const DEFAULT_ACTIVITY = {
+    // relative activity by local hour 0..23: quiet overnight, peaks around market open and the evening
+    hourWeights: [0.35,0.22,0.15,0.10,0.08,0.10,0.20,0.40,0.70,0.95,1.10,1.00,0.95,1.05,1.20,1.25,1.15,1.00,0.95,1.00,1.05,0.95,0.75,0.50],
+    dayWeights: [0.50,1.00,1.00,1.00,1.00,0.95,0.55], // local day of week, Sunday first
+    eventsPerWeek: 1.5,        // simulated market events that cause bursts
+    burstMultiplier: [2, 6],   // peak activity multiplier range of an event
+    burstHours: [1, 8],        // decay time constant range (hours) of an event
+    periods: [],               // extra absolute windows: [{ start, end, multiplier }] (ms timestamps)
+    // sender activity: weight = pareto(alpha) * archetype * (1 - fatigue) * authority, lurkers scaled down,
+    // ADMIN/MOD rescaled so together they post meta.adminSpeakBoost of all messages
+    paretoAlpha: 1.2,
+    maxSenderWeight: 400,
+    lurkerFraction: 0.5,
+    lurkerWeight: 0.05,
+    archetypeWeights: {
+      Analyst: 1.4, MemeTrader: 1.8, HODLer: 0.6, BotBuilder: 0.9, Shiller: 2.0, Moderator: 1.2, QuietObserver: 0.02,
+      Questioner: 1.3, Researcher: 0.8, Whale: 0.5, DayTrader: 1.6, Scalper: 1.5, Investor: 0.5
+    }
   };
 
+
   /* ---------- Helpers ---------- */
   function pickFrom(arr, rnd) { if(!arr || !arr.length) return null; return arr[Math.floor(rnd()*arr.length)]; }
   function renderTemplate(template, env){ return template.replace(/\{(\w+)\}/g, (m,k)=> env[k] !== undefined ? env[k] : m); }
-  function fmtPrice(v){ return (Math.round(v*100)/100).toLocaleString(); }
+  // position size like "$250k" / "$1.2M"
+  function fmtSize(rnd){
+    const v = Math.round(Math.pow(10, 4.5 + rnd() * 2));
+    return v >= 1e6 ? '$' + (Math.round(v / 1e5) / 10) + 'M' : '$' + Math.round(v / 1e3) + 'k';
+  }
+  const priceFormats = {}; // decimals -> Intl.NumberFormat (constructing one per call is slow)
+  function fmtPrice(v, decimals){
+    const d = decimals === undefined ? 2 : decimals;
+    const f = Math.pow(10, d);
+    const nf = priceFormats[d] || (priceFormats[d] = new Intl.NumberFormat(undefined, { maximumFractionDigits: d }));
+    return nf.format(Math.round(v*f)/f);
+  }
   function fmtPercent(p){ return (Math.round(p*100)/100).toFixed(2) + '%'; }
 
-  function randPriceForToken(token, rnd){
-    let base = 100 * (1 + (token.charCodeAt(0) % 7));
-    if(token === 'BTC') base = 30000;
-    if(token === 'ETH') base = 2000;
-    if(token === 'DOGE') base = 0.08;
-    const jitter = (rnd()-0.5) * base * 0.12;
-    return Math.max(0.0001, base + jitter);
+  // pack price range for a token: { min, max, decimals }
+  function priceRange(pack, token){
+    const r = pack.prices[token] || pack.prices['*'];
+    return { min: Number(r[0]), max: Number(r[1]), decimals: r[2] !== undefined ? Number(r[2]) : 2 };
   }
 
   // FNV-ish content hash (fast, deterministic)
@@ -98,111 +1072,924 @@
     return (h >>> 0).toString(16);
   }
 
-  // small LRU for dedupe tracking
-  function makeLRU(cap){
-    const keys = [], set = new Set();
+  // bounded index -> content hash memo so sequential generation hashes each raw message once
+  const hashMemoByOpts = new WeakMap(); // generation options object -> { curve, memo } (see _hashMemoFor)
+  function makeHashMemo(cap){
+    const map = new Map();
+    return {
+      get(k){ return map.get(k); },
+      set(k, v){
+        map.set(k, v);
+        if(map.size > cap) map.delete(map.keys().next().value);
+      }
+    };
+  }
+
+  function lerp(range, t){ return Number(range[0]) + (Number(range[1]) - Number(range[0])) * t; }
+
+  // deterministic market events across [start, end): { time, multiplier, decayMs }
+  function makeMarketEvents(cfg, start, end, seedBase){
+    const r = xorshift32(mixSeed(seedBase, Math.floor(start / HOUR_MS), 0xe7e7));
+    const count = Math.max(0, Math.round(Number(cfg.eventsPerWeek || 0) * (end - start) / (7 * DAY_MS)));
+    const events = [];
+    for(let k=0;k<count;k++){
+      events.push({ time: Math.round(start + r() * (end - start)), multiplier: lerp(cfg.burstMultiplier, r()), decayMs: lerp(cfg.burstHours, r()) * HOUR_MS });
+    }
+    return events.sort((a,b) => a.time - b.time);
+  }
+
+  // activity multiplier from events: short ramp-up before, exponential decay after
+  function burstFactor(events, t){
+    let f = 1;
+    for(let k=0;k<events.length;k++){
+      const e = events[k];
+      const dt = t - e.time;
+      if(dt >= 0) f += (e.multiplier - 1) * Math.exp(-dt / e.decayMs);
+      else if(dt > -e.decayMs) f += (e.multiplier - 1) * Math.exp(dt * 4 / e.decayMs) * 0.5;
+    }
+    return f;
+  }
+
+  function periodFactor(periods, t){
+    let f = 1;
+    for(let k=0;k<periods.length;k++){
+      const p = periods[k];
+      if(t >= Number(p.start) && t < Number(p.end)) f *= Math.max(0, Number(p.multiplier));
+    }
+    return f;
+  }
+
+  // local-time weight of a timezone group at UTC time t (1970-01-01 was a Thursday)
+  function localWeight(cfg, t, offsetMs){
+    const lt = t + offsetMs;
+    const hour = Math.floor(lt / HOUR_MS) % 24;
+    const day = (Math.floor(lt / DAY_MS) + 4) % 7;
+    return cfg.hourWeights[(hour + 24) % 24] * cfg.dayWeights[(day + 7) % 7];
+  }
+
+  // stable 32-bit hash of a string (member ids)
+  function strHash(s){
+    let h = 2166136261;
+    s = String(s || '');
+    for(let i=0;i<s.length;i++){ h ^= s.charCodeAt(i); h = Math.imul(h, 16777619); }
+    return h >>> 0;
+  }
+
+  function isStaff(p){ return p.role === 'ADMIN' || p.role === 'MOD'; }
+
+  // heavy-tailed per-member posting weight from traits (deterministic per member id)
+  function memberActivityWeight(p, cfg, seedBase){
+    const r = xorshift32(mixSeed(seedBase, strHash(p.id || p.name), 0xac71));
+    const u = r();
+    let w = Math.min(Number(cfg.maxSenderWeight) || 400, Math.pow(1 - u, -1 / (Number(cfg.paretoAlpha) || 1.2)));
+    if(r() < cfg.lurkerFraction) w *= cfg.lurkerWeight;
+    const arch = cfg.archetypeWeights && cfg.archetypeWeights[p.personality];
+    w *= (arch !== undefined ? arch : 1);
+    w *= 1 - clamp(Number(p.fatigue) || 0, 0, 0.95);
+    w *= 1 + 0.15 * Math.max(0, (Number(p.authority) || 1) - 1);
+    return w;
+  }
+
+  // Vose alias table: O(n) build, O(1) weighted pick
+  function buildAliasTable(weights){
+    const n = weights.length;
+    const prob = new Float64Array(n), alias = new Int32Array(n);
+    const total = weights.reduce((a,b) => a + b, 0) || 1;
+    const scaled = weights.map(w => w * n / total);
+    const small = [], large = [];
+    scaled.forEach((w,k) => (w < 1 ? small : large).push(k));
+    while(small.length && large.length){
+      const s = small.pop(), l = large.pop();
+      prob[s] = scaled[s]; alias[s] = l;
+      scaled[l] = scaled[l] + scaled[s] - 1;
+      (scaled[l] < 1 ? small : large).push(l);
+    }
+    while(large.length) prob[large.pop()] = 1;
+    while(small.length) prob[small.pop()] = 1;
+    return {
+      pick(rnd){
+        const k = Math.floor(rnd() * n);
+        return rnd() < prob[k] ? k : alias[k];
+      }
+    };
+  }
+
+  // SyntheticPeople members bucketed by UTC offset: [{ offsetMs, weight, members, table }]
+  // group weight = share of total posting weight, members picked via per-group alias table
+  function buildTimezoneGroups(sp, cfg, seedBase, adminSpeakBoost){
+    if(!sp) return [{ offsetMs: 0, weight: 1, members: null, table: null }];
+    const people = sp.people;
+    const weights = people.map(p => memberActivityWeight(p, cfg, seedBase));
+
+    // rescale staff so ADMIN/MOD post adminSpeakBoost of all messages
+    let staff = 0, rest = 0;
+    people.forEach((p,k) => { if(isStaff(p)) staff += weights[k]; else rest += weights[k]; });
+    const boost = clamp(Number(adminSpeakBoost) || 0, 0, 0.9);
+    if(staff > 0 && rest > 0 && boost > 0){
+      const f = (boost / (1 - boost)) * rest / staff;
+      people.forEach((p,k) => { if(isStaff(p)) weights[k] *= f; });
+    }
+
+    const byOffset = new Map();
+    let total = 0;
+    for(let k=0;k<people.length;k++){
+      const p = people[k];
+      const off = typeof sp.utcOffsetFor === 'function' ? sp.utcOffsetFor(p.country) : 0;
+      if(!byOffset.has(off)) byOffset.set(off, { members: [], weights: [], sum: 0 });
+      const g = byOffset.get(off);
+      g.members.push(p); g.weights.push(weights[k]); g.sum += weights[k];
+      total += weights[k];
+    }
+    return Array.from(byOffset.keys()).sort((a,b) => a - b).map(off => {
+      const g = byOffset.get(off);
+      return { offsetMs: off * HOUR_MS, weight: g.sum / (total || 1), members: g.members, table: buildAliasTable(g.weights) };
+    });
+  }
+
+  function buildActivityCurve(cfg, groups, start, end, seedBase){
+    const n = Math.max(1, Math.ceil((end - start) / HOUR_MS));
+    const events = makeMarketEvents(cfg, start, end, seedBase);
+    const periods = Array.isArray(cfg.periods) ? cfg.periods : [];
+    const cum = new Float64Array(n + 1);
+    const burst = new Float64Array(n); // per-hour event factor, also drives price volatility
+    for(let b=0;b<n;b++){
+      const t = start + b * HOUR_MS + HOUR_MS / 2;
+      let w = 0;
+      for(let g=0; g<groups.length; g++) w += groups[g].weight * localWeight(cfg, t, groups[g].offsetMs);
+      burst[b] = burstFactor(events, t);
+      cum[b+1] = cum[b] + w * burst[b] * periodFactor(periods, t);
+    }
     return {
-      has(k){ return set.has(k); },
-      push(k){
-        if(set.has(k)) return;
-        keys.push(k); set.add(k);
-        while(keys.length > cap){
-          const rem = keys.shift(); set.delete(rem);
+      start, end, events, groups, burst,
+      prices: new Map(), // pack:token -> price series (see priceSeriesFor)
+      // u in [0,1) -> timestamp (monotone in u)
+      timeAt(u){
+        const target = clamp(u, 0, 1) * cum[n];
+        let lo = 0, hi = n - 1;
+        while(lo < hi){
+          const mid = (lo + hi + 1) >> 1;
+          if(cum[mid] <= target) lo = mid; else hi = mid - 1;
         }
+        const span = cum[lo+1] - cum[lo];
+        const within = span > 0 ? (target - cum[lo]) / span : 0;
+        return Math.min(end, Math.round(start + (lo + within) * HOUR_MS));
+      },
+      // timezone group whose members are likely awake at t
+      pickGroup(t, rnd){
+        if(groups.length === 1) return groups[0];
+        let total = 0;
+        const ws = groups.map(g => (total += g.weight * localWeight(cfg, t, g.offsetMs)));
+        const x = rnd() * total;
+        for(let g=0; g<groups.length; g++) if(x < ws[g]) return groups[g];
+        return groups[groups.length - 1];
       }
     };
   }
 
+  /* ---------- Price timeline ---------- */
+  // One hourly series per (pack, token) over the activity curve's span: a log random walk whose volatility
+  // switches between calm / normal / volatile regimes and rises with market-event bursts. The walk is
+  // anchored so the price at the end of the span falls inside the pack's price range.
+  const PRICE_REGIMES = [
+    { vol: 0.5, stay: 0.997 },  // calm
+    { vol: 1.0, stay: 0.995 },  // normal
+    { vol: 2.4, stay: 0.985 }   // volatile
+  ];
+
+  function gauss(rnd){ return Math.sqrt(-2 * Math.log(rnd() || 1e-12)) * Math.cos(2 * Math.PI * rnd()); }
+
+  function priceSeriesFor(curve, pack, token, seedBase){
+    const key = pack.id + ':' + token;
+    let s = curve.prices.get(key);
+    if(s) return s;
+    const n = curve.burst.length;
+    const r = xorshift32(mixSeed(seedBase, strHash(key), 0x9a1c));
+    const range = priceRange(pack, token);
+    const anchor = range.min + r() * (range.max - range.min);
+    const base = Number(pack.volatility) || DEFAULT_VOLATILITY;
+    const logs = new Float64Array(n + 1);
+    const sigma = new Float64Array(n + 1);
+    let regime = 1;
+    sigma[0] = base;
+    for(let b=1; b<=n; b++){
+      if(r() > PRICE_REGIMES[regime].stay) regime = Math.floor(r() * PRICE_REGIMES.length);
+      sigma[b] = base * PRICE_REGIMES[regime].vol * Math.sqrt(curve.burst[b-1]);
+      logs[b] = logs[b-1] + sigma[b] * gauss(r);
+    }
+    const prices = new Float64Array(n + 1);
+    for(let b=0; b<=n; b++) prices[b] = anchor * Math.exp(logs[b] - logs[n]);
+    s = { start: curve.start, n, prices, sigma, decimals: range.decimals };
+    curve.prices.set(key, s);
+    return s;
+  }
+
+  // price at time t (linear between hourly points, clamped to the span)
+  function priceOn(s, t){
+    const x = clamp((t - s.start) / HOUR_MS, 0, s.n);
+    const b = Math.min(s.n - 1, Math.floor(x));
+    if(b < 0) return s.prices[0];
+    return s.prices[b] + (s.prices[b+1] - s.prices[b]) * (x - b);
+  }
+
+  // % change over the `ms` before t
+  function changeOn(s, t, ms){ return (priceOn(s, t) / priceOn(s, t - ms) - 1) * 100; }
+
+  // hourly volatility at t (regime x event bursts)
+  function sigmaOn(s, t){ return s.sigma[clamp(Math.round((t - s.start) / HOUR_MS), 0, s.n)]; }
+
+  // token with the largest absolute move over the last hour (what a whale alert would be about)
+  function biggestMover(curve, pack, seedBase, t){
+    let best = null, bestMove = -1;
+    pack.vocabulary.tokens.forEach(tok => {
+      const move = Math.abs(changeOn(priceSeriesFor(curve, pack, tok, seedBase), t, HOUR_MS));
+      if(move > bestMove){ bestMove = move; best = tok; }
+    });
+    return best;
+  }
+
+  function isShortOrder(order){ return /sell|short/i.test(String(order || '')); }
+
+  // candle length in ms for '5m', '1h', '1d', 'M15', 'H4', 'D1', 'daily', 'weekly', ... (1h when unknown)
+  const TIMEFRAME_UNITS = { m: 60000, min: 60000, h: HOUR_MS, d: DAY_MS, w: 7 * DAY_MS, daily: DAY_MS, weekly: 7 * DAY_MS };
+  function timeframeMs(tf){
+    const s = String(tf || '').trim().toLowerCase();
+    if(TIMEFRAME_UNITS[s] && s.length > 1) return TIMEFRAME_UNITS[s];
+    let m = /^(\d+)\s*(min|m|h|d|w)$/.exec(s) || /^(min|m|h|d|w)(\d+)$/.exec(s);
+    if(!m) return HOUR_MS;
+    if(isNaN(Number(m[1]))) m = [m[0], m[2], m[1]];
+    return Math.max(1, Number(m[1])) * TIMEFRAME_UNITS[m[2]];
+  }
+
+  // OHLC candles of length tf ending at `end`. Candle boundaries sit on the price timeline plus seeded
+  // noise that scales with sqrt(tf), so short timeframes are not straight lines between hourly points and
+  // the same candle is identical in every chart that shows it.
+  function candlesOn(s, tokenSeed, end, tf, count, seedBase){
+    const scale = Math.sqrt(tf / HOUR_MS);
+    const boundary = (k) => {
+      const t = k * tf;
+      const r = xorshift32(mixSeed(seedBase ^ tokenSeed, k, tf % 0x7fffffff));
+      return priceOn(s, t) * Math.exp(gauss(r) * sigmaOn(s, t) * scale * 0.5);
+    };
+    const last = Math.floor(end / tf);
+    const out = [];
+    for(let k = last - count + 1; k <= last; k++){
+      const open = boundary(k), close = boundary(k + 1);
+      const r = xorshift32(mixSeed(seedBase ^ tokenSeed, k, 0x51c4));
+      const wick = sigmaOn(s, k * tf) * scale * 0.6;
+      out.push({
+        time: k * tf,
+        open,
+        high: Math.max(open, close) * (1 + Math.abs(gauss(r)) * wick),
+        low: Math.min(open, close) * (1 - Math.abs(gauss(r)) * wick),
+        close
+      });
+    }
+    return out;
+  }
+
+  /* ---------- IndexedDB pool cache ---------- */
+  // Generated pools are stored in chunks of CACHE_CHUNK messages so ranges can be read without loading the
+  // whole pool. A pool is keyed by POOL_VERSION + seedBase + size + spanDays (+ a hash of the packs,
+  // code-switch share, activity overrides and the SyntheticPeople pool it was generated with).
+  const POOL_VERSION = 14;          // bump whenever generated output changes so stale pools are ignored
+  const CACHE_DB = 'AbroxPoolCache';
+  const CACHE_CHUNK = 500;
+  const CACHE_WRITE_BATCH = 20;     // chunks per write transaction
+
+  let cacheDb = null; // promise for the open database
+  function openCacheDb(){
+    if(cacheDb) return cacheDb;
+    cacheDb = new Promise((resolve, reject) => {
+      if(typeof indexedDB === 'undefined') return reject(new Error('IndexedDB not available'));
+      const req = indexedDB.open(CACHE_DB, 1);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if(!db.objectStoreNames.contains('pools')) db.createObjectStore('pools', { keyPath: 'key' });
+        if(!db.objectStoreNames.contains('chunks')) db.createObjectStore('chunks', { keyPath: ['key', 'chunk'] });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    cacheDb.catch(() => { cacheDb = null; });
+    return cacheDb;
+  }
+
+  function idbRequest(req){
+    return new Promise((resolve, reject) => { req.onsuccess = () => resolve(req.result); req.onerror = () => reject(req.error); });
+  }
+  function idbDone(tx){
+    return new Promise((resolve, reject) => { tx.oncomplete = () => resolve(); tx.onerror = tx.onabort = () => reject(tx.error); });
+  }
+
+  function poolCacheKey(meta){
+    const sp = window.SyntheticPeople;
+    const people = (sp && Array.isArray(sp.people) && sp.people.length) ? (sp.meta && sp.meta.seedBase) + ':' + sp.people.length : 'none';
+    const variant = contentHash(JSON.stringify([meta.packs, meta.codeSwitch, meta.activity || null, people]));
+    return ['v' + POOL_VERSION, meta.seedBase, meta.size, meta.spanDays, variant].join('|');
+  }
+
+  // messages [start, start + count) of a cached pool, or null if any chunk is missing
+  async function readCachedRange(key, start, count){
+    const db = await openCacheDb();
+    const first = Math.floor(start / CACHE_CHUNK), last = Math.floor((start + count - 1) / CACHE_CHUNK);
+    const tx = db.transaction('chunks', 'readonly');
+    const rows = await idbRequest(tx.objectStore('chunks').getAll(IDBKeyRange.bound([key, first], [key, last])));
+    if(rows.length !== last - first + 1) return null;
+    const out = [];
+    rows.forEach(r => { for(let k=0;k<r.messages.length;k++) out.push(r.messages[k]); });
+    const offset = start - first * CACHE_CHUNK;
+    return out.slice(offset, offset + count);
+  }
+
+  /* ---------- Search index ---------- */
+  // Inverted index over message text (term -> ascending message indexes) plus per-message facet columns, so
+  // search works the same over the in-memory pool and the lazy generator. Terms are lowercased with Latin
+  // diacritics folded; Han / kana runs are indexed per character since they have no word breaks.
+  const WORD_RE = /[\p{L}\p{N}\p{M}]+/gu;
+  const CJK_RE = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u;
+  const SEARCH_FLAG_PINNED = 1, SEARCH_FLAG_ATTACHMENT = 2;
+  // generator mode (no pool in memory): only the newest SEARCH_GEN_MAX messages are indexed; a search call
+  // generates SEARCH_SYNC_BUDGET of them itself and the rest follows in SEARCH_CHUNK steps between tasks
+  const SEARCH_GEN_MAX = 100000;
+  const SEARCH_SYNC_BUDGET = 1000;
+  const SEARCH_CHUNK = 500;
+
+  function foldTerm(w){ return w.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, ''); }
+
+  // [{ term, start, end }] for every word of text (offsets into the original string, for highlighting)
+  function searchWords(text){
+    const out = [];
+    const s = String(text || '');
+    WORD_RE.lastIndex = 0;
+    let m;
+    while((m = WORD_RE.exec(s))){
+      const w = m[0];
+      if(CJK_RE.test(w)){
+        let k = 0;
+        for(const ch of w){
+          out.push({ term: foldTerm(ch), start: m.index + k, end: m.index + k + ch.length });
+          k += ch.length;
+        }
+      } else out.push({ term: foldTerm(w), start: m.index, end: m.index + w.length });
+    }
+    return out;
+  }
+
+  function queryTerms(query){ return searchWords(query).map(w => w.term); }
+
+  // start: first message index covered; facet columns are stored relative to it
+  function makeSearchIndex(key, start){
+    start = start || 0;
+    return { key, start, count: start, firstId: null, terms: new Map(), times: [], senders: [], roles: [], flags: [], waiters: [] };
+  }
+
+  function indexMessage(index, i, m){
+    const seen = new Set();
+    searchWords(m.text).forEach(w => {
+      if(seen.has(w.term)) return;
+      seen.add(w.term);
+      let list = index.terms.get(w.term);
+      if(!list) index.terms.set(w.term, list = []);
+      list.push(i);
+    });
+    const k = i - index.start;
+    index.times[k] = Number(m.time) || 0;
+    index.senders[k] = String(m.name || '').toLowerCase() + '\n' + String(m.displayName || '').toLowerCase();
+    index.roles[k] = String(m.role || '').toUpperCase();
+    index.flags[k] = (m.pinned ? SEARCH_FLAG_PINNED : 0) | (m.attachment ? SEARCH_FLAG_ATTACHMENT : 0);
+  }
+
+  // sorted, de-duplicated union of the posting lists of every term starting with prefix
+  function prefixPostings(terms, prefix){
+    const lists = [];
+    terms.forEach((list, term) => { if(term.startsWith(prefix)) lists.push(list); });
+    if(lists.length <= 1) return lists[0] || [];
+    const merged = [];
+    lists.forEach(l => { for(let k=0;k<l.length;k++) merged.push(l[k]); });
+    merged.sort((a,b) => a - b);
+    return merged.filter((v, k) => k === 0 || v !== merged[k-1]);
+  }
+
+  function hasSorted(list, v){
+    let lo = 0, hi = list.length - 1;
+    while(lo <= hi){
+      const mid = (lo + hi) >> 1;
+      if(list[mid] === v) return true;
+      if(list[mid] < v) lo = mid + 1; else hi = mid - 1;
+    }
+    return false;
+  }
+
+  // [[start, end], ...] of the words in text matched by the query terms (the last term as a prefix)
+  function matchRanges(text, terms, prefix){
+    const out = [];
+    if(!terms.length && !prefix) return out;
+    searchWords(text).forEach(w => {
+      if(terms.indexOf(w.term) !== -1 || (prefix && w.term.startsWith(prefix))){
+        const last = out[out.length - 1];
+        if(last && last[1] === w.start) last[1] = w.end; // merge adjacent CJK characters
+        else out.push([w.start, w.end]);
+      }
+    });
+    return out;
+  }
+
+  /* ---------- Export formats ---------- */
+  // Streaming exporters: each format is { mime, ext, head(ctx), row(m, profile, ctx, first), tail(ctx) } and
+  // exportChunks() walks the pool page by page, so no export ever holds the whole pool (or one giant string).
+  const PROFILE_FIELDS = ['id', 'country', 'language', 'personality', 'emotionBaseline', 'authority'];
+  const CSV_COLUMNS = ['id', 'time', 'date', 'sender_id', 'name', 'display_name', 'role', 'country', 'language', 'personality', 'emotion_baseline', 'authority', 'lang', 'text', 'reply_to', 'pinned', 'attachment'];
+
+  // sender profile fields from SyntheticPeople (by name / displayName), null for unknown senders
+  function makeProfileLookup(){
+    const sp = window.SyntheticPeople;
+    const byName = new Map();
+    ((sp && sp.people) || []).concat((sp && sp.guests) || []).forEach(p => {
+      const profile = {};
+      PROFILE_FIELDS.forEach(f => { if(p[f] !== undefined) profile[f] = p[f]; });
+      if(p.name) byName.set(p.name, profile);
+      if(p.displayName && !byName.has(p.displayName)) byName.set(p.displayName, profile);
+    });
+    return (m) => byName.get(m.name) || byName.get(m.displayName) || null;
+  }
+
+  // RFC 4180 cell; cells that spreadsheets would run as formulas get a leading apostrophe
+  function csvCell(v){
+    let s = v === null || v === undefined ? '' : String(v);
+    if(/^[=+\-@\t\r]/.test(s)) s = "'" + s;
+    return /[",\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+  }
+
+  function pad2(n){ return (n < 10 ? '0' : '') + n; }
+  // Telegram Desktop export dates are local time without an offset
+  function localIsoDate(t){
+    const d = new Date(t);
+    return d.getFullYear() + '-' + pad2(d.getMonth() + 1) + '-' + pad2(d.getDate()) + 'T' + pad2(d.getHours()) + ':' + pad2(d.getMinutes()) + ':' + pad2(d.getSeconds());
+  }
+  function numericId(id, fallback){
+    const m = /(\d+)$/.exec(String(id || ''));
+    return m ? Number(m[1]) : fallback;
+  }
+
+  const EXPORT_FORMATS = {
+    ndjson: {
+      mime: 'application/x-ndjson',
+      ext: 'ndjson',
+      head: () => '',
+      row: (m, profile) => JSON.stringify(Object.assign({}, m, { sender: profile })) + '\n',
+      tail: () => ''
+    },
+    csv: {
+      mime: 'text/csv;charset=utf-8',
+      ext: 'csv',
+      head: () => '\ufeff' + CSV_COLUMNS.join(',') + '\r\n', // BOM so spreadsheets read UTF-8
+      row: (m, profile) => {
+        const p = profile || {};
+        return [m.id, m.time, m.time ? new Date(m.time).toISOString() : '', p.id, m.name, m.displayName, m.role, p.country, p.language, p.personality,
+          p.emotionBaseline, p.authority, m.lang, m.text, m.replyTo, m.pinned ? 1 : 0, m.attachment ? m.attachment.filename : ''].map(csvCell).join(',') + '\r\n';
+      },
+      tail: () => ''
+    },
+    // Telegram Desktop "Export chat history" (JSON) result.json layout
+    telegram: {
+      mime: 'application/json',
+      ext: 'json',
+      head: (ctx) => '{\n "name": ' + JSON.stringify(ctx.name) + ',\n "type": "private_supergroup",\n "id": ' + ctx.chatId + ',\n "messages": [\n',
+      row: (m, profile, ctx, first) => {
+        const t = Number(m.time) || 0;
+        const text = String(m.text || '');
+        const out = {
+          id: numericId(m.id, ctx.index + 1),
+          type: 'message',
+          date: localIsoDate(t),
+          date_unixtime: String(Math.floor(t / 1000)),
+          from: m.displayName || m.name,
+          from_id: 'user' + parseInt(contentHash(String((profile && profile.id) || m.name || '')), 16)
+        };
+        if(m.replyTo) out.reply_to_message_id = numericId(m.replyTo, undefined);
+        const file = m.attachment && m.attachment.filename;
+        if(file && /\.(png|jpe?g|gif|webp)$/i.test(file)) out.photo = 'photos/' + file;
+        else if(file){
+          out.file = 'files/' + file;
+          if(/\.(mp4|mov|webm)$/i.test(file)) out.media_type = 'video_file';
+        }
+        out.text = text;
+        out.text_entities = text ? [{ type: 'plain', text }] : [];
+        out.from_profile = profile; // not part of Telegram's schema; importers ignore unknown keys
+        return (first ? '' : ',\n') + '  ' + JSON.stringify(out);
+      },
+      tail: () => '\n ]\n}\n'
+    }
+  };
+
+  /* ---------- Import formats ---------- */
+  // Parsers turn an export into plain records { id, author, time, text, replyTo, pinned, attachment, lang };
+  // author is { key, name, displayName, role, ...profile fields }. importMessages() maps them onto members.
+
+  // RFC 4180 rows (quoted fields, "" escapes, CRLF or LF line ends)
+  function parseCsv(text){
+    const rows = [];
+    let row = [], cell = '', quoted = false;
+    for(let i=0;i<text.length;i++){
+      const c = text[i];
+      if(quoted){
+        if(c === '"'){
+          if(text[i+1] === '"'){ cell += '"'; i++; } else quoted = false;
+        } else cell += c;
+      } else if(c === '"') quoted = true;
+      else if(c === ','){ row.push(cell); cell = ''; }
+      else if(c === '\n' || c === '\r'){
+        if(c === '\r' && text[i+1] === '\n') i++;
+        row.push(cell); rows.push(row); row = []; cell = '';
+      } else cell += c;
+    }
+    if(cell || row.length){ row.push(cell); rows.push(row); }
+    return rows.filter(r => r.length > 1 || r[0]);
+  }
+
+  // ms timestamp from seconds / ms numbers, numeric strings or date strings; NaN when unusable
+  function importTime(v){
+    if(v === null || v === undefined || v === '') return NaN;
+    const n = Number(v);
+    if(isFinite(n)) return n < 1e11 ? n * 1000 : n;
+    return Date.parse(v);
+  }
+
+  function importBool(v){ return v === true || v === 1 || /^(1|true|yes)$/i.test(String(v || '')); }
+
+  function importAttachment(v){
+    if(!v) return null;
+    const filename = typeof v === 'string' ? v.split('/').pop() : v.filename;
+    if(!filename) return null;
+    const out = { filename, url: typeof v === 'object' && v.url ? v.url : '' };
+    if(typeof v === 'object' && v.token) out.token = v.token;
+    if(typeof v === 'object' && v.timeframe) out.timeframe = v.timeframe;
+    return out;
+  }
+
+  // Telegram text is a string or an array of strings and entity objects
+  function telegramText(t){
+    if(Array.isArray(t)) return t.map(p => typeof p === 'string' ? p : (p && p.text) || '').join('');
+    return String(t || '');
+  }
+
+  const IMPORT_PARSERS = {
+    telegram(data){
+      const messages = (data && data.messages) || [];
+      // pins are service messages ({ action: 'pin_message', message_id }) pointing at the pinned message
+      const pinned = new Set(messages.filter(m => m && m.type === 'service' && m.action === 'pin_message' && m.message_id !== undefined).map(m => String(m.message_id)));
+      return messages.filter(m => m && m.type === 'message').map(m => {
+        const profile = m.from_profile || {};
+        return {
+          id: m.id,
+          author: Object.assign({}, profile, { key: m.from_id || m.from, name: m.from, displayName: m.from }),
+          time: m.date_unixtime !== undefined ? importTime(m.date_unixtime) : importTime(m.date),
+          text: telegramText(m.text),
+          replyTo: m.reply_to_message_id,
+          pinned: pinned.has(String(m.id)),
+          attachment: importAttachment(m.photo || m.file)
+        };
+      });
+    },
+    ndjson(lines){
+      return lines.map(m => {
+        const sender = m.sender || {};
+        const name = m.name || m.from || sender.name;
+        const displayName = m.displayName || m.display_name || m.from || name;
+        return {
+          id: m.id,
+          author: Object.assign({}, sender, { key: sender.id || name || displayName, name, displayName, role: m.role || sender.role }),
+          time: importTime(m.time !== undefined ? m.time : (m.date_unixtime !== undefined ? m.date_unixtime : (m.timestamp !== undefined ? m.timestamp : m.date))),
+          text: telegramText(m.text),
+          replyTo: m.replyTo !== undefined ? m.replyTo : m.reply_to,
+          pinned: importBool(m.pinned),
+          attachment: importAttachment(m.attachment),
+          lang: m.lang
+        };
+      });
+    },
+    csv(rows){
+      const header = (rows.shift() || []).map(h => h.replace(/^\ufeff/, '').trim().toLowerCase());
+      const col = (names) => { for(const n of names){ const k = header.indexOf(n); if(k !== -1) return k; } return -1; };
+      const c = {
+        id: col(['id']), time: col(['time', 'timestamp', 'date_unixtime']), date: col(['date', 'datetime']),
+        name: col(['name', 'username']), displayName: col(['display_name', 'displayname', 'from', 'author', 'sender']),
+        senderId: col(['sender_id', 'from_id', 'user_id']), role: col(['role']), text: col(['text', 'message', 'content', 'body']),
+        replyTo: col(['reply_to', 'replyto', 'reply_to_message_id']), pinned: col(['pinned']), attachment: col(['attachment', 'file', 'photo']),
+        lang: col(['lang']), country: col(['country']), language: col(['language']), personality: col(['personality']), emotion: col(['emotion_baseline'])
+      };
+      // exporters prefix formula-like cells with an apostrophe, undo that
+      const get = (r, k) => k === -1 || r[k] === undefined ? undefined : r[k].replace(/^'(?=[=+\-@\t\r])/, '');
+      return rows.map(r => {
+        const name = get(r, c.name) || get(r, c.displayName);
+        const displayName = get(r, c.displayName) || name;
+        const time = importTime(get(r, c.time));
+        return {
+          id: get(r, c.id),
+          author: { key: get(r, c.senderId) || name, id: get(r, c.senderId) || undefined, name, displayName, role: get(r, c.role),
+            country: get(r, c.country), language: get(r, c.language), personality: get(r, c.personality), emotionBaseline: get(r, c.emotion) },
+          time: isFinite(time) ? time : importTime(get(r, c.date)),
+          text: get(r, c.text) || '',
+          replyTo: get(r, c.replyTo) || null,
+          pinned: importBool(get(r, c.pinned)),
+          attachment: importAttachment(get(r, c.attachment)),
+          lang: get(r, c.lang) || undefined
+        };
+      });
+    }
+  };
+
+  // format of an already-read source when none is given
+  function detectImportFormat(data){
+    if(data && typeof data === 'object') return Array.isArray(data) ? 'ndjson' : 'telegram';
+    const head = String(data).replace(/^\ufeff/, '').trimStart();
+    if(head[0] === '{') return /^\{[^\n]*\}\s*(\n|$)/.test(head) ? 'ndjson' : 'telegram';
+    if(head[0] === '[') return 'ndjson';
+    return 'csv';
+  }
+
   /* ---------- MessagePool Implementation ---------- */
   const MessagePool = {
     messages: [],
     meta: Object.assign({}, DEFAULT),
 
-    // generate message for index i deterministically
-    _generateMessageForIndex(i, opts){
+    // raw per-index thread decision (family, topic, parent) from its own PRNG stream.
+    // Kept separate from the text stream so children can read a parent's topic cheaply.
+    _threadNodeForIndex(i, opts){
       opts = opts || {};
       const seedBase = Number(opts.seedBase || this.meta.seedBase || DEFAULT.seedBase);
-      const rnd = xorshift32(seedBase + (i * 15721)); // deterministic per-index PRNG
+      const replyFraction = opts.replyFraction || this.meta.replyFraction;
+      const r = xorshift32(mixSeed(seedBase, i, 0x7e1d));
+      // pick a pack from the blend, then a family from the pack's weights
+      const mix = resolvePackMix(opts.packs || this.meta.packs);
+      const pPick = r();
+      const pack = (mix.find(e => pPick < e.cdf) || mix[mix.length - 1]).pack;
+
+      // timestamp from the activity curve: ordered by index, denser at peak hours and around market events
+      const curve = this._activityCurve(opts);
+      const size = Math.max(1, Number(opts.size || this.meta.size || DEFAULT.size));
+      const time = curve.timeAt((i + r()) / size);
+      // sender among members whose local time makes them active; heavy posters dominate,
+      // lurkers and QuietObservers rarely speak (alias table, O(1))
+      const group = curve.pickGroup(time, r);
+      const sender = group.members ? group.members[group.table.pick(r)] : null;
+
+      // family from the pack's weights, reshaped by the sender's archetype
+      const tPick = r();
+      const cdf = sender ? familyCdfFor(pack, sender.personality) : pack.familyCdf;
+      const kind = FAMILIES[cdf.findIndex(c => tPick < c)] || FAMILIES[FAMILIES.length - 1];
+      const vocab = pack.vocabulary;
+      // written in the sender's language when the pack has a locale for it
+      const codeSwitch = opts.codeSwitch !== undefined ? Number(opts.codeSwitch) : this.meta.codeSwitch;
+      const lang = messageLanguage(pack, sender, codeSwitch, r);
+      const tpls = localeOf(pack, lang).templates;
+      const node = {
+        pack: pack.id,
+        kind,
+        time,
+        sender,
+        lang,
+        question: Math.floor(r() * tpls.questions.length),
+        phrase: Math.floor(r() * tpls.phrases.length),
+        token: pickFrom(vocab.tokens, r),
+        indicator: pickFrom(vocab.indicators, r),
+        timeframe: pickFrom(vocab.timeframes, r),
+        order: pickFrom(vocab.orders, r),
+        parentIndex: null
+      };
+      // whale alerts are about whichever token is moving hardest at that moment
+      const whale = (kind === 'question' && tpls.questions[node.question].focus === 'whale') ||
+        (kind === 'phrase' && tpls.phrases[node.phrase].indexOf('🐳') !== -1);
+      if(whale) node.token = biggestMover(curve, pack, seedBase, time);
+      if(i > 8 && r() < replyFraction){
+        const offset = 2 + Math.floor(r() * Math.min(REPLY_WINDOW, i - 2));
+        node.parentIndex = i - offset;
+      }
+      return node;
+    },
+
+    // resolved thread info for index i: parent, root and the topic inherited from the root
+    _threadInfoForIndex(i, opts){
+      const node = this._threadNodeForIndex(i, opts);
+      let rootIndex = i, root = node, depth = 0;
+      while(root.parentIndex !== null && depth < MAX_THREAD_DEPTH){
+        rootIndex = root.parentIndex;
+        root = this._threadNodeForIndex(rootIndex, opts);
+        depth++;
+      }
+      return {
+        index: i,
+        parentIndex: node.parentIndex,
+        rootIndex,
+        depth,
+        kind: node.parentIndex !== null ? 'reply' : node.kind,
+        time: node.time,
+        sender: node.sender,
+        lang: node.lang,
+        rootLang: root.lang,
+        pack: root.pack,
+        question: node.question,
+        phrase: node.phrase,
+        rootKind: root.kind,
+        rootQuestion: root.question,
+        rootPhrase: root.phrase,
+        token: root.token,
+        indicator: root.indicator,
+        timeframe: root.timeframe,
+        order: root.order
+      };
+    },
+
+    // end of the generated span: opts.endTime, else the pool's, else (no pool yet) the time of the first
+    // lookup, kept so every lookup until the first pool shares one curve and one timeline
+    _endTime(opts){
+      if(opts && opts.endTime) return Number(opts.endTime);
+      if(this.meta.endTime) return Number(this.meta.endTime);
+      if(!this._fallbackEndTime) this._fallbackEndTime = Date.now();
+      return this._fallbackEndTime;
+    },
 
-      // pick sender from SyntheticPeople if available
-      let sender = null;
+    // activity curve for the span ending at endTime (single-entry cache shared by pool and views)
+    _activityCurve(opts){
+      opts = opts || {};
+      const seedBase = Number(opts.seedBase || this.meta.seedBase || DEFAULT.seedBase);
+      const spanDays = Number(opts.spanDays || this.meta.spanDays || DEFAULT.spanDays);
+      const end = this._endTime(opts);
+      const start = end - spanDays * DAY_MS;
       const sp = (window.SyntheticPeople && Array.isArray(window.SyntheticPeople.people) && window.SyntheticPeople.people.length) ? window.SyntheticPeople : null;
-      if(sp){
-        // bias toward more active accounts (simple deterministic selection)
-        const idx = Math.floor(rnd() * sp.people.length);
-        sender = sp.people[idx];
-      } else {
-        sender = { name: 'Member_' + ((i % 5000) + 1), displayName: 'Member ' + ((i % 5000) + 1), role: 'VERIFIED', avatar: '' };
+      const people = sp ? sp.people : null;
+      const c = this._curveCache;
+      if(c && c.start === start && c.end === end && c.seedBase === seedBase && c.people === people && c.peopleCount === (people ? people.length : 0) && c.boost === this.meta.adminSpeakBoost && c.version === this._activityVersion){
+        return c.curve;
       }
+      const cfg = Object.assign({}, DEFAULT_ACTIVITY, this.meta.activity || {});
+      const boost = this.meta.adminSpeakBoost;
+      const groups = buildTimezoneGroups(sp, cfg, seedBase, boost);
+      const curve = buildActivityCurve(cfg, groups, start, end, seedBase);
+      this._curveCache = { start, end, seedBase, people, peopleCount: people ? people.length : 0, boost, version: this._activityVersion, curve };
+      return curve;
+    },
+
+    _activityVersion: 0,
+
+    // override parts of the activity curve (hourWeights[24], dayWeights[7], eventsPerWeek, burstMultiplier,
+    // burstHours, periods) or sender activity (paretoAlpha, lurkerFraction, lurkerWeight, archetypeWeights, ...).
+    // Affects subsequent generation; pass null to restore the defaults.
+    configureActivity(patch){
+      this.meta.activity = patch === null ? null : Object.assign({}, this.meta.activity || {}, patch || {});
+      this._activityVersion++;
+      return Object.assign({}, DEFAULT_ACTIVITY, this.meta.activity || {});
+    },
+
+    // simulated market events (bursts) for the current span: [{ time, multiplier, decayMs }]
+    getMarketEvents(opts){
+      return this._activityCurve(opts).events.map(e => Object.assign({}, e));
+    },
 
-      // template env
-      const token = pickFrom(TOKENS, rnd);
-      const indicator = pickFrom(INDICATORS, rnd);
-      const timeframe = pickFrom(TIMEFRAMES, rnd);
-      const order = pickFrom(ORDERS, rnd);
+    // price of `token` at `time` (default: end of the span) on the same timeline generated messages quote.
+    // The token is looked up in the active packs first, then in every registered pack; null if unknown.
+    // opts: { seedBase, spanDays, endTime, packs } (defaults: the current pool's)
+    priceAt(token, time, opts){
+      opts = opts || {};
+      const pack = this._packForToken(token, opts.packs);
+      if(!pack) return null;
+      const seedBase = Number(opts.seedBase || this.meta.seedBase || DEFAULT.seedBase);
+      const curve = this._activityCurve(opts);
+      const series = priceSeriesFor(curve, pack, pack.vocabulary.tokens.find(t => t.toUpperCase() === String(token).toUpperCase()), seedBase);
+      const t = (time === undefined || time === null) ? curve.end : Number(new Date(time));
+      const f = Math.pow(10, series.decimals);
+      return Math.round(priceOn(series, t) * f) / f;
+    },
+
+    // OHLC candles for `token` on the same price timeline messages quote, for drawing chart attachments.
+    // opts: { time (last candle, default end of span), timeframe ('5m', '1h', 'H4', 'daily', ...; default '1h'),
+    //         count (default 48), seedBase, spanDays, endTime, packs }
+    // Returns [{ time, open, high, low, close }] oldest first, or null for an unknown token.
+    getCandles(token, opts){
+      opts = opts || {};
+      const pack = this._packForToken(token, opts.packs);
+      if(!pack) return null;
+      const seedBase = Number(opts.seedBase || this.meta.seedBase || DEFAULT.seedBase);
+      const curve = this._activityCurve(opts);
+      const sym = pack.vocabulary.tokens.find(t => t.toUpperCase() === String(token).toUpperCase());
+      const series = priceSeriesFor(curve, pack, sym, seedBase);
+      const end = (opts.time === undefined || opts.time === null) ? curve.end : Number(new Date(opts.time));
+      const count = clamp(Math.floor(Number(opts.count) || 48), 1, 1000);
+      return candlesOn(series, strHash(pack.id + ':' + sym), end, timeframeMs(opts.timeframe), count, seedBase);
+    },
 
-      const price = randPriceForToken(token, rnd);
-      const tp = fmtPrice(price * (1 + (rnd()*0.08 + 0.02)));
-      const stop = fmtPrice(price * (1 - (rnd()*0.12 + 0.01)));
-      const pct = fmtPercent((rnd()-0.5) * 20);
+    // true when `token` ('BTC', 'eurusd') is a ticker of a registered template pack
+    isToken(token){ return !!this._packForToken(token); },
+
+    _packForToken(token, packs){
+      const want = String(token || '').toUpperCase();
+      if(!want) return null;
+      const has = p => p && p.vocabulary.tokens.some(t => t.toUpperCase() === want);
+      const active = resolvePackMix(this._packsOption(packs)).map(e => e.pack);
+      return active.find(has) || Object.keys(PACKS).map(id => PACKS[id]).find(has) || null;
+    },
+
+    // raw (un-deduplicated) message for index i
+    // info: optional object; info.distinct is set when the text carries a price, move or size (or is chatter)
+    // and so needs no dedupe
+    _rawMessageForIndex(i, opts, info){
+      opts = opts || {};
+      const seedBase = Number(opts.seedBase || this.meta.seedBase || DEFAULT.seedBase);
+      const rnd = xorshift32(seedBase + (i * 15721)); // deterministic per-index PRNG
 
-      const env = { token, indicator, timeframe, order, tp, stop, pct };
+      // thread structure, topic, time and sender come from an independent per-index stream (see _threadNodeForIndex)
+      const thread = this._threadInfoForIndex(i, opts);
+      const time = thread.time;
+      const sender = thread.sender || { name: 'Member_' + ((i % 5000) + 1), displayName: 'Member ' + ((i % 5000) + 1), role: 'VERIFIED', avatar: '' };
+      const { token, indicator, timeframe, order } = thread;
+      const pack = PACKS[thread.pack] || PACKS.crypto;
+      const locale = localeOf(pack, thread.lang);
+      const vocab = locale.vocabulary;
+      const tpls = locale.templates;
+
+      // market at this timestamp: price, 24h change, and TP/SL a few daily moves away on the right side
+      const series = priceSeriesFor(this._activityCurve(opts), pack, token, seedBase);
+      const decimals = series.decimals;
+      const price = priceOn(series, time);
+      const change = changeOn(series, time, DAY_MS);
+      const dailyMove = sigmaOn(series, time) * Math.sqrt(24);
+      const dir = isShortOrder(order) ? -1 : 1;
+      const tp = fmtPrice(price * (1 + dir * dailyMove * (0.8 + rnd() * 2.2)), decimals);
+      const stop = fmtPrice(price * (1 - dir * dailyMove * (0.4 + rnd() * 1.1)), decimals);
+      // chart levels don't depend on the trade's side: support is the lower of TP/SL, resistance the higher
+      const support = dir > 0 ? stop : tp;
+      const resistance = dir > 0 ? tp : stop;
+      const pct = fmtPercent(change);
+      const lean = change > 3 ? { bullish: 2.5 } : change < -3 ? { bearish: 2.5 } : null;
+      const biasKey = pickBias(vocab.biases, toneFor(thread.sender), rnd, lean);
+      const bias = (vocab.biasWords && vocab.biasWords[biasKey]) || biasKey;
+      const first = String(sender.displayName || sender.name || '').split(' ')[0];
+      const size = fmtSize(rnd);
+
+      const env = { token, indicator, timeframe, order, price: fmtPrice(price, decimals), tp, stop, support, resistance, pct, bias, first, size };
 
       // choose template family
-      const tPick = rnd();
-      let text = '';
-      if(tPick < 0.42){
+      let text = '', tpl = null;
+      if(thread.parentIndex !== null){
+        // reply: stay on the topic of the thread root
+        // (the root's template indexes refer to the root's own language)
+        const rootTpls = localeOf(pack, thread.rootLang).templates;
+        let focus = FAMILY_REPLY_FOCUS[thread.rootKind] || thread.rootKind;
+        if(focus === 'question') focus = rootTpls.questions[thread.rootQuestion].focus;
+        else if(focus === 'phrase' && rootTpls.phrases[thread.rootPhrase].indexOf('{token}') === -1) focus = 'generic';
+        tpl = pickFrom(tpls.replies[focus] || tpls.replies.generic || tpls.replies.phrase, rnd);
+        text = renderTemplate(tpl, env);
+      } else if(thread.kind === 'phrase'){
         // direct phrase template
-        const tpl = pickFrom(COMMON_PHRASES, rnd);
+        tpl = tpls.phrases[thread.phrase];
         text = renderTemplate(tpl, env);
-      } else if(tPick < 0.72){
+      } else if(thread.kind === 'chatter'){
         // chatty/noisy message
         const words = Math.floor(rnd()*(this.meta.maxWords - this.meta.minWords) + this.meta.minWords);
         const parts = [];
         for(let w=0; w<words; w++){
-          if(rnd() < 0.13) parts.push(pickFrom(TOKENS, rnd));
-          else if(rnd() < 0.11) parts.push(pickFrom(EMOJI, rnd));
+          if(rnd() < 0.13) parts.push(pickFrom(vocab.tokens, rnd));
+          else if(rnd() < 0.11) parts.push(pickFrom(vocab.emoji, rnd));
           else {
-            parts.push(pickFrom(['check','signal','buy','sell','watch','nice','yikes','rekt','hold','wait','now','looks'], rnd));
+            parts.push(pickFrom(vocab.chatter, rnd));
           }
         }
+        // keep the thread token in the chatter so replies can refer to it
+        if(parts.indexOf(token) === -1) parts.splice(Math.floor(rnd() * (parts.length + 1)), 0, token);
         text = parts.join(' ');
-      } else if(tPick < 0.87){
+      } else if(thread.kind === 'trade'){
         // trade/report style
-        text = `${sender.displayName.split(' ')[0]} posted: ${token} ${order} @ ${fmtPrice(price)} — TP ${tp} / SL ${stop} (${pct})`;
+        tpl = pickFrom(tpls.trades, rnd);
+        text = renderTemplate(tpl, env);
+      } else if(FAMILY_TEMPLATES[thread.kind]){
+        // archetype families: analysis, memes, big positions
+        tpl = pickFrom(tpls[FAMILY_TEMPLATES[thread.kind]], rnd);
+        text = renderTemplate(tpl, env);
       } else {
         // question/callout
-        const q = pickFrom(['Anyone got thoughts on {token}?','Who else is holding {token}?','Is {indicator} bearish on {timeframe}?','Just saw a whale move on {token}'], rnd);
-        text = renderTemplate(q, env);
+        tpl = tpls.questions[thread.question].text;
+        text = renderTemplate(tpl, env);
       }
 
+      if(info) info.distinct = tpl === null || NUMERIC_SLOTS.test(tpl);
+
+      // sender's voice: emotion tone, archetype slang/emoji, personal habits
+      if(thread.sender) text = applyVoice(text, thread.sender, vocab, rnd, thread.lang);
+
       // attachments
       const hasAttachment = rnd() < (opts.attachmentFraction || this.meta.attachmentFraction);
-      const attachment = hasAttachment ? pickFrom(ATTACH_TITLES, rnd) : null;
+      const attachment = hasAttachment ? pickFrom(vocab.attachments, rnd) : null;
 
-      // replies (deterministic earlier index)
-      const isReply = rnd() < (opts.replyFraction || this.meta.replyFraction);
-      let replyTo = null;
-      if(isReply && i > 8){
-        const offset = 2 + Math.floor(rnd() * Math.min(500, i - 2));
-        replyTo = 'msg_' + (i - offset);
-      }
+      // replies (deterministic earlier index, decided by the thread stream)
+      const replyTo = thread.parentIndex !== null ? 'msg_' + (thread.parentIndex + 1) : null;
 
       // pinned (rare)
       const pinned = rnd() < (opts.pinnedFraction || this.meta.pinnedFraction);
 
-      // timestamp distribution across spanDays
-      const now = Date.now();
-      const spanDays = Number(opts.spanDays || this.meta.spanDays || DEFAULT.spanDays);
-      const frac = i / Math.max(1, (opts.size || this.meta.size || DEFAULT.size));
-      const earliest = now - spanDays * 86400000; // careful: 86400000 = 24*60*60*1000
-      const jitter = (rnd() - 0.5) * 3600000; // up to ±1h jitter
-      const time = Math.round(earliest + frac * (spanDays * 86400000) + jitter);
-
       // small safety: ensure not tiny text
-      if(text.length < 6) text += ' ' + pickFrom(EMOJI, rnd);
+      if(text.length < 6) text += ' ' + pickFrom(vocab.emoji, rnd);
 
-      // final message object
+      // final message object, built directly in the canonical shape (message-model.js) on this hot path
       const msg = {
         id: 'msg_' + (i+1),
         name: sender.name || sender.displayName || ('Member_' + ((i%5000)+1)),
@@ -210,53 +1997,340 @@
         role: sender.role || 'VERIFIED',
         avatar: sender.avatar || '',
         text: text,
+        lang: thread.lang,
         out: false,
         time: time,
         replyTo: replyTo,
         pinned: pinned,
-        attachment: hasAttachment ? { filename: attachment, url: (/\.(png|jpe?g)$/i.test(attachment || '') ? 'assets/' + attachment : '') } : null
+        // no url: the renderer draws the chart for the thread's token and timeframe (see getCandles)
+        attachment: hasAttachment ? { filename: attachment, url: '', token, timeframe } : null
       };
 
       return msg;
     },
 
-    // generate the full pool (dedupe LRU applied)
+    // content hash of the raw message at index j (memoized, see _hashMemoFor)
+    _rawHashForIndex(j, opts, memo){
+      let h = memo.get(j);
+      if(h === undefined){
+        h = contentHash(this._rawMessageForIndex(j, opts).text);
+        memo.set(j, h);
+      }
+      return h;
+    },
+
+    // raw-text hashes shared by every pass over the same generated pool (generatePool, views, single lookups,
+    // search), so a lookup next to an earlier one reuses its window. They hang off the activity curve and go
+    // when it is rebuilt (new endTime, members or activity settings).
+    _hashMemoFor(opts){
+      const curve = this._activityCurve(opts);
+      const known = hashMemoByOpts.get(opts);
+      if(known && known.curve === curve) return known.memo;
+      const seedBase = Number(opts.seedBase || this.meta.seedBase || DEFAULT.seedBase);
+      const packs = opts.packs !== undefined ? opts.packs : this.meta.packs;
+      const codeSwitch = opts.codeSwitch !== undefined ? Number(opts.codeSwitch) : this.meta.codeSwitch;
+      const key = [seedBase, opts.size || '', JSON.stringify(packs || null), codeSwitch, this.meta.minWords, this.meta.maxWords].join('|');
+      const memos = curve.hashMemos || (curve.hashMemos = new Map());
+      let memo = memos.get(key);
+      if(!memo){
+        if(memos.size >= 8) memos.clear();
+        memo = makeHashMemo(HASH_MEMO_SIZE);
+        memos.set(key, memo);
+      }
+      hashMemoByOpts.set(opts, { curve, memo });
+      return memo;
+    },
+
+    // generate message for index i deterministically.
+    // Dedupe only looks at the raw messages in [i - DEDUPE_WINDOW, i), which are themselves a function
+    // of (seedBase, index), so generatePool, createGeneratorView and single lookups all agree.
+    // opts.dedupeMemo: optional makeHashMemo() to use instead of the shared one.
+    _generateMessageForIndex(i, opts){
+      opts = opts || {};
+      const memo = opts.dedupeMemo || this._hashMemoFor(opts);
+      const info = {};
+      const m = this._rawMessageForIndex(i, opts, info);
+      let h = contentHash(m.text);
+      memo.set(i, h);
+      // a cold lookup renders the whole window, so only text that can repeat is compared
+      if(info.distinct) return m;
+
+      const lo = Math.max(0, i - DEDUPE_WINDOW);
+      const seen = (hash) => {
+        for(let j=lo; j<i; j++) if(this._rawHashForIndex(j, opts, memo) === hash) return true;
+        return false;
+      };
+      if(!seen(h)) return m;
+
+      // vary wording with a deterministic prefix/tail (keeps the message on topic, unlike swapping in other text)
+      const seedBase = Number(opts.seedBase || this.meta.seedBase || DEFAULT.seedBase);
+      const base = m.text;
+      for(let attempt=0; attempt<6 && seen(h); attempt++){
+        const r = xorshift32(mixSeed(seedBase, i, 0xd3d0 + attempt));
+        const prefix = pickFrom(markersFor(DEDUPE_PREFIXES, m.lang), r);
+        const tail = [pickFrom(markersFor(DEDUPE_TAILS, m.lang), r), r() < 0.5 ? pickFrom(EMOJI, r) : ''].filter(Boolean).join(' ');
+        const body = (prefix && /^[A-Z][a-z]/.test(base)) ? base.charAt(0).toLowerCase() + base.slice(1) : base;
+        m.text = [prefix, body, tail || pickFrom(EMOJI, r)].filter(Boolean).join(' ');
+        h = contentHash(m.text);
+      }
+      return m;
+    },
+
+    // generate the full pool (seed/index-only dedupe, see _generateMessageForIndex)
     generatePool(opts){
+      const job = this._poolJob(opts);
+      const arr = new Array(job.size);
+      for(let i=0;i<job.size;i++){
+        arr[i] = this._generateMessageForIndex(i, job.genOpts);
+      }
+      return this._commitPool(job, arr);
+    },
+
+    // generatePool in a Web Worker (pool-worker.js), streamed back in chunks; identical output for the same
+    // options (pass endTime to compare with a synchronous run). Falls back to chunked generation on the
+    // main thread without workers. opts: generatePool options plus
+    // { chunkSize, onChunk(messages, startIndex), onProgress(done, total) }.
+    // Returns a promise for the messages (null if cancelled); call promise.cancel() to stop.
+    generatePoolAsync(opts){
+      opts = opts || {};
+      const job = this._poolJob(opts);
+      const chunkSize = Math.max(100, Number(opts.chunkSize) || 2000);
+      const out = new Array(job.size);
+      const accept = (items, start) => {
+        for(let k=0;k<items.length;k++) out[start + k] = items[k];
+        try{ opts.onChunk && opts.onChunk(items, start); }catch(e){ console.warn('MessagePool: onChunk failed', e); }
+        try{ opts.onProgress && opts.onProgress(start + items.length, job.size); }catch(e){}
+      };
+
+      let cancelled = false, worker = null;
+      const viaMainThread = () => new Promise(resolve => {
+        let start = 0;
+        const step = () => {
+          if(cancelled) return resolve(null);
+          const end = Math.min(job.size, start + chunkSize);
+          const items = [];
+          for(let i=start;i<end;i++) items.push(this._generateMessageForIndex(i, job.genOpts));
+          accept(items, start);
+          start = end;
+          if(start < job.size) setTimeout(step, 0);
+          else resolve(this._commitPool(job, out));
+        };
+        step();
+      });
+
+      let promise;
+      if(window.PoolWorker && window.PoolWorker.supported()){
+        const sp = window.SyntheticPeople;
+        const ids = job.packs.map(e => (e && typeof e === 'object') ? e.id : e);
+        worker = window.PoolWorker.run('messages', {
+          opts: { size: job.size, seedBase: job.seedBase, spanDays: job.spanDays, endTime: job.endTime, packs: job.packs, codeSwitch: job.codeSwitch },
+          meta: JSON.parse(JSON.stringify(this.meta)),
+          packs: ids.map(id => PACKS[id]).filter(Boolean),
+          people: (sp && Array.isArray(sp.people)) ? sp.people : [],
+          chunkSize
+        }, { onChunk: (msg) => accept(msg.items, msg.start) });
+        promise = worker.then(done => done ? this._commitPool(job, out) : null, err => {
+          console.warn('MessagePool.generatePoolAsync: worker unavailable, generating on the main thread', err);
+          return cancelled ? null : viaMainThread();
+        });
+      } else {
+        promise = viaMainThread();
+      }
+      promise.cancel = () => { cancelled = true; if(worker) worker.cancel(); };
+      return promise;
+    },
+
+    // resolve generatePool options (and apply opts.activity); genOpts feeds _generateMessageForIndex
+    _poolJob(opts){
       opts = opts || {};
       const size = clamp(Number(opts.size || this.meta.size || DEFAULT.size), 50, 500000);
       const seedBase = Number(opts.seedBase || this.meta.seedBase || DEFAULT.seedBase);
       const spanDays = Number(opts.spanDays || this.meta.spanDays || DEFAULT.spanDays);
+      const endTime = Number(opts.endTime || Date.now());
+      const packs = this._packsOption(opts.packs);
+      const codeSwitch = opts.codeSwitch !== undefined ? clamp(Number(opts.codeSwitch) || 0, 0, 1) : this.meta.codeSwitch;
+      if(opts.activity) this.configureActivity(opts.activity);
+      return { size, seedBase, spanDays, endTime, packs, codeSwitch, genOpts: { size, seedBase, spanDays, endTime, packs, codeSwitch } };
+    },
 
-      this.meta.size = size;
-      this.meta.seedBase = seedBase;
-      this.meta.spanDays = spanDays;
+    /* ---------- IndexedDB cache ---------- */
+    // Start-up entry point: load the pool for opts from IndexedDB, or generate it with generatePoolAsync and
+    // store it. A cached pool keeps the endTime it was generated with, so the lounge history stays put.
+    // opts: generatePoolAsync options plus { inMemory } — inMemory:false only binds the cache (meta, size)
+    // and leaves reads to getRangeAsync / getMessageByIndexAsync. Resolves to the messages (or [] when
+    // not loaded into memory), null if cancelled.
+    async loadPoolAsync(opts){
+      opts = opts || {};
+      const job = this._poolJob(opts);
+      const key = poolCacheKey(Object.assign({}, this.meta, { seedBase: job.seedBase, size: job.size, spanDays: job.spanDays, packs: job.packs, codeSwitch: job.codeSwitch }));
+      let record = null;
+      try{
+        const db = await openCacheDb();
+        record = await idbRequest(db.transaction('pools', 'readonly').objectStore('pools').get(key));
+      }catch(e){
+        console.warn('MessagePool.loadPoolAsync: cache unavailable, generating', e);
+      }
+      if(record && record.complete){
+        const cachedJob = Object.assign({}, job, { endTime: record.meta.endTime });
+        this._cacheKey = key;
+        if(opts.inMemory === false){
+          this._commitPool(cachedJob, []);
+          return [];
+        }
+        const out = new Array(job.size);
+        for(let start = 0; start < job.size; start += CACHE_CHUNK * CACHE_WRITE_BATCH){
+          const count = Math.min(CACHE_CHUNK * CACHE_WRITE_BATCH, job.size - start);
+          const items = await readCachedRange(key, start, count).catch(() => null);
+          if(!items) break;
+          for(let k=0;k<items.length;k++) out[start + k] = items[k];
+          try{ opts.onProgress && opts.onProgress(start + items.length, job.size); }catch(e){}
+          if(start + count >= job.size){
+            this._commitPool(cachedJob, out);
+            this._cacheKey = key;
+            return this.messages;
+          }
+        }
+        console.warn('MessagePool.loadPoolAsync: cached pool incomplete, regenerating');
+      }
+      const messages = await this.generatePoolAsync(Object.assign({}, opts, { endTime: job.endTime, activity: undefined }));
+      if(messages) this.cachePool().catch(() => false);
+      return messages;
+    },
 
-      const lru = makeLRU(2048);
-      const arr = new Array(size);
-      for(let i=0;i<size;i++){
-        let m = this._generateMessageForIndex(i, { size, seedBase, spanDays, replyFraction: this.meta.replyFraction, attachmentFraction: this.meta.attachmentFraction });
-        // dedupe attempts
-        let attempts = 0;
-        let h = contentHash(m.text);
-        while(lru.has(h) && attempts < 6){
-          // regenerate with slight seed tweak to vary wording
-          const alt = this._generateMessageForIndex(i + attempts + 1, { size, seedBase: seedBase + attempts + 1, spanDays });
-          // pickFrom expects a rnd function; pass generator
-          m.text = alt.text + ((attempts % 2 === 0) ? (' ' + pickFrom(EMOJI, xorshift32(seedBase + attempts + i))) : '');
-          h = contentHash(m.text);
-          attempts++;
-        }
-        lru.push(h);
-        arr[i] = m;
+    // store the in-memory pool (this.messages + meta) in IndexedDB; resolves true when written
+    async cachePool(){
+      if(!this.messages || !this.messages.length || this.meta.imported) return false;
+      const messages = this.messages;
+      const meta = { size: messages.length, seedBase: this.meta.seedBase, spanDays: this.meta.spanDays, endTime: this.meta.endTime, packs: this.meta.packs, codeSwitch: this.meta.codeSwitch, activity: this.meta.activity || null };
+      const key = poolCacheKey(meta);
+      try{
+        const db = await openCacheDb();
+        const chunks = Math.ceil(messages.length / CACHE_CHUNK);
+        let tx = db.transaction('pools', 'readwrite');
+        tx.objectStore('pools').put({ key, meta, chunks, complete: false, createdAt: Date.now() });
+        await idbDone(tx);
+        for(let c = 0; c < chunks; c += CACHE_WRITE_BATCH){
+          tx = db.transaction('chunks', 'readwrite');
+          const store = tx.objectStore('chunks');
+          for(let k = c; k < Math.min(chunks, c + CACHE_WRITE_BATCH); k++){
+            store.put({ key, chunk: k, messages: messages.slice(k * CACHE_CHUNK, (k + 1) * CACHE_CHUNK) });
+          }
+          await idbDone(tx);
+        }
+        tx = db.transaction('pools', 'readwrite');
+        tx.objectStore('pools').put({ key, meta, chunks, complete: true, createdAt: Date.now() });
+        await idbDone(tx);
+        this._cacheKey = key;
+        return true;
+      }catch(e){
+        console.warn('MessagePool.cachePool: could not store pool (quota?)', e);
+        return false;
       }
+    },
 
+    // range read that does not need the pool in memory: memory, then the IndexedDB cache, then the generator
+    async getRangeAsync(start, count){
+      const size = Number(this.meta.size) || 0;
+      start = clamp(Math.floor(Number(start) || 0), 0, Math.max(0, size - 1));
+      count = clamp(Math.floor(Number(count) || 0), 0, size - start);
+      if(!count) return [];
+      if(this.messages && this.messages.length === size) return this.messages.slice(start, start + count);
+      if(this._cacheKey){
+        const cached = await readCachedRange(this._cacheKey, start, count).catch(() => null);
+        if(cached && cached.length === count) return cached;
+      }
+      const genOpts = { size, seedBase: this.meta.seedBase, spanDays: this.meta.spanDays, endTime: this._endTime(), packs: this.meta.packs, codeSwitch: this.meta.codeSwitch };
+      const out = [];
+      for(let i=start;i<start+count;i++) out.push(this._generateMessageForIndex(i, genOpts));
+      return out;
+    },
+
+    async getMessageByIndexAsync(i){
+      if(i < 0 || i >= (Number(this.meta.size) || 0)) return null;
+      const r = await this.getRangeAsync(i, 1);
+      return r[0] || null;
+    },
+
+    // drop every cached pool; resolves true on success
+    async clearCache(){
+      try{
+        const db = await openCacheDb();
+        const tx = db.transaction(['pools', 'chunks'], 'readwrite');
+        tx.objectStore('pools').clear();
+        tx.objectStore('chunks').clear();
+        await idbDone(tx);
+        this._cacheKey = null;
+        return true;
+      }catch(e){
+        console.warn('MessagePool.clearCache failed', e);
+        return false;
+      }
+    },
+
+    // storage report: { usage, quota } in bytes (navigator.storage.estimate, null if unsupported)
+    // and the cached pools [{ key, size, seedBase, spanDays, complete, createdAt }]
+    async cacheInfo(){
+      let estimate = null;
+      try{
+        if(navigator.storage && navigator.storage.estimate) estimate = await navigator.storage.estimate();
+      }catch(e){}
+      let pools = [];
+      try{
+        const db = await openCacheDb();
+        const rows = await idbRequest(db.transaction('pools', 'readonly').objectStore('pools').getAll());
+        pools = rows.map(r => ({ key: r.key, size: r.meta.size, seedBase: r.meta.seedBase, spanDays: r.meta.spanDays, complete: !!r.complete, createdAt: r.createdAt }));
+      }catch(e){}
+      return { usage: estimate ? estimate.usage : null, quota: estimate ? estimate.quota : null, pools };
+    },
+
+    _commitPool(job, arr){
+      this.meta.size = job.size;
+      this.meta.seedBase = job.seedBase;
+      this.meta.spanDays = job.spanDays;
+      this.meta.endTime = job.endTime;
+      this.meta.packs = job.packs;
+      this.meta.codeSwitch = job.codeSwitch;
+      this.meta.imported = !!job.imported; // imported pools are not reproducible from the seed (never cached)
+
+      if(arr.length) this._cacheKey = null; // in memory now; set again by cachePool / loadPoolAsync
       this.messages = arr;
       // id -> index quick map
       this._idIndex = {};
       for(let i=0;i<this.messages.length;i++) this._idIndex[this.messages[i].id] = i;
+      this._replyIndex = null; // rebuilt lazily by getReplies
       return this.messages;
     },
 
+    /* ---------- Template packs ---------- */
+    // register (or replace) a pack; see the format documented at the top of this file.
+    // Returns the pack id, or null if the pack is invalid.
+    registerTemplatePack(pack){
+      const norm = normalizePack(pack);
+      if(!norm){
+        console.warn('MessagePool.registerTemplatePack: invalid pack (needs id and vocabulary.tokens)', pack);
+        return null;
+      }
+      PACKS[norm.id] = norm;
+      packMixCache.clear();
+      return norm.id;
+    },
+
+    getTemplatePack(id){ return PACKS[id] || null; },
+    listTemplatePacks(){ return Object.keys(PACKS).map(id => ({ id, label: PACKS[id].label })); },
+
+    // normalize a `packs` option (ids, { id, weight } entries or inline pack objects) to ids/weights
+    _packsOption(packs){
+      if(packs === undefined || packs === null) return this.meta.packs || DEFAULT.packs;
+      const list = Array.isArray(packs) ? packs : [packs];
+      return list.map(e => {
+        if(e && typeof e === 'object' && (e.vocabulary || e.templates)){
+          const id = this.registerTemplatePack(e);
+          return e.weight !== undefined ? { id, weight: e.weight } : id;
+        }
+        return e;
+      }).filter(Boolean);
+    },
+
     // regenerate & optionally inject an initial window into UI
     async regenerateAndInject(opts){
       opts = opts || {};
@@ -276,7 +2350,8 @@
     pickRandom(filter){ const pool = filter ? this.messages.filter(filter) : this.messages; if(!pool || !pool.length) return null; return pool[Math.floor(Math.random()*pool.length)]; },
 
     // stream messages to UI like a live feed
-    // opts: { startIndex, ratePerMin, jitterMs, onEmit(msg,idx) }
+    // opts: { startIndex, ratePerMin, jitterMs, onEmit(msg,idx), nextDelay(msg,idx) -> ms (overrides rate / jitter),
+    //         firstDelayMs }
     streamToUI(opts){
       opts = opts || {};
       if(!this.messages || !this.messages.length){
@@ -289,28 +2364,438 @@
       const jitter = Number(opts.jitterMs || Math.round(intervalMs * 0.25));
       let idx = start;
       let stopped = false;
-      const timer = setInterval(()=>{
+      let timer = null;
+      // on the simulation clock (VirtualClock) when loaded
+      const timers = window.VirtualClock || window;
+      // each gap is drawn after the message before it (a fresh jitter every time, or the caller's nextDelay)
+      const tick = () => {
         if(stopped) return;
         const m = this.messages[idx];
         if(m){
           try{ window.renderMessage(m, true); }catch(e){ console.warn('renderMessage error', e); }
           if(typeof opts.onEmit === 'function') opts.onEmit(m, idx);
         }
+        const emitted = idx;
         idx++;
         if(idx >= this.messages.length){
           // loop but start at random offset to avoid immediate repeat patterns
           idx = Math.max(0, Math.floor(Math.random() * Math.min(1000, this.messages.length)));
         }
-      }, Math.max(20, intervalMs + (Math.random() * jitter - jitter/2)));
+        let delay = intervalMs + (Math.random() * jitter - jitter/2);
+        if(typeof opts.nextDelay === 'function'){
+          try{ delay = Number(opts.nextDelay(m, emitted)); }catch(e){ console.warn('MessagePool.streamToUI: nextDelay failed', e); }
+        }
+        if(!stopped) timer = timers.setTimeout(tick, Math.max(20, delay || 0));
+      };
+      const first = opts.firstDelayMs !== undefined ? Number(opts.firstDelayMs) || 0 : Math.max(20, intervalMs + (Math.random() * jitter - jitter/2));
+      timer = timers.setTimeout(tick, first);
 
-      return { stop: function(){ stopped = true; clearInterval(timer); } };
+      return { stop: function(){ stopped = true; timers.clearTimeout(timer); } };
     },
 
     // export to JSON (careful — large)
     exportToJSON(opts){ opts = opts || {}; const start = clamp(Number(opts.start || 0), 0, this.messages.length); const end = clamp(Number(opts.end || this.messages.length), start, this.messages.length); return JSON.stringify(this.messages.slice(start,end)); },
 
+    /* ---------- Import ---------- */
+    // Replace the pool with messages read from a chat export.
+    // source: string, Blob / File, a parsed Telegram result.json object or an array of message objects
+    // format: 'telegram' | 'ndjson' | 'csv' (detected when omitted)
+    // opts:
+    //   authors: 'match' (default) — reuse the SyntheticPeople member with the same name / id, else add one;
+    //            'assign' — map every author onto an existing member instead (pseudonymised history)
+    //   mix: true or a count — also generate that many messages (true: as many as imported) over the same
+    //        time span (at least a day) and interleave them by time
+    // Timestamps are normalised to ms (seconds, ms, ISO or Telegram dates; missing ones inherit the previous
+    // message's), ids become 'imp_<source id>' so they never collide with generated 'msg_N' ids, and reply
+    // links are rewritten to the new ids (dropped when the parent is not in the import).
+    // Resolves to the new pool, null on failure.
+    async importMessages(source, format, opts){
+      opts = opts || {};
+      try{
+        let data = source;
+        if(data && typeof data === 'object' && typeof data.text === 'function' && !Array.isArray(data)) data = await data.text();
+        format = format || detectImportFormat(data);
+        if(!IMPORT_PARSERS[format]) throw new Error('unknown format ' + format);
+        if(typeof data === 'string'){
+          data = data.replace(/^\ufeff/, '');
+          if(format === 'telegram') data = JSON.parse(data);
+          else if(format === 'ndjson') data = data.trim().startsWith('[') ? JSON.parse(data) : data.split(/\r?\n/).filter(l => l.trim()).map(l => JSON.parse(l));
+          else data = parseCsv(data);
+        }
+        const records = IMPORT_PARSERS[format](data).filter(r => r.text || r.attachment);
+        if(!records.length) throw new Error('no messages found');
+
+        // timestamps: fill gaps from the previous message, then order by time (stable)
+        let last = NaN;
+        records.forEach(r => { if(isFinite(r.time)) last = r.time; else r.time = last; });
+        const firstTime = records.find(r => isFinite(r.time));
+        records.forEach((r, k) => { if(!isFinite(r.time)) r.time = firstTime ? firstTime.time : Date.now() - (records.length - k) * 60000; });
+        records.forEach((r, k) => { r.order = k; });
+        records.sort((a,b) => (a.time - b.time) || (a.order - b.order));
+
+        const memberFor = this._importAuthorMapper(opts.authors);
+        const ids = new Map(); // source id -> new id
+        const messages = records.map((r, k) => {
+          const srcId = r.id !== undefined && r.id !== null && r.id !== '' ? String(r.id) : 'row' + (r.order + 1);
+          let id = /^imp_/.test(srcId) ? srcId : 'imp_' + srcId;
+          while(ids.has(id)) id += '_';
+          if(!ids.has(srcId)) ids.set(srcId, id);
+          ids.set(id, id);
+          const member = memberFor(r.author || {}, k);
+          return {
+            id,
+            name: member.name,
+            displayName: member.displayName,
+            role: member.role,
+            avatar: member.avatar || '',
+            text: r.text,
+            lang: r.lang || undefined,
+            out: false,
+            time: Math.round(r.time),
+            replyTo: r.replyTo !== undefined && r.replyTo !== null && r.replyTo !== '' ? String(r.replyTo) : null,
+            pinned: !!r.pinned,
+            attachment: r.attachment || null
+          };
+        });
+        messages.forEach((m, k) => {
+          if(m.replyTo) m.replyTo = ids.get(m.replyTo) || null;
+          if(window.MessageModel) messages[k] = window.MessageModel.normalizeMessage(m);
+        });
+        if(window.SyntheticPeople && typeof window.SyntheticPeople.injectToUI === 'function') window.SyntheticPeople.injectToUI();
+
+        const start = messages[0].time, end = messages[messages.length - 1].time;
+        const spanDays = Math.max(1, (end - start) / DAY_MS);
+        let pool = messages;
+        if(opts.mix){
+          const count = opts.mix === true ? messages.length : Math.max(0, Math.floor(Number(opts.mix) || 0));
+          if(count){
+            const genOpts = Object.assign({}, this._poolJob({ endTime: end, spanDays }).genOpts, { size: count });
+            const generated = new Array(count);
+            for(let i=0;i<count;i++) generated[i] = this._generateMessageForIndex(i, genOpts);
+            pool = messages.concat(generated).sort((a,b) => a.time - b.time);
+          }
+        }
+        return this._commitPool({ size: pool.length, seedBase: this.meta.seedBase, spanDays, endTime: end, packs: this.meta.packs, codeSwitch: this.meta.codeSwitch, imported: true }, pool);
+      }catch(e){
+        console.warn('MessagePool.importMessages failed', e);
+        return null;
+      }
+    },
+
+    // author record -> SyntheticPeople member (memoized per import)
+    _importAuthorMapper(mode){
+      const sp = window.SyntheticPeople;
+      const seen = new Map();
+      const used = new Set();
+      return (author, k) => {
+        const key = String(author.key || author.id || author.name || author.displayName || 'unknown');
+        if(seen.has(key)) return seen.get(key);
+        let member = null;
+        const people = (sp && sp.people) || [];
+        if(mode === 'assign' && people.length){
+          // deterministic probe for a member no other author got yet (staff only when the author is staff)
+          const staff = /^(ADMIN|MOD)$/i.test(author.role || '');
+          const h = parseInt(contentHash(key), 16);
+          for(let p=0; p<people.length && !member; p++){
+            const cand = people[(h + p) % people.length];
+            if(!used.has(cand.id) && (staff || !/^(ADMIN|MOD)$/.test(cand.role))) member = cand;
+          }
+          member = member || people[h % people.length];
+        } else if(sp){
+          member = (author.id && sp.findByName(author.id)) || sp.findByName(author.name) || sp.findByName(author.displayName);
+          if(!member && typeof sp.addMember === 'function') member = sp.addMember(author);
+        }
+        member = member || { name: author.name || 'Member_' + (k + 1), displayName: author.displayName || author.name || 'Member ' + (k + 1), role: 'VERIFIED', avatar: '' };
+        if(member.id) used.add(member.id);
+        seen.set(key, member);
+        return member;
+      };
+    },
+
+    /* ---------- Streaming export ---------- */
+    // Generator of string chunks for format 'ndjson' | 'csv' | 'telegram', one chunk per page of messages.
+    // Reads the in-memory pool when present, otherwise pages through createGeneratorView(), so a 100k export
+    // never needs the pool in memory. Rows carry the sender's SyntheticPeople profile fields.
+    // opts: { start = 0, end = meta.size, pageSize = 1000, name (telegram chat name) }
+    *exportChunks(format, opts){
+      opts = opts || {};
+      const fmt = EXPORT_FORMATS[format];
+      if(!fmt) throw new Error('MessagePool.exportChunks: unknown format ' + format);
+      const inMemory = Array.isArray(this.messages) && this.messages.length > 0;
+      const total = inMemory ? this.messages.length : (Number(this.meta.size) || 0);
+      const start = clamp(Math.floor(Number(opts.start) || 0), 0, total);
+      const end = clamp(Math.floor(Number(opts.end !== undefined ? opts.end : total)), start, total);
+      const pageSize = Math.max(1, Math.floor(Number(opts.pageSize) || 1000));
+      const view = inMemory ? null : this.createGeneratorView({ pageSize, cachePages: 3 });
+      const profileOf = makeProfileLookup();
+      const ctx = { name: opts.name || 'Abrox Binary Bot – Private Lounge', chatId: Number(this.meta.seedBase) || 0, index: 0 };
+
+      yield fmt.head(ctx);
+      for(let pageStart = start; pageStart < end; pageStart += pageSize){
+        const count = Math.min(pageSize, end - pageStart);
+        let page;
+        if(inMemory) page = this.messages.slice(pageStart, pageStart + count);
+        else {
+          // by index: the view's own pages are aligned to its grid, not to opts.start
+          page = [];
+          for(let i = pageStart; i < pageStart + count; i++){
+            const m = view.get(i);
+            if(!m) break;
+            page.push(m);
+          }
+        }
+        let chunk = '';
+        for(let k=0;k<page.length;k++){
+          ctx.index = pageStart + k;
+          chunk += fmt.row(page[k], profileOf(page[k]), ctx, ctx.index === start);
+        }
+        yield chunk;
+      }
+      yield fmt.tail(ctx);
+    },
+
+    // Build the export as a Blob from the streamed chunks, yielding to the page between chunks.
+    // opts: exportChunks options plus { onProgress(done, total) }. Resolves to the Blob (null on failure).
+    async exportBlob(format, opts){
+      opts = opts || {};
+      try{
+        const fmt = EXPORT_FORMATS[format];
+        if(!fmt) throw new Error('unknown format ' + format);
+        const parts = [];
+        const pageSize = Math.max(1, Math.floor(Number(opts.pageSize) || 1000));
+        const total = Math.max(0, (opts.end !== undefined ? Number(opts.end) : (this.messages && this.messages.length) || Number(this.meta.size) || 0) - (Number(opts.start) || 0));
+        let pages = -1; // the first chunk is the format header
+        for(const chunk of this.exportChunks(format, opts)){
+          if(chunk) parts.push(chunk);
+          if(++pages > 0){
+            try{ opts.onProgress && opts.onProgress(Math.min(total, pages * pageSize), total); }catch(e){}
+            await new Promise(r => setTimeout(r, 0));
+          }
+        }
+        return new Blob(parts, { type: fmt.mime });
+      }catch(e){
+        console.warn('MessagePool.exportBlob failed', e);
+        return null;
+      }
+    },
+
+    // export and save as a file download; resolves true when the download was started
+    async downloadExport(format, opts){
+      opts = opts || {};
+      const blob = await this.exportBlob(format, opts);
+      if(!blob || typeof document === 'undefined') return false;
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = opts.filename || ('abrox-lounge-' + this.meta.seedBase + '.' + EXPORT_FORMATS[format].ext);
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+      return true;
+    },
+
     findById(id){ return (this._idIndex && this._idIndex[id] !== undefined) ? this.messages[this._idIndex[id]] : null; },
 
+    /* ---------- Search ---------- */
+    // Full-text + faceted search over the pool (in memory, or the generator for meta.size when not loaded).
+    // The index is built incrementally: each call indexes only messages added since the last one, and it is
+    // rebuilt when the pool is replaced. Every query term must match; the last one also matches as a prefix
+    // (type-ahead), set opts.prefix = false to disable.
+    // opts: { sender, role, from, to, hasAttachment, pinned, token, limit = 50, offset = 0, prefix }
+    //   sender: name or displayName; role: 'ADMIN' | 'MOD' | ... or an array; from / to: time bounds (ms or Date);
+    //   hasAttachment / pinned: true or false to require either; token: ticker mentioned ('BTC' or '$BTC')
+    // Returns { total, results: [{ index, id, message, ranges }], pending } newest first; ranges are [start, end)
+    // offsets of the matched words in message.text, for highlighting. Without a pool in memory the newest
+    // 100k generated messages are searched and indexing continues between tasks: pending counts the messages
+    // not indexed yet (their matches are missing); whenSearchReady() resolves once it is 0.
+    search(query, opts){
+      opts = opts || {};
+      const index = this._syncSearchIndex();
+      const src = this._searchSource();
+      let terms = queryTerms(query);
+      let prefix = null;
+      if(opts.prefix !== false && terms.length && /[\p{L}\p{N}\p{M}]$/u.test(String(query))) prefix = terms.pop();
+      const tokenTerm = opts.token ? foldTerm(String(opts.token).replace(/^\$/, '')) : null;
+
+      // candidate indexes from the posting lists, smallest first
+      const lists = terms.concat(tokenTerm ? [tokenTerm] : []).map(t => index.terms.get(t) || []);
+      if(prefix) lists.push(prefixPostings(index.terms, prefix));
+      lists.sort((a,b) => a.length - b.length);
+
+      const sender = opts.sender ? String(opts.sender).toLowerCase() : null;
+      const roles = opts.role ? [].concat(opts.role).map(r => String(r).toUpperCase()) : null;
+      const from = opts.from !== undefined && opts.from !== null ? Number(new Date(opts.from)) : -Infinity;
+      const to = opts.to !== undefined && opts.to !== null ? Number(new Date(opts.to)) : Infinity;
+      const matches = (i) => {
+        for(let k=1;k<lists.length;k++) if(!hasSorted(lists[k], i)) return false;
+        const c = i - index.start;
+        const t = index.times[c];
+        if(t < from || t > to) return false;
+        if(sender && index.senders[c].split('\n').indexOf(sender) === -1) return false;
+        if(roles && roles.indexOf(index.roles[c]) === -1) return false;
+        if(opts.hasAttachment !== undefined && !!(index.flags[c] & SEARCH_FLAG_ATTACHMENT) !== !!opts.hasAttachment) return false;
+        if(opts.pinned !== undefined){
+          // pins can change after indexing, read them live when the message is in memory
+          const m = src.inMemory ? this.messages[i] : null;
+          const pinned = m ? !!m.pinned : !!(index.flags[c] & SEARCH_FLAG_PINNED);
+          if(pinned !== !!opts.pinned) return false;
+        }
+        return true;
+      };
+
+      const hits = [];
+      if(lists.length){
+        const first = lists[0];
+        for(let k=first.length-1;k>=0;k--) if(matches(first[k])) hits.push(first[k]);
+      } else {
+        for(let i=index.count-1;i>=index.start;i--) if(matches(i)) hits.push(i);
+      }
+
+      const limit = Math.max(0, Number(opts.limit !== undefined ? opts.limit : 50));
+      const offset = Math.max(0, Number(opts.offset || 0));
+      const highlight = tokenTerm ? terms.concat([tokenTerm]) : terms;
+      const results = hits.slice(offset, offset + limit).map(i => {
+        const message = src.get(i);
+        return { index: i, id: message ? message.id : 'msg_' + (i + 1), message, ranges: message ? matchRanges(message.text, highlight, prefix) : [] };
+      });
+      return { total: hits.length, results, pending: src.total - index.count };
+    },
+
+    // resolves true when the search index covers the current source (see search: pending), false if the
+    // pool is replaced first
+    whenSearchReady(){
+      const index = this._syncSearchIndex(0);
+      if(index.count >= this._searchSource().total) return Promise.resolve(true);
+      return new Promise(resolve => index.waiters.push(resolve));
+    },
+
+    // where search reads messages from: the in-memory pool, or the generator for the newest SEARCH_GEN_MAX
+    // of meta.size
+    _searchSource(){
+      if(Array.isArray(this.messages) && this.messages.length){
+        const arr = this.messages;
+        return { inMemory: true, key: arr, start: 0, total: arr.length, get: (i) => arr[i] || null };
+      }
+      const size = Number(this.meta.size) || 0;
+      const genOpts = { size, seedBase: this.meta.seedBase, spanDays: this.meta.spanDays, endTime: this._endTime(), packs: this._packsOption(), codeSwitch: this.meta.codeSwitch };
+      const key = ['gen', size, genOpts.seedBase, genOpts.spanDays, genOpts.endTime, genOpts.codeSwitch, JSON.stringify(genOpts.packs)].join('|');
+      const start = Math.max(0, size - SEARCH_GEN_MAX);
+      return { inMemory: false, key, start, total: size, get: (i) => (i >= 0 && i < size) ? this._generateMessageForIndex(i, genOpts) : null };
+    },
+
+    // bring the search index up to date with the current source and return it. The in-memory pool is indexed
+    // in full; generated messages up to budget (default SEARCH_SYNC_BUDGET), the rest between tasks.
+    _syncSearchIndex(budget){
+      const src = this._searchSource();
+      let index = this._searchIndex;
+      // a replaced pool, or messages inserted at the front, invalidate every index position
+      if(!index || index.key !== src.key || index.count > src.total || (src.inMemory && index.count && index.firstId !== this.messages[0].id)){
+        if(index) index.waiters.forEach(resolve => resolve(false));
+        index = this._searchIndex = makeSearchIndex(src.key, src.start);
+      }
+      const end = src.inMemory ? src.total : Math.min(src.total, index.count + (budget !== undefined ? budget : SEARCH_SYNC_BUDGET));
+      for(let i=index.count;i<end;i++){
+        const m = src.get(i);
+        if(m) indexMessage(index, i, m);
+      }
+      index.count = end;
+      if(src.inMemory && src.total) index.firstId = this.messages[0].id;
+      if(index.count < src.total) this._scheduleSearchIndexing(index);
+      else if(index.waiters.length) index.waiters.splice(0).forEach(resolve => resolve(true));
+      return index;
+    },
+
+    // index the rest of the generated messages in SEARCH_CHUNK steps; stops when the index is replaced
+    _scheduleSearchIndexing(index){
+      if(index.scheduled) return;
+      index.scheduled = true;
+      setTimeout(() => {
+        index.scheduled = false;
+        if(this._searchIndex === index) this._syncSearchIndex(SEARCH_CHUNK);
+      }, 0);
+    },
+
+    /* ---------- Threads (in-memory pool or lazy generator, same results for the same seed) ---------- */
+    // opts: { seedBase, spanDays, size, lazy } — lazy forces generator resolution even if a pool is in memory
+    _threadSource(opts){
+      opts = opts || {};
+      const inMemory = !opts.lazy && Array.isArray(this.messages) && this.messages.length > 0;
+      const genOpts = {
+        size: opts.size || this.meta.size,
+        seedBase: opts.seedBase !== undefined ? opts.seedBase : this.meta.seedBase,
+        spanDays: opts.spanDays !== undefined ? opts.spanDays : this.meta.spanDays,
+        endTime: this._endTime(opts),
+        packs: this._packsOption(opts.packs),
+        codeSwitch: opts.codeSwitch !== undefined ? opts.codeSwitch : this.meta.codeSwitch
+      };
+      const total = inMemory ? this.messages.length : (Number(genOpts.size) || null);
+      return {
+        inMemory,
+        genOpts,
+        byId: (id) => {
+          if(inMemory) return this.findById(id);
+          const i = indexFromId(id);
+          if(i < 0 || (total !== null && i >= total)) return null;
+          return this._generateMessageForIndex(i, genOpts);
+        },
+        // ids of direct replies to `id`, oldest first
+        replyIds: (id) => {
+          if(inMemory){
+            if(!this._replyIndex){
+              this._replyIndex = {};
+              for(let j=0;j<this.messages.length;j++){
+                const m = this.messages[j];
+                if(m && m.replyTo) (this._replyIndex[m.replyTo] = this._replyIndex[m.replyTo] || []).push(m.id);
+              }
+            }
+            return (this._replyIndex[id] || []).slice();
+          }
+          // generated replies always sit within REPLY_WINDOW after their parent
+          const pi = indexFromId(id);
+          if(pi < 0) return [];
+          const out = [];
+          const last = pi + REPLY_WINDOW + 1;
+          for(let j=pi+2; j<=last; j++){
+            if(total !== null && j >= total) break;
+            if(this._threadNodeForIndex(j, genOpts).parentIndex === pi) out.push('msg_' + (j + 1));
+          }
+          return out;
+        }
+      };
+    },
+
+    // direct replies to message `id`
+    getReplies(id, opts){
+      const src = this._threadSource(opts);
+      return src.replyIds(id).map(src.byId).filter(Boolean);
+    },
+
+    // whole conversation containing `id`: root first, then every descendant in time order
+    getThread(id, opts){
+      const src = this._threadSource(opts);
+      let root = src.byId(id);
+      if(!root) return [];
+      for(let d=0; d<MAX_THREAD_DEPTH && root.replyTo; d++){
+        const parent = src.byId(root.replyTo);
+        if(!parent) break;
+        root = parent;
+      }
+      const out = [root];
+      const queue = [root.id];
+      const seen = new Set(queue);
+      while(queue.length){
+        const ids = src.replyIds(queue.shift());
+        for(const rid of ids){
+          if(seen.has(rid)) continue;
+          seen.add(rid);
+          const m = src.byId(rid);
+          if(m){ out.push(m); queue.push(rid); }
+        }
+      }
+      return out.sort((a,b) => (a.time || 0) - (b.time || 0));
+    },
+
     // estimate pool size needed for a given duration and rate (useful for planning non-duplicate coverage)
     // msgsPerMin: average messages per minute; durationDays: total days to cover; avgMsgsPerPersonPerDay: expected messages per person/day
     estimatePoolForDuration({ msgsPerMin = 45, durationDays = 365 * 2, avgMsgsPerPersonPerDay = 5 } = {}){
@@ -324,9 +2809,11 @@
       opts = opts || {};
       const size = clamp(Number(count) || 500, 1, 200000);
       const seedBase = Number(opts.seedBase || this.meta.seedBase || DEFAULT.seedBase);
+      const packs = this._packsOption(opts.packs);
       const out = [];
+      const genOpts = { size, seedBase, spanDays: opts.spanDays || this.meta.spanDays, endTime: this._endTime(opts), packs };
       for(let i=0;i<size;i++){
-        const m = this._generateMessageForIndex(i, { size, seedBase, spanDays: opts.spanDays || this.meta.spanDays });
+        const m = this._generateMessageForIndex(i, genOpts);
         out.push(m.text);
       }
       return out;
@@ -340,9 +2827,15 @@
       const spanDays = (opts.spanDays !== undefined) ? Number(opts.spanDays) : (this.meta && this.meta.spanDays) || DEFAULT.spanDays;
       const cachePagesMax = Math.max(3, Number(opts.cachePages || 12));
       const allowWrap = !!opts.allowWrap; // if true, nextPage will wrap to 0 when past end (optional)
+      // timestamps anchor (same as generatePool's)
+      const endTime = this._endTime(opts);
+      const packs = this._packsOption(opts.packs);
+      const codeSwitch = (opts.codeSwitch !== undefined) ? Number(opts.codeSwitch) : this.meta.codeSwitch;
 
       // attempt to determine total size if possible
       const totalSize = (this.messages && this.messages.length) ? this.messages.length : (this.meta && this.meta.size) ? Number(this.meta.size) : null;
+      // one options object for all lookups of this view (its dedupe hashes are shared, see _hashMemoFor)
+      const genOpts = { size: totalSize || undefined, seedBase, spanDays, endTime, packs, codeSwitch };
 
       // LRU page cache (key = pageStartIndex)
       const pageOrder = []; // queue of keys oldest -> newest
@@ -380,7 +2873,7 @@
         }
         // call internal generator (keeps deterministic behavior)
         if(typeof this._generateMessageForIndex === 'function'){
-          return this._generateMessageForIndex(index, { size: totalSize || undefined, seedBase: seedBase, spanDays: spanDays });
+          return this._generateMessageForIndex(index, genOpts);
         }
         // last resort: null
         return null;
@@ -465,6 +2958,14 @@
           return results;
         },
 
+        // thread helpers for this view's seed and packs (always the generator, not whatever pool is in memory)
+        getReplies(id){
+          return self.getReplies(id, { seedBase, spanDays, endTime, packs, codeSwitch, size: totalSize || undefined, lazy: true });
+        },
+        getThread(id){
+          return self.getThread(id, { seedBase, spanDays, endTime, packs, codeSwitch, size: totalSize || undefined, lazy: true });
+        },
+
         // clear page cache
         clearCache(){
           pageCache.clear();
@@ -489,7 +2990,7 @@
   window.MessagePool = MessagePool;
 
   // quick sanity: if SyntheticPeople exists and message pool empty, create a small sample preview
-  setTimeout(()=>{
+  if(!window.ABROX_WORKER) setTimeout(()=>{
     try{
       if(window.SyntheticPeople && (!window.MessagePool.messages || !window.MessagePool.messages.length)){
         MessagePool.generatePool({ size: 500, seedBase: MessagePool.meta.seedBase, spanDays: MessagePool.meta.spanDays });
@@ -14,6 +14,9 @@
       .replace(/'/g, '&#039;');
   }
 
+  // right-to-left scripts (Arabic, Persian, Urdu, ...) need dir="rtl" on the bubble
+  const RTL_LANGS = ['ar','fa','ur','he','ps','sd','yi'];
+
   function formatTime(ts){
     try{
       const d = new Date(ts || Date.now());
@@ -25,6 +28,8 @@
 
   function renderMessage(message, autoScroll = true){
     if (!message) return;
+    // canonical shape (message-model.js): out / time, not isOwn / timestamp
+    if (window.MessageModel) message = window.MessageModel.normalizeMessage(message);
 
     const chat = document.getElementById('chat');
     if (!chat) return;
@@ -32,11 +37,19 @@
     const row = document.createElement('div');
     row.className = 'message-row';
 
-    if (message.isOwn) row.classList.add('own');
+    if (message.out) row.classList.add('own');
 
     const bubble = document.createElement('div');
     bubble.className = 'message-bubble';
 
+    const lang = String(message.lang || '').toLowerCase().split('-')[0];
+    if (lang){
+      bubble.lang = lang;
+      bubble.dir = RTL_LANGS.includes(lang) ? 'rtl' : 'ltr';
+    } else {
+      bubble.dir = 'auto';
+    }
+
     const author = document.createElement('div');
     author.className = 'message-author';
     author.textContent =
@@ -46,13 +59,21 @@
 
     const text = document.createElement('div');
     text.className = 'message-text';
-    text.innerHTML = escapeHTML(message.text || '');
+    // formatting, links, cashtags and mentions through the sanitizing formatter (rich-text.js)
+    text.innerHTML = window.RichText ? window.RichText.toHtml(message.text || '') : escapeHTML(message.text || '');
 
     const time = document.createElement('div');
     time.className = 'message-time';
-    time.textContent = formatTime(message.timestamp);
+    time.textContent = formatTime(message.time);
 
     bubble.appendChild(author);
+    // reply quote and attachment cards come from ui-adapter.js when it is loaded
+    if (message.replyTo && window._abrox && window._abrox.renderReplyQuote){
+      bubble.appendChild(window._abrox.renderReplyQuote(message));
+    }
+    if (message.attachment && window._abrox && window._abrox.renderAttachment){
+      bubble.appendChild(window._abrox.renderAttachment(message));
+    }
     bubble.appendChild(text);
     bubble.appendChild(time);
     row.appendChild(bubble);
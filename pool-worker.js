@@ -0,0 +1,123 @@
+// pool-worker.js
+// Off-main-thread pool generation for SyntheticPeople.generatePoolAsync / MessagePool.generatePoolAsync.
+// This file has two roles:
+//   - loaded as a Web Worker: imports the same generator scripts as the page and streams results back,
+//     so output is identical to the synchronous generatePool for the same options
+//   - loaded in the page (before synthetic-people.js / message-pool.js): defines window.PoolWorker,
+//     the small client both modules use to run a job
+//
+// Protocol (page -> worker): { job: 'people' | 'messages', payload }
+//           (worker -> page): { type: 'chunk', start, items, profiles? }, { type: 'done', meta }, { type: 'error', message }
+// Cancellation terminates the worker.
+
+(function globalPoolWorker(){
+  const isWorker = typeof importScripts === 'function' && typeof document === 'undefined';
+
+  /* ---------- Worker side ---------- */
+  if(isWorker){
+    self.window = self;
+    self.ABROX_WORKER = true; // generator scripts skip their auto-init / UI work
+    importScripts('synthetic-people.js', 'message-pool.js');
+
+    const post = (msg) => self.postMessage(msg);
+
+    function runPeople(payload){
+      const stored = payload.profiles || {};
+      let changed = {};
+      const store = {
+        load: (shortName) => stored[shortName] ? Object.assign({}, stored[shortName]) : null,
+        // only report profiles the page does not already have
+        save: (shortName, profile) => {
+          if(JSON.stringify(stored[shortName] || null) !== JSON.stringify(profile)) changed[shortName] = profile;
+        }
+      };
+      const builder = self.SyntheticPeople._poolBuilder(payload.opts, payload.meta, store);
+      const chunkSize = Math.max(1, payload.chunkSize || 2000);
+      for(let start = 0; start < builder.size; start += chunkSize){
+        const items = builder.next(chunkSize);
+        post({ type: 'chunk', start, items, profiles: changed });
+        changed = {};
+      }
+      post({ type: 'done', meta: builder.meta });
+    }
+
+    function runMessages(payload){
+      const MP = self.MessagePool;
+      self.SyntheticPeople.people = payload.people || [];
+      (payload.packs || []).forEach(p => MP.registerTemplatePack(p));
+      MP.meta = Object.assign({}, MP.meta, payload.meta || {});
+      const job = MP._poolJob(payload.opts);
+      const chunkSize = Math.max(1, payload.chunkSize || 2000);
+      for(let start = 0; start < job.size; start += chunkSize){
+        const end = Math.min(job.size, start + chunkSize);
+        const items = new Array(end - start);
+        for(let i = start; i < end; i++) items[i - start] = MP._generateMessageForIndex(i, job.genOpts);
+        post({ type: 'chunk', start, items });
+      }
+      post({ type: 'done' });
+    }
+
+    self.onmessage = function(ev){
+      const data = ev.data || {};
+      try{
+        if(data.job === 'people') runPeople(data.payload || {});
+        else if(data.job === 'messages') runMessages(data.payload || {});
+        else post({ type: 'error', message: 'unknown job ' + data.job });
+      }catch(e){
+        post({ type: 'error', message: String((e && e.message) || e) });
+      }
+    };
+    return;
+  }
+
+  /* ---------- Page side: client ---------- */
+  if(window.PoolWorker) return;
+
+  // Run a job in a fresh worker. handlers: { onChunk(msg) }.
+  // Returns a promise for the 'done' message (null when cancelled) with a cancel() method.
+  // Rejects if the worker cannot be started or reports an error, so callers can fall back to the main thread.
+  function run(job, payload, handlers){
+    handlers = handlers || {};
+    let worker = null, settle = null;
+    const promise = new Promise((resolve, reject) => {
+      settle = { resolve, reject };
+      try{
+        worker = new Worker(PoolWorker.url);
+      }catch(e){
+        reject(e);
+        return;
+      }
+      worker.onmessage = (ev) => {
+        const msg = ev.data || {};
+        if(msg.type === 'chunk'){
+          try{ handlers.onChunk && handlers.onChunk(msg); }catch(e){ console.warn('PoolWorker: onChunk failed', e); }
+        } else if(msg.type === 'done'){
+          worker.terminate();
+          resolve(msg);
+        } else if(msg.type === 'error'){
+          worker.terminate();
+          reject(new Error(msg.message));
+        }
+      };
+      worker.onerror = (ev) => {
+        worker.terminate();
+        if(ev && ev.preventDefault) ev.preventDefault();
+        reject(new Error((ev && ev.message) || 'PoolWorker: worker failed to load'));
+      };
+      worker.postMessage({ job, payload });
+    });
+    promise.cancel = () => {
+      if(worker) worker.terminate();
+      if(settle) settle.resolve(null);
+    };
+    return promise;
+  }
+
+  const PoolWorker = {
+    url: 'pool-worker.js', // resolved against the page, like the other scripts
+    supported(){ return typeof Worker === 'function'; },
+    run
+  };
+
+  window.PoolWorker = PoolWorker;
+})();
@@ -0,0 +1,103 @@
+// rich-text.js
+// Sanitizing formatter for message text. Message text is plain text (message-model.js); every renderer
+// turns it into HTML through RichText.toHtml, which escapes everything and only emits its own markup:
+//   **bold**, _italic_, `code`, ```code blocks```, http(s) / www. links (rel="noopener noreferrer nofollow"),
+//   $BTC cashtags (only tokens MessagePool knows) and @mentions (only SyntheticPeople members).
+// No markup from the text itself ever reaches the DOM, and links never carry a non-http(s) scheme.
+//
+// Public API:
+//   RichText.toHtml(text, opts)   opts: { links (default true), cashtags (default true), mentions (default true) }
+//   RichText.escapeHtml(text)
+
+(function globalRichText(){
+  if(window.RichText) return;
+
+  function escapeHtml(s){ return String(s).replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'})[c]); }
+
+  /* ---------- Patterns ---------- */
+  const CODE_BLOCK_RE = /```(?:[A-Za-z0-9_+-]*\n)?([\s\S]*?)```/g;
+  // one alternative per inline construct, earliest match wins
+  const INLINE_SRC = [
+    '(`+)([^`\\n]+?)\\1',                                                      // 1,2 code
+    '((?:\\bhttps?:\\/\\/|\\bwww\\.)[^\\s<>"]+)',                               // 3 url
+    '\\*\\*(?=\\S)([^\\n]+?)(?<=\\S)\\*\\*',                                      // 4 bold
+    '(?<![\\p{L}\\p{N}_])_(?=\\S)([^_\\n]+?)(?<=\\S)_(?![\\p{L}\\p{N}_])',        // 5 italic
+    '(?<![\\p{L}\\p{N}$])\\$([A-Za-z][A-Za-z0-9]{0,11})(?![\\p{L}\\p{N}])',       // 6 cashtag
+    '(?<![\\p{L}\\p{N}_@])@([\\p{L}\\p{N}_]{2,40})'                              // 7 mention
+  ].join('|');
+  const URL_TRAILING_RE = /[.,;:!?)\]}'"]+$/;
+
+  /* ---------- Lookups ---------- */
+  function isToken(sym){
+    const MP = window.MessagePool;
+    try{ return !!(MP && typeof MP.isToken === 'function' && MP.isToken(sym)); }catch(e){ return false; }
+  }
+
+  // case-insensitive short name index, rebuilt when the member list changes
+  let memberIndex = null, memberIndexFor = null, memberIndexSize = -1;
+  function findMember(handle){
+    const SP = window.SyntheticPeople;
+    if(!SP || !Array.isArray(SP.people)) return null;
+    if(memberIndexFor !== SP.people || memberIndexSize !== SP.people.length){
+      memberIndex = new Map();
+      SP.people.forEach(p => { if(p && p.name) memberIndex.set(String(p.name).toLowerCase(), p); });
+      memberIndexFor = SP.people;
+      memberIndexSize = SP.people.length;
+    }
+    return memberIndex.get(String(handle).toLowerCase()) || null;
+  }
+
+  /* ---------- Formatting ---------- */
+  function linkHtml(raw){
+    let url = raw, tail = '';
+    const t = URL_TRAILING_RE.exec(url);
+    if(t){ tail = t[0]; url = url.slice(0, -tail.length); }
+    // keep a closing paren that belongs to the url, as in wikipedia links
+    if(tail.charAt(0) === ')' && url.indexOf('(') !== -1){ url += ')'; tail = tail.slice(1); }
+    const href = /^https?:\/\//i.test(url) ? url : 'https://' + url;
+    return `<a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer nofollow">${escapeHtml(url)}</a>` + escapeHtml(tail);
+  }
+
+  function inlineHtml(text, opts, depth){
+    let html = '', at = 0, m;
+    const re = new RegExp(INLINE_SRC, 'gu'); // own instance: bold / italic recurse
+    while((m = re.exec(text))){
+      html += escapeHtml(text.slice(at, m.index));
+      at = m.index + m[0].length;
+      if(m[2] !== undefined){
+        html += `<code>${escapeHtml(m[2])}</code>`;
+      } else if(m[3] !== undefined){
+        html += opts.links ? linkHtml(m[3]) : escapeHtml(m[3]);
+      } else if(m[4] !== undefined){
+        html += depth < 4 ? `<strong>${inlineHtml(m[4], opts, depth + 1)}</strong>` : escapeHtml(m[0]);
+      } else if(m[5] !== undefined){
+        html += depth < 4 ? `<em>${inlineHtml(m[5], opts, depth + 1)}</em>` : escapeHtml(m[0]);
+      } else if(m[6] !== undefined){
+        const sym = m[6].toUpperCase();
+        html += opts.cashtags && isToken(sym) ? `<span class="cashtag" data-token="${escapeHtml(sym)}">$${escapeHtml(sym)}</span>` : escapeHtml(m[0]);
+      } else if(m[7] !== undefined){
+        const p = opts.mentions ? findMember(m[7]) : null;
+        html += p ? `<span class="mention" data-name="${escapeHtml(p.name)}" title="${escapeHtml(p.displayName || p.name)}">@${escapeHtml(m[7])}</span>` : escapeHtml(m[0]);
+      }
+    }
+    return html + escapeHtml(text.slice(at));
+  }
+
+  function toHtml(text, opts){
+    opts = Object.assign({ links: true, cashtags: true, mentions: true }, opts || {});
+    text = text === undefined || text === null ? '' : String(text);
+    let html = '', at = 0, m;
+    CODE_BLOCK_RE.lastIndex = 0;
+    while((m = CODE_BLOCK_RE.exec(text))){
+      html += inlineHtml(text.slice(at, m.index), opts, 0);
+      html += `<pre><code>${escapeHtml(m[1].replace(/\n$/, ''))}</code></pre>`;
+      at = m.index + m[0].length;
+    }
+    return html + inlineHtml(text.slice(at), opts, 0);
+  }
+
+  window.RichText = {
+    toHtml,
+    escapeHtml
+  };
+})();
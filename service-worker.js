@@ -15,6 +15,8 @@
 <script src="https://cdn.tailwindcss.com"></script>
 <script src="https://unpkg.com/lucide@latest"></script>
 <script src="emoji-pack.js" defer></script>
+<script src="message-model.js"></script>
+<script src="rich-text.js"></script>
 
 <script>
 tailwind.config = {
@@ -200,18 +202,15 @@ membersBtn.onclick=()=>sidebar.classList.toggle('translate-x-full');
 closeSidebar.onclick=()=>sidebar.classList.add('translate-x-full');
 
 /* DB + CHAT LOGIC */
-const DB='AbroxDB',STORE='messages',PAGE=20;
+// records are canonical messages (message-model.js); openAbroxDB migrates the old timestamp records
+const STORE='messages',PAGE=20;
 let db,offset=0,loading=false,lastMeta=null,lastDate='';
 
-indexedDB.open(DB,1).onupgradeneeded=e=>{
-  e.target.result.createObjectStore(STORE,{keyPath:'id',autoIncrement:true});
-};
-
-indexedDB.open(DB,1).onsuccess=e=>{
-  db=e.target.result;
+MessageModel.openAbroxDB().then(d=>{
+  db=d;
   seed();
   load();
-};
+}).catch(e=>console.warn('AbroxDB unavailable',e));
 
 function save(m){
   db.transaction(STORE,'readwrite').objectStore(STORE).add(m);
@@ -222,9 +221,9 @@ function seed(){
   st.count().onsuccess=e=>{
     if(e.target.result)return;
     [
-      {...ADMIN,text:'Welcome to Abrox Private Lounge.',timestamp:Date.now()-86400000,out:false},
-      {...MOD,text:'Please read pinned rules before chatting.',timestamp:Date.now()-86300000,out:false}
-    ].forEach(save);
+      {...ADMIN,text:'Welcome to Abrox Private Lounge.',time:Date.now()-86400000,out:false},
+      {...MOD,text:'Please read pinned rules before chatting.',time:Date.now()-86300000,out:false}
+    ].map(MessageModel.normalizeMessage).forEach(save);
   };
 }
 
@@ -232,7 +231,7 @@ function load(){
   if(loading)return;
   loading=true;
   db.transaction(STORE).objectStore(STORE).getAll().onsuccess=e=>{
-    const all=e.target.result.sort((a,b)=>a.timestamp-b.timestamp);
+    const all=e.target.result.sort((a,b)=>a.time-b.time);
     const slice=all.slice(Math.max(0,all.length-offset-PAGE),all.length-offset);
     slice.forEach(m=>render(m,true));
     offset+=PAGE;
@@ -241,7 +240,8 @@ function load(){
 }
 
 function render(m,prepend=false){
-  const d=new Date(m.timestamp);
+  m=MessageModel.normalizeMessage(m);
+  const d=new Date(m.time);
   if(d.toDateString()!==lastDate){
     const sep=document.createElement('div');
     sep.className='date-sep';
@@ -255,8 +255,8 @@ function render(m,prepend=false){
   el.className=`msg ${m.out?'out':'in'} ${grouped?'grouped':''}`;
   el.innerHTML=`
     <div class="bubble">
-      ${!grouped&&!m.out?`<div class="sender">${m.name} <span class="badge ${m.role.toLowerCase()}">${m.role}</span></div>`:''}
-      ${m.text}
+      ${!grouped&&!m.out?`<div class="sender">${esc(m.displayName)} <span class="badge ${m.role.toLowerCase()}">${m.role}</span></div>`:''}
+      ${window.RichText ? RichText.toHtml(m.text) : esc(m.text)}
       <div class="time">✓ ${d.toLocaleTimeString([], {hour:'2-digit',minute:'2-digit'})}</div>
       <div class="read-by"></div>
     </div>`;
@@ -265,6 +265,8 @@ function render(m,prepend=false){
   lastMeta={sender:m.name,time:d};
 }
 
+function esc(s){return String(s).replace(/[&<>"']/g,c=>({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'})[c]);}
+
 function receipts(el){
   const t=el.querySelector('.time');
   const r=el.querySelector('.read-by');
@@ -281,7 +283,7 @@ function receipts(el){
 
 send.onclick=()=>{
   if(!input.value.trim())return;
-  const m={name:'You',role:'VERIFIED',text:input.value,timestamp:Date.now(),out:true};
+  const m=MessageModel.normalizeMessage({name:'You',role:'VERIFIED',text:input.value,time:Date.now(),out:true});
   save(m);
   render(m);
   input.value='';
@@ -1,46 +1,113 @@
 // simulation-engine.js
 // Demo simulation engine that wires MessagePool.createGeneratorView() + TypingEngine
 // - Defaults: useStreamAPI: true (preferred for very large pools), simulateTypingBeforeSend: true
-// - If simulateTypingBeforeSend is true the engine will call TypingEngine.triggerTyping() (or window._abrox.showTyping())
-//   before rendering each message to create a natural "typing -> send" flow.
+// - If simulateTypingBeforeSend is true the engine opens a TypingEngine session for the sender before rendering each
+//   message (sometimes pausing mid-message) and finishes it on send, so several members can be typing at once;
+//   other members now and then type and abandon. Without TypingEngine sessions it falls back to window._abrox.showTyping().
 // - If useStreamAPI && !simulateTypingBeforeSend and MessagePool.streamToUI exists, the engine will call streamToUI()
 //   which lets MessagePool drive rendering (fast).
 // - If MessagePool.createGeneratorView() exists we use it for memory-light paging; otherwise we fall back to getRange()
 // - Deterministic: call SimulationEngine.configure({ seedBase: 4000 }) before start to reproduce runs.
+// - Time and timers come from VirtualClock (virtual-clock.js) when loaded: pause, speed up or step a session there
+//   (VirtualClock.configure({ mode: 'manual' }); SimulationEngine.start(); VirtualClock.advance(3600000)).
+// - Bursty timing by default: a Hawkes-style arrival process where questions and replies set off bursts, the rate
+//   follows an hour-of-day schedule and quiet stretches happen (arrivalModel, hourWeights, excitation, quiet*;
+//   arrivalModel: 'fixed' restores ratePerMin +/- jitterFraction).
+// - Admin/mod personas pin messages as they appear (generated pinned messages, and some of their own posts;
+//   see staffPinChance / pinDelayMs) through window.pinMessage.
 //
 // API:
 //   SimulationEngine.configure(opts)
 //   SimulationEngine.start()
 //   SimulationEngine.stop()
 //   SimulationEngine.isRunning()
+//   SimulationEngine.onAppReady(opts)  // the page's bootstrap: starts the engine once (opts.startIndex: first message
+//                                      // to emit, after the prefilled history; configure({ autoStart: false }) to opt out)
 //   SimulationEngine.setRate(ratePerMin)
 //   SimulationEngine.setUseStreamAPI(bool)
 //   SimulationEngine.setSimulateTypingBeforeSend(bool)
 //   SimulationEngine.triggerOnce()  // emits a single message immediately (respecting typing simulation mode)
+//   SimulationEngine.loadScenario(scenarioOrJson)  // scripted moments mixed into the stream (see below)
+//   SimulationEngine.clearScenario()
+//   SimulationEngine.onLocalSend(message)  // the composer reports the user's own messages here; members reply,
+//                                          // type and react (configure localReplyChance, localRepliesPerMin, ...)
 //
+// Scenarios: a JSON script played next to the generated stream while the engine runs, e.g.
+//   { "id": "listing", "seedBase": 7, "steps": [
+//       { "at": "0:30", "actor": "admin", "text": "Big announcement in 2 minutes 👀", "id": "teaser" },
+//       { "at": "2:30", "actor": "admin", "text": "$ABX is listed!", "pin": true },
+//       { "action": "rate", "ratePerMin": 180, "forMs": 60000 },
+//       { "after": [500, 1500], "actor": "member", "text": ["🚀🚀", "LFG", "finally"], "repeat": 12, "every": [300, 900] },
+//       { "waitFor": "userMessage", "match": "wen|when", "timeoutMs": 60000,
+//         "then": [ { "after": 1200, "actor": "mod", "text": "Trading opens at 14:00 UTC", "replyTo": "user" } ] },
+//       { "branch": [ { "weight": 2, "steps": [ { "after": 4000, "actor": "member", "text": "dump incoming" } ] },
+//                     { "weight": 1, "steps": [ { "action": "unpin", "target": "teaser" } ] } ] },
+//       { "loop": 3, "steps": [ { "after": 20000, "actor": "Kai", "text": "still holding" } ] }
+//   ] }
+// Step timing: "at" ("m:ss" / "h:mm:ss" / ms) is measured from the start of the enclosing block (scenario, loop
+// pass, branch arm); "after" (ms or [min, max]) from the previous step. Steps run one after another; a message
+// step ends when the message is sent (after its typing), so the next one never overtakes it.
+// Messages: actor is 'admin' | 'mod' | 'member' | a member name | { name, displayName, role, avatar }; text may be an
+// array (one is picked); replyTo / target name a step id, 'last' or 'user' (the message that satisfied a waitFor).
+// Actions: pin, unpin (target), rate (ratePerMin, forMs), pauseStream / resumeStream (generated stream), typing (actor, ms).
+// Control: loop (count or "forever") with steps, branch (weighted arms), waitFor "userMessage" (match regexp,
+// timeoutMs, then / else steps). Delays, picks and branches use a PRNG seeded with the scenario's seedBase (or the
+// engine's), so a scenario replays the same way every time.
 
 (function globalSimulationEngine(){
   if(window.SimulationEngine) return;
 
   function clamp(v,a,b){ return Math.max(a, Math.min(b, v)); }
-  function now(){ return Date.now(); }
+  // time and timers go through the shared VirtualClock (virtual-clock.js) when it is loaded
+  function now(){ return window.VirtualClock ? window.VirtualClock.now() : Date.now(); }
+  function setTimer(fn, ms){ return window.VirtualClock ? window.VirtualClock.setTimeout(fn, ms) : setTimeout(fn, ms); }
+  function clearTimer(id){ return window.VirtualClock ? window.VirtualClock.clearTimeout(id) : clearTimeout(id); }
 
   const DEFAULTS = {
+    autoStart: true,               // onAppReady() starts the engine
     seedBase: null,                // if set => deterministic PRNG used for internal jitter decisions
     useStreamAPI: true,            // prefer MessagePool.streamToUI for very large pools (fast)
     simulateTypingBeforeSend: true, // simulate typing before sending (more realistic)
     ratePerMin: 45,                // messages per minute
     pageSize: 200,                 // generator view page size (if using generator view)
-    jitterFraction: 0.25,          // jitter applied to intervals
+    jitterFraction: 0.25,          // jitter applied to intervals ('fixed' arrivals)
+    arrivalModel: 'bursty',        // 'bursty' (self-exciting, see Arrivals) or 'fixed' (ratePerMin +/- jitterFraction)
+    hourWeights: [0.30,0.20,0.15,0.10,0.10,0.15,0.30,0.55,0.85,1.05,1.15,1.10,1.05,1.10,1.25,1.30,1.20,1.10,1.05,1.10,1.15,1.05,0.80,0.50], // rate by local hour
+    excitation: 0.3,               // expected follow-up messages each message triggers
+    questionExcitation: 0.9,       // ... a question
+    replyExcitation: 0.6,          // ... a reply
+    excitationDecayMs: 40000,      // how fast a burst fades
+    maxBurstFactor: 6,             // intensity cap, in multiples of ratePerMin
+    quietPerHour: 1,               // quiet stretches per hour (average)
+    quietMs: [90000, 480000],      // quiet stretch length
+    quietFactor: 0.08,             // background rate inside a quiet stretch
+    maxGapMs: 900000,              // longest silence between generated messages
     typingMinMs: 300,              // min typing indicator (ms)
     typingMaxMs: 1800,             // max typing indicator (ms)
     typingPerCharMs: 45,           // optional typing duration per character heuristic
     useGeneratorViewIfAvailable: true, // prefer generator view over getRange for prefill/streaming
-    simulateTypingFraction: 0.75   // fraction of messages to simulate typing for (not all)
+    simulateTypingFraction: 1,     // fraction of messages whose sender types first (a TypingEngine session)
+    typingPauseChance: 0.25,       // a typing session pauses mid-message
+    typingPauseMs: [600, 2500],    // ... for this long
+    typingAbandonChance: 0.08,     // per generated message: another member types and does not send
+    staffPinChance: 0.03,          // chance an admin/mod pins their own post
+    pinDelayMs: [1500, 8000],      // staff pin a message this long after it appears
+    reactToLocalSends: true,       // members react to the user's own messages (onLocalSend)
+    localReplyChance: 0.8,         // chance a question / token message gets replies (small talk: 60% of it)
+    localExtraReplyChance: 0.35,   // chance of each further reply
+    localMaxReplies: 3,            // replies per message at most
+    localRepliesPerMin: 6,         // replies to the user per minute at most
+    localReplyDelayMs: [1500, 7000], // first reply (typing starts) this long after the user's message
+    localMentionChance: 0.2,       // a reply @mentions another member
+    localMaxTypers: 2,             // extra members who type without sending
+    localReactionChance: 0.5,      // the message gets emoji reactions
+    localMaxReactions: 4,          // reactions per message at most
+    localReactionEmoji: ['👍', '🔥', '😂', '🚀', '💯', '👀', '❤️']
   };
 
   let cfg = Object.assign({}, DEFAULTS);
   let running = false;
+  let appReady = false;
   let timer = null;
   let pageIdx = 0;    // absolute message index counter
   let currentStreamer = null; // holds stream object from MessagePool.streamToUI if in use
@@ -71,13 +138,47 @@
     try{
       if(window._abrox && typeof window._abrox.showTyping === 'function'){
         window._abrox.showTyping(names);
-        setTimeout(()=>{ try{ window._abrox.showTyping([]); }catch(e){} }, durationMs + 80);
+        setTimer(()=>{ try{ window._abrox.showTyping([]); }catch(e){} }, durationMs + 80);
         return;
       }
     }catch(e){}
     // otherwise no-op
   }
 
+  // Typing session for `name` before a message: TypingEngine.startSession, now and then a pause mid-message
+  // (thinking, correcting; it makes the typing longer), then finish() and send(). Without sessions the
+  // indicator is shown for the duration. `schedule` defaults to setTimer.
+  function typeThenSend(name, durationMs, send, rnd, schedule){
+    schedule = schedule || setTimer;
+    rnd = rnd || Math.random;
+    durationMs = Math.max(50, Math.round(durationMs || 0));
+    const TE = window.TypingEngine;
+    let session = null;
+    try{ session = TE && typeof TE.startSession === 'function' ? TE.startSession(name) : null; }catch(e){}
+    if(!session){
+      triggerTypingForNames([name], durationMs);
+      schedule(send, durationMs);
+      return;
+    }
+    let total = durationMs;
+    if(rnd() < cfg.typingPauseChance){
+      const pauseMs = Math.round(cfg.typingPauseMs[0] + rnd() * (cfg.typingPauseMs[1] - cfg.typingPauseMs[0]));
+      schedule(()=>session.pause(pauseMs), durationMs * (0.3 + rnd() * 0.4));
+      total += pauseMs;
+    }
+    schedule(()=>{ session.finish(); send(); }, total);
+  }
+
+  // someone starts typing and gives up without sending
+  function typeThenAbandon(name, durationMs, schedule){
+    schedule = schedule || setTimer;
+    const TE = window.TypingEngine;
+    let session = null;
+    try{ session = TE && typeof TE.startSession === 'function' ? TE.startSession(name) : null; }catch(e){}
+    if(!session){ triggerTypingForNames([name], durationMs); return; }
+    schedule(()=>session.abandon(), Math.max(50, Math.round(durationMs || 0)));
+  }
+
   // compute per-message typing duration heuristically
   function computeTypingDurationForMessage(m){
     if(!m || !m.text) return cfg.typingMinMs;
@@ -86,6 +187,126 @@
     return clamp(est, cfg.typingMinMs, cfg.typingMaxMs);
   }
 
+  // staff personas pin messages: the ones MessagePool generated as pinned, and now and then their own posts
+  let staffCache = null;
+  function staffNames(){
+    const people = (window.SyntheticPeople && window.SyntheticPeople.people) || [];
+    if(!staffCache || staffCache.people !== people){
+      staffCache = { people, names: people.filter(p => p.role === 'ADMIN' || p.role === 'MOD').map(p => p.displayName || p.name) };
+    }
+    return staffCache.names;
+  }
+  function maybeStaffPin(m){
+    if(!m || typeof window.pinMessage !== 'function') return;
+    const rnd = deterministicRnd || Math.random;
+    const staffPost = m.role === 'ADMIN' || m.role === 'MOD';
+    if(!m.pinned && !(staffPost && rnd() < cfg.staffPinChance)) return;
+    const names = staffNames();
+    const by = staffPost ? (m.displayName || m.name) : (names.length ? names[Math.floor(rnd() * names.length)] : 'Admin');
+    const delay = Math.round(cfg.pinDelayMs[0] + rnd() * (cfg.pinDelayMs[1] - cfg.pinDelayMs[0]));
+    setTimer(()=>{ try{ window.pinMessage(m.id, { by, message: m }); }catch(e){ console.warn('SimulationEngine: pin failed', e); } }, delay);
+  }
+
+  /* ---------------- Arrivals (bursty conversation model) ---------------- */
+  // With arrivalModel 'bursty' the gaps between generated messages come from a self-exciting (Hawkes)
+  // process instead of a fixed interval. Intensity in messages per ms:
+  //   lambda(t) = (base(t) + sum over earlier messages k of  eta_k / tau * exp(-(t - t_k) / tau)) * quiet(t)
+  //   base(t)   = ratePerMin * hourWeights[local hour] / mean(hourWeights) * (1 - mean eta)
+  // eta_k (expected follow-ups) is excitation, questionExcitation or replyExcitation and tau is excitationDecayMs;
+  // scaling base by (1 - mean eta) keeps the long-run average at ratePerMin. quiet(t) is quietFactor inside a
+  // quiet stretch (they start quietPerHour times an hour on average and last quietMs), else 1. lambda is capped
+  // at maxBurstFactor * ratePerMin. Gaps are drawn by thinning (Ogata) with a PRNG seeded from seedBase, so a seeded
+  // run from the same hour of day replays the same rhythm.
+  const QUESTION_END_RE = /\?\s*\S{0,3}\s*$/;
+
+  function createArrivals(seed){
+    const rnd = createRnd(seed === null || seed === undefined ? null : (Number(seed) ^ 0x5bd1e995) >>> 0);
+    const expo = (ratePerMs) => -Math.log(1 - rnd()) / ratePerMs;
+    let lastT = now();       // time of the last registered message
+    let excite = 0;          // self-excitation at lastT (messages / ms)
+    let meanEta = cfg.excitation; // running mean of eta (branching ratio)
+    let quietStart = 0, quietEnd = 0, nextQuiet = 0;
+
+    function planQuiet(from){
+      nextQuiet = cfg.quietPerHour > 0 ? from + expo(cfg.quietPerHour / 3600000) : Infinity;
+    }
+    planQuiet(lastT);
+
+    function meanHourWeight(){
+      return cfg.hourWeights.reduce((a, b) => a + b, 0) / cfg.hourWeights.length || 1;
+    }
+    // quiet stretches are drawn as time moves forward (callers only ask for later and later times)
+    function quietAt(t){
+      while(t >= nextQuiet){
+        quietStart = nextQuiet;
+        quietEnd = quietStart + cfg.quietMs[0] + rnd() * (cfg.quietMs[1] - cfg.quietMs[0]);
+        planQuiet(quietEnd);
+      }
+      return t >= quietStart && t < quietEnd;
+    }
+    function base(t){
+      const w = cfg.hourWeights[new Date(t).getHours()] / meanHourWeight();
+      return cfg.ratePerMin / 60000 * w * (1 - Math.min(0.9, meanEta));
+    }
+    function excitationAt(t){ return excite * Math.exp(-(t - lastT) / cfg.excitationDecayMs); }
+    function cap(){ return cfg.maxBurstFactor * cfg.ratePerMin / 60000; }
+    function intensity(t){ return Math.min(cap(), (base(t) + excitationAt(t)) * (quietAt(t) ? cfg.quietFactor : 1)); }
+
+    return {
+      // a message appeared: it raises short-term activity
+      register(m){
+        const t = now();
+        excite = excitationAt(t);
+        lastT = t;
+        let eta = cfg.excitation;
+        if(m && m.replyTo) eta = Math.max(eta, cfg.replyExcitation);
+        if(m && QUESTION_END_RE.test(String(m.text || ''))) eta = Math.max(eta, cfg.questionExcitation);
+        excite += eta / cfg.excitationDecayMs;
+        meanEta += (eta - meanEta) * 0.02;
+      },
+      // ms until the next message (thinning: candidates from an upper bound, accepted by lambda / bound)
+      nextGap(){
+        const from = now();
+        const peak = cfg.ratePerMin / 60000 * Math.max.apply(null, cfg.hourWeights) / meanHourWeight() * (1 - Math.min(0.9, meanEta));
+        let t = from;
+        for(let k=0; k<10000; k++){
+          // excitation only decays, so the bound at t holds for every later candidate
+          const bound = Math.min(cap(), peak + excitationAt(t));
+          t += expo(bound);
+          if(t - from >= cfg.maxGapMs) return cfg.maxGapMs;
+          if(rnd() * bound <= intensity(t)) break;
+        }
+        return Math.max(20, Math.round(t - from));
+      },
+      info(){
+        const t = now();
+        return { perMin: +(intensity(t) * 60000).toFixed(2), base: +(base(t) * 60000).toFixed(2), quiet: quietAt(t) };
+      }
+    };
+  }
+
+  let arrivals = null;
+  let redrawGap = null;   // set by the manual stream: re-draws the pending gap after an outside message
+
+  // messages the stream did not emit (the user's, replies to them, scenario lines) excite the process too;
+  // the pending gap is drawn again from now (thinning is memoryless), so a burst can start right away
+  function noteArrival(m){
+    if(cfg.arrivalModel !== 'bursty' || !arrivals) return;
+    arrivals.register(m);
+    if(redrawGap) redrawGap();
+  }
+
+  // delay before the next generated message: bursty (arrivals) or ratePerMin +/- jitterFraction
+  function nextEmitDelay(m, rnd){
+    if(cfg.arrivalModel === 'bursty' && arrivals){
+      arrivals.register(m);
+      return arrivals.nextGap();
+    }
+    const baseIntervalMs = Math.round(60000 / Math.max(1, cfg.ratePerMin));
+    const jitter = Math.round((rnd() - 0.5) * baseIntervalMs * cfg.jitterFraction);
+    return Math.max(20, baseIntervalMs + jitter);
+  }
+
   // main loop when using generator view / manual streaming
   function startManualStream(){
     if(running === false) return;
@@ -113,8 +334,6 @@
       return;
     }
 
-    // compute timing
-    const baseIntervalMs = Math.round(60000 / Math.max(1, cfg.ratePerMin));
     deterministicRnd = createRnd(cfg.seedBase);
 
     // iterate pages and messages
@@ -126,6 +345,9 @@
     // internal emitter function
     const emitNext = () => {
       if(!running) return;
+      // a scenario holds the generated stream (pauseStream); the rate is read per message so setRate() and
+      // scenario rate steps apply to the running stream
+      if(streamPaused){ timer = setTimer(emitNext, Math.round(60000 / Math.max(1, cfg.ratePerMin))); return; }
       // if we exhausted current page, fetch next
       if(idxWithinPage >= currentPage.length){
         currentPageStart += view.pageSize;
@@ -147,31 +369,39 @@
       pageIdx = currentPageStart + idxWithinPage;
       idxWithinPage++;
 
-      // simulate typing before send?
+      // render, then maybe a staff pin (its delay counts from the render, not from the typing start)
+      const show = () => {
+        try{ window.renderMessage && window.renderMessage(m, true); }catch(e){ console.warn('SimulationEngine: renderMessage failed', e); }
+        maybeStaffPin(m);
+      };
+      // simulate typing before send? (a typing session for the sender, see typeThenSend)
       const doTyping = cfg.simulateTypingBeforeSend && (deterministicRnd() < cfg.simulateTypingFraction);
-      if(doTyping && window && typeof triggerTypingForNames === 'function'){
+      if(doTyping){
         const name = (m && (m.displayName || m.name)) ? (m.displayName || m.name) : 'Someone';
-        const typingDur = computeTypingDurationForMessage(m);
-        try{
-          triggerTypingForNames([name], typingDur);
-        }catch(e){}
-        // render after typingDur plus a small natural delay
-        setTimeout(()=>{
-          try{ window.renderMessage && window.renderMessage(m, true); }catch(e){ console.warn('SimulationEngine: renderMessage failed', e); }
-        }, typingDur + Math.round((deterministicRnd() - 0.5) * 180)); // small +/- jitter to feel organic
+        const typingDur = computeTypingDurationForMessage(m) + Math.round((deterministicRnd() - 0.5) * 180); // small +/- jitter to feel organic
+        typeThenSend(name, typingDur, show, deterministicRnd);
       } else {
         // immediate render
-        try{ window.renderMessage && window.renderMessage(m, true); }catch(e){ console.warn('SimulationEngine: renderMessage failed', e); }
+        show();
+      }
+      // now and then someone else starts typing and thinks better of it
+      if(cfg.simulateTypingBeforeSend && deterministicRnd() < cfg.typingAbandonChance){
+        const p = onlineMembers(1, deterministicRnd)[0];
+        if(p) typeThenAbandon(p.displayName || p.name, cfg.typingMinMs + deterministicRnd() * cfg.typingMaxMs * 2);
       }
 
-      // schedule next emit with jitter
-      const jitter = Math.round((deterministicRnd() - 0.5) * baseIntervalMs * cfg.jitterFraction);
-      const nextDelay = Math.max(20, baseIntervalMs + jitter);
-      timer = setTimeout(emitNext, nextDelay);
+      // schedule next emit (bursty arrivals or fixed rate with jitter)
+      timer = setTimer(emitNext, nextEmitDelay(m, deterministicRnd));
+    };
+
+    redrawGap = () => {
+      if(!timer || streamPaused) return;
+      clearTimer(timer);
+      timer = setTimer(emitNext, arrivals.nextGap());
     };
 
     // kick off first emit
-    timer = setTimeout(emitNext, 0);
+    timer = setTimer(emitNext, 0);
   }
 
   // start using MessagePool.streamToUI (fast) - only used when simulateTypingBeforeSend === false
@@ -187,8 +417,11 @@
       startIndex: pageIdx || 0,
       ratePerMin: cfg.ratePerMin,
       jitterMs: Math.round((60000 / Math.max(1, cfg.ratePerMin)) * cfg.jitterFraction),
+      firstDelayMs: 0,
+      nextDelay: (m) => nextEmitDelay(m, Math.random),
       onEmit: (m, idx) => {
         pageIdx = idx + 1;
+        maybeStaffPin(m);
         // occasional typing nudges to TypingEngine to keep UI lively (independent)
         try{
           if(Math.random() < 0.02){
@@ -202,10 +435,447 @@
     currentStreamer = MessagePool.streamToUI(opts);
   }
 
+  /* ---------------- Reactions to the user's own messages ---------------- */
+  // onLocalSend: online members notice what the user posted. A few start typing (not all of them send),
+  // up to localMaxReplies reply quoting the message and matching its topic (question -> answer, token ->
+  // opinion, greeting -> greeting), a reply now and then @mentions another member, and some react with an
+  // emoji. localRepliesPerMin caps the replies across sends; with seedBase set the same message gets the
+  // same reactions.
+  const LOCAL_TEXTS = {
+    question: [
+      'Good question, I think it was covered in the pinned post',
+      'Not sure tbh, depends on the timeframe you trade',
+      'Yes, last I checked',
+      'I don\'t think so, would wait for confirmation',
+      'Depends on the market, check the announcements channel',
+      'Same question here 👀',
+      'Short answer: yes. Long answer: DYOR',
+      'Mods said it\'s being worked on'
+    ],
+    token: [
+      '${T} looks strong as long as it holds {price}',
+      'Still bullish on ${T} long term',
+      '${T} chart is ugly rn, waiting for a retest',
+      'Took some profit on ${T} around {price}',
+      'Careful with ${T}, volume is drying up',
+      '${T} breakout incoming imo',
+      'Loaded more ${T} on the dip',
+      'Not touching ${T} until it reclaims {price}'
+    ],
+    greeting: ['gm 👋', 'gm!', 'Welcome 🙌', 'hey 👋', 'gm gm'],
+    generic: ['Agreed', 'Fair point', 'This 👆', 'lol true', '+1', 'Interesting take', 'Hmm, not so sure about that', 'Exactly what I was thinking']
+  };
+  const MENTION_TEXTS = [' @{name} what do you think?', ' @{name} you were on this earlier', ' cc @{name}'];
+  const QUESTION_RE = /\?\s*$|^\s*(who|what|when|wen|where|why|how|is|are|can|could|should|does|do|did|will|any(one|body)?)\b/i;
+  const GREETING_RE = /^\s*(gm|gn|hi|hey|hello|yo|good (morning|evening))\b/i;
+  const TICKER_RE = /\$?\b([A-Za-z]{2,10})\b/g;
+  const localTimers = new Set();
+  let localReplyTimes = [];   // send times of recent replies (localRepliesPerMin)
+
+  function strHash(s){
+    s = String(s || '');
+    let h = 2166136261 >>> 0;
+    for(let i=0;i<s.length;i++){ h ^= s.charCodeAt(i); h = Math.imul(h, 16777619) >>> 0; }
+    return h >>> 0;
+  }
+
+  function later(fn, ms){
+    const t = setTimer(()=>{ localTimers.delete(t); fn(); }, Math.max(0, Math.round(ms)));
+    localTimers.add(t);
+  }
+
+  // the first token MessagePool knows in the text ('$btc', 'ETH'), or null
+  function tokenIn(text){
+    const MP = window.MessagePool;
+    if(!MP || typeof MP.isToken !== 'function') return null;
+    TICKER_RE.lastIndex = 0;
+    let m;
+    while((m = TICKER_RE.exec(text))){
+      const sym = m[1].toUpperCase();
+      // bare words only count when written in capitals ('eth' is a word, 'ETH' / '$eth' a ticker)
+      if((m[0].charAt(0) === '$' || m[1] === sym) && MP.isToken(sym)) return sym;
+    }
+    return null;
+  }
+
+  function topicOf(text){
+    const token = tokenIn(text);
+    if(token) return { kind: 'token', token };
+    if(QUESTION_RE.test(text)) return { kind: 'question' };
+    if(GREETING_RE.test(text)) return { kind: 'greeting' };
+    return { kind: 'generic' };
+  }
+
+  function fmtPrice(p){
+    if(p >= 1000) return Math.round(p).toLocaleString('en-US');
+    if(p >= 1) return p.toFixed(2);
+    return p.toPrecision(3);
+  }
+
+  function replyText(topic, rnd){
+    const list = LOCAL_TEXTS[topic.kind];
+    let text = list[Math.floor(rnd() * list.length)];
+    if(topic.kind === 'token'){
+      let price = null;
+      try{ price = window.MessagePool.priceAt(topic.token, now()); }catch(e){}
+      text = text.replace(/\{T\}/g, topic.token);
+      // templates that quote a level fall back to a plain opinion without a price
+      text = price ? text.replace('{price}', fmtPrice(price * (0.97 + rnd() * 0.06))) : text.replace(/ (as long as it holds|around|until it reclaims) \{price\}/, '');
+    }
+    return text;
+  }
+
+  // members seen in the last few minutes (presence), otherwise anyone; never the same person twice
+  function onlineMembers(count, rnd){
+    const people = (window.SyntheticPeople && window.SyntheticPeople.people) || [];
+    if(!people.length) return [];
+    const t = now();
+    let pool = people.filter(p => p && t - (p.lastActive || 0) < 5 * 60 * 1000);
+    if(pool.length < count) pool = people;
+    const picked = [], seen = new Set();
+    for(let k=0; k<count * 8 && picked.length < count; k++){
+      const p = pool[Math.floor(rnd() * pool.length)];
+      if(!p || seen.has(p.name)) continue;
+      seen.add(p.name);
+      picked.push(p);
+    }
+    return picked;
+  }
+
+  function replyAllowed(){
+    const t = now();
+    localReplyTimes = localReplyTimes.filter(x => t - x < 60000);
+    if(localReplyTimes.length >= cfg.localRepliesPerMin) return false;
+    localReplyTimes.push(t);
+    return true;
+  }
+
+  function sendLocalReply(p, m, text, delay, rnd){
+    const reply = {
+      id: 'sim_' + m.id + '_' + p.name,
+      name: p.name,
+      displayName: p.displayName || p.name,
+      role: p.role,
+      avatar: p.avatar || '',
+      text,
+      replyTo: m.id
+    };
+    later(()=>{
+      if(!replyAllowed()) return;
+      typeThenSend(reply.displayName, computeTypingDurationForMessage(reply), ()=>{
+        reply.time = now();
+        p.lastActive = reply.time;
+        const msg = window.MessageModel ? window.MessageModel.normalizeMessage(reply) : reply;
+        try{ window.renderMessage && window.renderMessage(msg, true); }catch(e){ console.warn('SimulationEngine: reply render failed', e); }
+        noteArrival(msg);
+      }, rnd, later);
+    }, delay);
+  }
+
+  function reactToLocal(m){
+    if(!cfg.reactToLocalSends || !m || !m.id) return;
+    const rnd = cfg.seedBase !== null ? createRnd((cfg.seedBase ^ strHash(m.text)) >>> 0) : Math.random;
+    const text = String(m.text || '');
+    const topic = topicOf(text);
+    const delayIn = (range) => range[0] + rnd() * (range[1] - range[0]);
+    // questions and token talk draw more answers than small talk
+    const chance = topic.kind === 'question' || topic.kind === 'token' ? cfg.localReplyChance : cfg.localReplyChance * 0.6;
+
+    let replies = 0;
+    if(rnd() < chance){
+      replies = 1;
+      while(replies < cfg.localMaxReplies && rnd() < cfg.localExtraReplyChance) replies++;
+    }
+    const lurkers = Math.floor(rnd() * (cfg.localMaxTypers + 1));
+    const people = onlineMembers(replies + lurkers + 1, rnd);
+    const mentionable = people[people.length - 1];
+
+    people.slice(0, replies).forEach((p, k) => {
+      let reply = replyText(topic, rnd);
+      if(mentionable && mentionable !== p && rnd() < cfg.localMentionChance){
+        reply += MENTION_TEXTS[Math.floor(rnd() * MENTION_TEXTS.length)].replace('{name}', mentionable.name);
+      }
+      sendLocalReply(p, m, reply, delayIn(cfg.localReplyDelayMs) + k * delayIn(cfg.localReplyDelayMs) * 0.5, rnd);
+    });
+
+    // typing indicators from members who think better of it
+    people.slice(replies, replies + lurkers).forEach(p => {
+      const typingMs = cfg.typingMinMs + rnd() * (cfg.typingMaxMs - cfg.typingMinMs);
+      later(()=>typeThenAbandon(p.displayName || p.name, typingMs, later), delayIn(cfg.localReplyDelayMs) * 0.5);
+    });
+
+    // emoji reactions
+    if(rnd() < cfg.localReactionChance && window._abrox && typeof window._abrox.addReaction === 'function'){
+      const count = 1 + Math.floor(rnd() * cfg.localMaxReactions);
+      onlineMembers(count, rnd).forEach(p => {
+        const emoji = cfg.localReactionEmoji[Math.floor(rnd() * cfg.localReactionEmoji.length)];
+        later(()=>{ try{ window._abrox.addReaction(m.id, emoji, p.displayName || p.name); }catch(e){} }, delayIn(cfg.localReplyDelayMs));
+      });
+    }
+  }
+
+  /* ---------------- Scenarios (scripted moments mixed into the stream) ---------------- */
+  // See the format at the top of this file. A scenario runs alongside the generated stream: scripted
+  // messages go through window.renderMessage like generated ones, actions pin / unpin or change the
+  // stream rate. All random choices (delay ranges, text variants, actors, branches) come from one PRNG
+  // seeded with scenario.seedBase (or cfg.seedBase), so the same scenario replays identically.
+  const STEP_KINDS = ['text', 'action', 'loop', 'branch', 'waitFor'];
+  const SCENARIO_ACTIONS = ['pin', 'unpin', 'rate', 'pauseStream', 'resumeStream', 'typing'];
+  const MAX_IMMEDIATE_STEPS = 1000; // zero-delay steps in a row before we assume a runaway loop
+
+  let scenario = null;      // loaded scenario
+  let play = null;          // { rnd, frames, timer, waiter, restores, startedAt, emitted, lastId, ids, immediate, done }
+  let streamPaused = false;
+
+  // '3:00', '1:02:30', 90000 -> ms
+  function parseOffset(v){
+    if(typeof v === 'number') return Math.max(0, v);
+    const parts = String(v || '').trim().split(':').map(Number);
+    if(!parts.length || parts.some(n => !isFinite(n))) return NaN;
+    return Math.max(0, parts.reduce((acc, n) => acc * 60 + n, 0) * 1000);
+  }
+
+  function validateSteps(steps, path, errors){
+    if(!Array.isArray(steps)){ errors.push(path + ': steps must be an array'); return; }
+    steps.forEach((s, i) => {
+      const at = path + '[' + i + ']';
+      if(!s || typeof s !== 'object'){ errors.push(at + ': not an object'); return; }
+      const kinds = STEP_KINDS.filter(k => s[k] !== undefined);
+      if(kinds.length !== 1) errors.push(at + ': needs exactly one of ' + STEP_KINDS.join(', '));
+      if(s.at !== undefined && !isFinite(parseOffset(s.at))) errors.push(at + ': bad at offset');
+      if(s.action !== undefined && SCENARIO_ACTIONS.indexOf(s.action) === -1) errors.push(at + ': unknown action ' + s.action);
+      if(s.loop !== undefined){
+        if(!(s.loop === 'forever' || Number(s.loop) >= 1)) errors.push(at + ': loop must be a count or "forever"');
+        if(Array.isArray(s.steps) && !s.steps.length) errors.push(at + ': loop has no steps');
+        validateSteps(s.steps, at + '.steps', errors);
+      }
+      if(s.branch !== undefined){
+        if(!Array.isArray(s.branch) || !s.branch.length) errors.push(at + ': branch must be a non-empty array');
+        else s.branch.forEach((b, k) => validateSteps(b && b.steps, at + '.branch[' + k + '].steps', errors));
+      }
+      if(s.waitFor !== undefined){
+        if(s.waitFor !== 'userMessage') errors.push(at + ': waitFor must be "userMessage"');
+        if(s.then !== undefined) validateSteps(s.then, at + '.then', errors);
+        if(s.else !== undefined) validateSteps(s.else, at + '.else', errors);
+      }
+    });
+  }
+
+  // [min, max] or a number -> ms (seeded pick inside the range)
+  function pickDelay(v, rnd){
+    if(Array.isArray(v)) return Math.round(Number(v[0]) + rnd() * (Number(v[1]) - Number(v[0])));
+    return Math.max(0, Number(v) || 0);
+  }
+
+  // actor: 'admin' | 'mod' | 'member' | member name / displayName | { name, displayName, role, avatar }
+  function resolveActor(actor, rnd){
+    const SP = window.SyntheticPeople;
+    const people = (SP && SP.people) || [];
+    if(actor && typeof actor === 'object') return actor;
+    const want = String(actor || 'member');
+    const role = { admin: 'ADMIN', mod: 'MOD', member: 'VERIFIED' }[want.toLowerCase()];
+    if(role){
+      const staff = role !== 'VERIFIED' ? staffCacheFor(role) : null;
+      if(staff) return staff.length ? staff[Math.floor(rnd() * staff.length)] : { name: want, role };
+      // members: sample until a verified one turns up (the pool is mostly members)
+      for(let k=0; k<32 && people.length; k++){
+        const p = people[Math.floor(rnd() * people.length)];
+        if(p && p.role === 'VERIFIED') return p;
+      }
+      return { name: 'Member', role: 'VERIFIED' };
+    }
+    const found = SP && typeof SP.findByName === 'function' ? SP.findByName(want) : null;
+    return found || { name: want, displayName: want, role: 'VERIFIED' };
+  }
+  let roleCache = null;
+  function staffCacheFor(role){
+    const people = (window.SyntheticPeople && window.SyntheticPeople.people) || [];
+    if(!roleCache || roleCache.people !== people){
+      roleCache = { people, ADMIN: people.filter(p => p.role === 'ADMIN'), MOD: people.filter(p => p.role === 'MOD') };
+    }
+    return roleCache[role];
+  }
+
+  // message id of the step `target` refers to: 'last', a step id, or a message id
+  function targetId(target){
+    if(!play) return null;
+    if(!target || target === 'last') return play.lastId;
+    return play.ids[target] || target;
+  }
+
+  // sent: called once the message is rendered (after the typing delay)
+  function emitScripted(step, sent){
+    const rnd = play.rnd;
+    const texts = Array.isArray(step.text) ? step.text : [step.text];
+    const text = String(texts[Math.floor(rnd() * texts.length)] || '');
+    const p = resolveActor(step.actor, rnd);
+    const raw = {
+      id: 'scn_' + (scenario.id || 'scenario') + '_' + (play.emitted++),
+      name: p.name,
+      displayName: p.displayName || p.name,
+      role: p.role,
+      avatar: p.avatar || '',
+      text,
+      time: now(),
+      replyTo: step.replyTo ? targetId(step.replyTo) : null,
+      attachment: step.attachment || null
+    };
+    const m = window.MessageModel ? window.MessageModel.normalizeMessage(raw) : raw;
+    play.lastId = m.id;
+    if(step.id) play.ids[step.id] = m.id;
+    const render = () => {
+      try{ window.renderMessage && window.renderMessage(m, true); }catch(e){ console.warn('SimulationEngine: scenario render failed', e); }
+      noteArrival(m);
+      // pinned once it is on screen (after the typing delay)
+      if(step.pin) try{ window.pinMessage && window.pinMessage(m.id, { by: m.displayName, message: m }); }catch(e){}
+      if(sent) sent();
+    };
+    if(cfg.simulateTypingBeforeSend && step.typing !== false){
+      typeThenSend(m.displayName, computeTypingDurationForMessage(m), render, rnd);
+    } else {
+      render();
+    }
+    return m;
+  }
+
+  // undo a timed action (forMs) after `ms`; stopScenario undoes pending ones at once, so an old scenario's
+  // timer never resets the rate or the pause of the next one
+  function restoreAfter(fn, ms){
+    const entry = { fn, timer: null };
+    entry.timer = setTimer(()=>{
+      const k = play ? play.restores.indexOf(entry) : -1;
+      if(k !== -1) play.restores.splice(k, 1);
+      fn();
+    }, ms);
+    play.restores.push(entry);
+  }
+
+  function runAction(step){
+    const rnd = play.rnd;
+    try{
+      if(step.action === 'pin' || step.action === 'unpin'){
+        const id = targetId(step.target);
+        if(!id) return;
+        if(step.action === 'unpin'){ window.unpinMessage && window.unpinMessage(id); return; }
+        const by = resolveActor(step.actor || 'admin', rnd);
+        window.pinMessage && window.pinMessage(id, { by: by.displayName || by.name });
+      } else if(step.action === 'rate'){
+        const prev = cfg.ratePerMin;
+        cfg.ratePerMin = Math.max(1, Number(step.ratePerMin) || prev);
+        // back to the previous rate after forMs
+        if(step.forMs) restoreAfter(()=>{ cfg.ratePerMin = prev; }, pickDelay(step.forMs, rnd));
+      } else if(step.action === 'pauseStream'){
+        streamPaused = true;
+        if(step.forMs) restoreAfter(()=>{ streamPaused = false; }, pickDelay(step.forMs, rnd));
+      } else if(step.action === 'resumeStream'){
+        streamPaused = false;
+      } else if(step.action === 'typing'){
+        const p = resolveActor(step.actor, rnd);
+        typeThenAbandon(p.displayName || p.name, pickDelay(step.ms || 2000, rnd));
+      }
+    }catch(e){ console.warn('SimulationEngine: scenario action failed', step.action, e); }
+  }
+
+  function pushFrame(steps, loopLeft){
+    play.frames.push({ steps, i: 0, loopLeft, startedAt: now() });
+  }
+
+  // run the next step of the innermost block (loops restart, finished blocks pop)
+  function scheduleNextStep(){
+    if(!play || play.waiter) return;
+    const frame = play.frames[play.frames.length - 1];
+    if(!frame){ play.done = true; return; }
+    if(frame.i >= frame.steps.length){
+      if(frame.loopLeft === 'forever' || frame.loopLeft > 1){
+        if(frame.loopLeft !== 'forever') frame.loopLeft--;
+        frame.i = 0;
+        frame.startedAt = now();
+      } else {
+        play.frames.pop();
+      }
+      return scheduleNextStep();
+    }
+    const step = frame.steps[frame.i++];
+    let delay = 0;
+    if(step.at !== undefined) delay = Math.max(0, frame.startedAt + parseOffset(step.at) - now());
+    else if(step.after !== undefined) delay = pickDelay(step.after, play.rnd);
+    play.immediate = delay > 0 ? 0 : play.immediate + 1;
+    if(play.immediate > MAX_IMMEDIATE_STEPS){ console.warn('SimulationEngine: scenario stopped, loop without delays'); play.done = true; return; }
+    play.timer = setTimer(()=>{ play.timer = null; runStep(step); }, delay);
+  }
+
+  function runStep(step){
+    if(!play) return;
+    if(step.loop !== undefined){
+      pushFrame(step.steps, step.loop === 'forever' ? 'forever' : Math.floor(Number(step.loop)));
+    } else if(step.branch !== undefined){
+      // weighted, seeded pick of one arm
+      const total = step.branch.reduce((a, b) => a + Math.max(0, Number(b.weight === undefined ? 1 : b.weight)), 0);
+      let r = play.rnd() * total, arm = step.branch[step.branch.length - 1];
+      for(const b of step.branch){
+        r -= Math.max(0, Number(b.weight === undefined ? 1 : b.weight));
+        if(r < 0){ arm = b; break; }
+      }
+      pushFrame(arm.steps, 1);
+    } else if(step.waitFor !== undefined){
+      let re = null;
+      try{ re = step.match ? new RegExp(step.match, 'i') : null; }catch(e){ console.warn('SimulationEngine: bad waitFor match', step.match); }
+      const waiter = { re, step, timer: null };
+      const finish = (matched, m) => {
+        if(!play || play.waiter !== waiter) return;
+        if(waiter.timer) clearTimer(waiter.timer);
+        play.waiter = null;
+        if(matched && m && m.id) play.ids.user = m.id;
+        const next = matched ? step.then : step.else;
+        if(next && next.length) pushFrame(next, 1);
+        scheduleNextStep();
+      };
+      waiter.finish = finish;
+      if(step.timeoutMs) waiter.timer = setTimer(()=>finish(false), pickDelay(step.timeoutMs, play.rnd));
+      play.waiter = waiter;
+      return;
+    } else if(step.action !== undefined){
+      runAction(step);
+    } else {
+      // repeat: a flood of messages `every` ms apart (each counted from the previous one's send)
+      const times = Math.max(1, Math.floor(Number(step.repeat) || 1));
+      if(times > 1){
+        pushFrame(new Array(times - 1).fill(Object.assign({}, step, { repeat: 1, pin: false, at: undefined, after: step.every !== undefined ? step.every : 1000 })), 1);
+      }
+      const current = play;
+      emitScripted(step, () => { if(play === current) scheduleNextStep(); });
+      return;
+    }
+    scheduleNextStep();
+  }
+
+  function startScenario(){
+    stopScenario();
+    if(!scenario) return;
+    const seed = scenario.seedBase !== undefined ? scenario.seedBase : cfg.seedBase;
+    play = { rnd: createRnd(seed === null || seed === undefined ? null : Number(seed)), frames: [], timer: null, waiter: null, restores: [], emitted: 0, lastId: null, ids: {}, immediate: 0, done: false, startedAt: now() };
+    pushFrame(scenario.steps, 1);
+    scheduleNextStep();
+  }
+
+  function stopScenario(){
+    if(!play) return;
+    if(play.timer) clearTimer(play.timer);
+    if(play.waiter && play.waiter.timer) clearTimer(play.waiter.timer);
+    // pending forMs actions: undo them now, latest first
+    for(let k = play.restores.length - 1; k >= 0; k--){
+      clearTimer(play.restores[k].timer);
+      play.restores[k].fn();
+    }
+    play = null;
+    streamPaused = false;
+  }
+
   // public API
   const SimulationEngine = {
     configure(opts){
       opts = opts || {};
+      if(opts.autoStart !== undefined) cfg.autoStart = !!opts.autoStart;
       if(opts.seedBase !== undefined) cfg.seedBase = (opts.seedBase === null ? null : Number(opts.seedBase));
       if(opts.useStreamAPI !== undefined) cfg.useStreamAPI = !!opts.useStreamAPI;
       if(opts.simulateTypingBeforeSend !== undefined) cfg.simulateTypingBeforeSend = !!opts.simulateTypingBeforeSend;
@@ -216,14 +886,40 @@
       if(opts.typingMaxMs !== undefined) cfg.typingMaxMs = Math.max(cfg.typingMinMs, Number(opts.typingMaxMs));
       if(opts.typingPerCharMs !== undefined) cfg.typingPerCharMs = Math.max(1, Number(opts.typingPerCharMs));
       if(opts.simulateTypingFraction !== undefined) cfg.simulateTypingFraction = clamp(Number(opts.simulateTypingFraction), 0, 1);
+      if(opts.typingPauseChance !== undefined) cfg.typingPauseChance = clamp(Number(opts.typingPauseChance) || 0, 0, 1);
+      if(Array.isArray(opts.typingPauseMs)) cfg.typingPauseMs = [Math.max(0, Number(opts.typingPauseMs[0]) || 0), Math.max(0, Number(opts.typingPauseMs[1]) || 0)];
+      if(opts.typingAbandonChance !== undefined) cfg.typingAbandonChance = clamp(Number(opts.typingAbandonChance) || 0, 0, 1);
+      if(opts.staffPinChance !== undefined) cfg.staffPinChance = clamp(Number(opts.staffPinChance) || 0, 0, 1);
+      if(Array.isArray(opts.pinDelayMs)) cfg.pinDelayMs = [Math.max(0, Number(opts.pinDelayMs[0]) || 0), Math.max(0, Number(opts.pinDelayMs[1]) || 0)];
+      if(opts.arrivalModel !== undefined) cfg.arrivalModel = opts.arrivalModel === 'fixed' ? 'fixed' : 'bursty';
+      if(Array.isArray(opts.hourWeights) && opts.hourWeights.length === 24) cfg.hourWeights = opts.hourWeights.map(w => Math.max(0, Number(w) || 0));
+      ['excitation', 'questionExcitation', 'replyExcitation'].forEach(k => {
+        if(opts[k] !== undefined) cfg[k] = clamp(Number(opts[k]) || 0, 0, 5);
+      });
+      if(opts.excitationDecayMs !== undefined) cfg.excitationDecayMs = Math.max(100, Number(opts.excitationDecayMs) || 0);
+      if(opts.maxBurstFactor !== undefined) cfg.maxBurstFactor = Math.max(1, Number(opts.maxBurstFactor) || 1);
+      if(opts.quietPerHour !== undefined) cfg.quietPerHour = Math.max(0, Number(opts.quietPerHour) || 0);
+      if(Array.isArray(opts.quietMs)) cfg.quietMs = [Math.max(0, Number(opts.quietMs[0]) || 0), Math.max(0, Number(opts.quietMs[1]) || 0)];
+      if(opts.quietFactor !== undefined) cfg.quietFactor = clamp(Number(opts.quietFactor) || 0, 0, 1);
+      if(opts.maxGapMs !== undefined) cfg.maxGapMs = Math.max(1000, Number(opts.maxGapMs) || 0);
+      if(opts.reactToLocalSends !== undefined) cfg.reactToLocalSends = !!opts.reactToLocalSends;
+      ['localReplyChance', 'localExtraReplyChance', 'localMentionChance', 'localReactionChance'].forEach(k => {
+        if(opts[k] !== undefined) cfg[k] = clamp(Number(opts[k]) || 0, 0, 1);
+      });
+      ['localMaxReplies', 'localRepliesPerMin', 'localMaxTypers', 'localMaxReactions'].forEach(k => {
+        if(opts[k] !== undefined) cfg[k] = Math.max(0, Math.floor(Number(opts[k]) || 0));
+      });
+      if(Array.isArray(opts.localReplyDelayMs)) cfg.localReplyDelayMs = [Math.max(0, Number(opts.localReplyDelayMs[0]) || 0), Math.max(0, Number(opts.localReplyDelayMs[1]) || 0)];
+      if(Array.isArray(opts.localReactionEmoji) && opts.localReactionEmoji.length) cfg.localReactionEmoji = opts.localReactionEmoji.map(String);
       return Object.assign({}, cfg);
     },
 
     start(){
       if(running) return;
-      running = true;
       // clear any previous timers/streamers
       this.stop();
+      running = true;
+      arrivals = createArrivals(cfg.seedBase);
 
       // Prefer generator/manual streaming when simulateTypingBeforeSend is true (because streamToUI renders messages directly)
       if(cfg.useStreamAPI && !cfg.simulateTypingBeforeSend && window.MessagePool && typeof window.MessagePool.streamToUI === 'function'){
@@ -231,18 +927,33 @@
       } else {
         startManualStream();
       }
+      if(scenario) startScenario();
       return true;
     },
 
     stop(){
       running = false;
-      if(timer){ clearTimeout(timer); timer = null; }
+      if(timer){ clearTimer(timer); timer = null; }
+      redrawGap = null;
+      stopScenario();
+      localTimers.forEach(t => clearTimer(t));
+      localTimers.clear();
       if(currentStreamer && typeof currentStreamer.stop === 'function'){ try{ currentStreamer.stop(); }catch(e){} currentStreamer = null; }
       return true;
     },
 
     isRunning(){ return running; },
 
+    // called once by the page when the UI is up; false when already started (or autoStart is off)
+    onAppReady(opts){
+      opts = opts || {};
+      if(appReady || running) return false;
+      appReady = true;
+      if(!cfg.autoStart) return false;
+      if(opts.startIndex !== undefined) pageIdx = Math.max(0, Math.floor(Number(opts.startIndex) || 0));
+      return this.start();
+    },
+
     // emit a single message immediately (respects simulateTypingBeforeSend setting)
     triggerOnce(){
       if(!window.MessagePool) return null;
@@ -261,18 +972,59 @@
       // advance index for next calls
       pageIdx++;
 
+      const show = () => {
+        try{ window.renderMessage && window.renderMessage(m, true); }catch(e){ console.warn('SimulationEngine.triggerOnce render failed', e); }
+        maybeStaffPin(m);
+      };
       const doTyping = cfg.simulateTypingBeforeSend && (Math.random() < cfg.simulateTypingFraction);
       if(doTyping){
         const name = m.displayName || m.name || 'Someone';
-        const typingDur = computeTypingDurationForMessage(m);
-        triggerTypingForNames([name], typingDur);
-        setTimeout(()=>{ try{ window.renderMessage && window.renderMessage(m, true); }catch(e){ console.warn('SimulationEngine.triggerOnce render failed', e); } }, typingDur + 80);
+        typeThenSend(name, computeTypingDurationForMessage(m) + 80, show);
       } else {
-        try{ window.renderMessage && window.renderMessage(m, true); }catch(e){ console.warn('SimulationEngine.triggerOnce render failed', e); }
+        show();
       }
       return m;
     },
 
+    // load a scenario (object or JSON text); it starts now if the engine runs, else on start(). null if invalid
+    loadScenario(input){
+      let sc = input;
+      try{
+        if(typeof input === 'string') sc = JSON.parse(input);
+      }catch(e){
+        console.warn('SimulationEngine.loadScenario: invalid JSON', e);
+        return null;
+      }
+      if(!sc || typeof sc !== 'object'){ console.warn('SimulationEngine.loadScenario: expected a scenario object'); return null; }
+      const errors = [];
+      validateSteps(sc.steps, 'steps', errors);
+      if(errors.length){
+        console.warn('SimulationEngine.loadScenario: invalid scenario', errors);
+        return null;
+      }
+      stopScenario();
+      scenario = sc;
+      if(running) startScenario();
+      return { id: sc.id || sc.name || 'scenario', steps: sc.steps.length };
+    },
+
+    clearScenario(){
+      stopScenario();
+      scenario = null;
+      return true;
+    },
+
+    // the user's own message (from the composer): wakes a scenario step waiting for it, otherwise members
+    // react to it (see reactToLocalSends and the local* settings)
+    onLocalSend(m){
+      if(!m) return;
+      const w = play && play.waiter;
+      // the user's messages stir the room like anyone's
+      noteArrival(m);
+      if(w && (!w.re || w.re.test(String(m.text || '')))){ w.finish(true, m); return; }
+      reactToLocal(m);
+    },
+
     // setter helpers
     setRate(r){ cfg.ratePerMin = Math.max(1, Number(r)); },
     setUseStreamAPI(b){ cfg.useStreamAPI = !!b; },
@@ -280,7 +1032,13 @@
 
     // internal debug/state
     _cfg(){ return Object.assign({}, cfg); },
-    _state(){ return { running, pageIdx }; }
+    _state(){
+      return {
+        running, pageIdx,
+        arrivals: arrivals && cfg.arrivalModel === 'bursty' ? arrivals.info() : null,
+        scenario: scenario ? { id: scenario.id || scenario.name || 'scenario', playing: !!play && !play.done, waiting: !!(play && play.waiter), emitted: play ? play.emitted : 0, streamPaused } : null
+      };
+    }
   };
 
   // expose globally
@@ -10,10 +10,15 @@ const PRECACHE_ASSETS = [
 
   // core scripts
   '/precache.js',
+  '/message-model.js',
+  '/virtual-clock.js',
+  '/rich-text.js',
+  '/pool-worker.js',
   '/synthetic-people.js',
   '/message-pool.js',
+  '/chart-canvas.js',
   '/typing-engine.js',
-  '/simulation-engine.js',
+  '/stimulation-engine.js',
   '/ui-adapter.js',
   '/message.js',
 
@@ -66,6 +66,11 @@
   const TITLES = ['', '', '', 'Jr','Sr','II','III','_x','_bot','_VIP','_OG'];
 
   const COUNTRIES = ['US','GB','NG','IN','PK','CN','RU','BR','CA','AU','TR','AE','DE','FR','ZA','EG','SA','JP','KR','ES','IT','NL','SE','NO','MX','AR'];
+  // standard-time UTC offsets (hours) per country; used to derive members' local time (no DST)
+  const COUNTRY_UTC_OFFSETS = {
+    US:-5, GB:0, NG:1, IN:5.5, PK:5, CN:8, RU:3, BR:-3, CA:-5, AU:10, TR:3, AE:4, DE:1, FR:1, ZA:2, EG:2, SA:3,
+    JP:9, KR:9, ES:1, IT:1, NL:1, SE:1, NO:1, MX:-6, AR:-3
+  };
   const LANGS = ['en','es','fr','pt','ar','ru','zh','hi','tr','ur','nl','sv','no','it','de','fa','bn','yo','ig','ha'];
 
   const ARCHETYPES = ['Analyst','MemeTrader','HODLer','BotBuilder','Shiller','Moderator','QuietObserver','Questioner','Researcher','Whale','DayTrader','Scalper','Investor'];
@@ -157,9 +162,192 @@
     return fallback;
   }
 
+  /* ---------------- Pool builder (shared by generatePool and generatePoolAsync) ---------------- */
+  // Resolves options against the previous meta and returns { meta, size, next(count) }; next() produces the
+  // following `count` members. store: { load(shortName), save(shortName, profile) } for persisted profiles.
+  function makePoolBuilder(opts, prevMeta, store){
+    opts = opts || {};
+    prevMeta = prevMeta || {};
+    const size = clamp(Number(opts.size) || prevMeta.size || 4872, 3, 500000); // allow large but warn in docs
+    const seedBase = Number(opts.seedBase) || prevMeta.seedBase || 2026;
+    const dicebearStyles = opts.dicebearStyles && Array.isArray(opts.dicebearStyles) && opts.dicebearStyles.length ? opts.dicebearStyles : prevMeta.dicebearStyles;
+    const avatarMix = typeof opts.avatarMix === 'number' ? clamp(opts.avatarMix, 0, 1) : prevMeta.avatarMix;
+    const includeAdmin = opts.includeAdmin !== false;
+    const includeMod = opts.includeMod !== false;
+    const allowRealPhotos = opts.allowRealPhotos !== false;
+    const now = Number(opts.now) || Date.now();
+
+    const meta = { size, seedBase, dicebearStyles, avatarMix, includeAdmin, includeMod };
+
+    // build generator with access to avatarMix
+    const gen = makeGenerator(seedBase, dicebearStyles, avatarMix);
+
+    const usedNames = new Set();
+
+    // Reserve fixed admin/mod display names to prevent collision
+    if(includeAdmin) usedNames.add(FIXED_ADMIN.displayName);
+    if(includeMod) usedNames.add(FIXED_MOD.displayName);
+
+    function memberAt(i){
+      // fixed admin slot
+      if(i === 0 && includeAdmin){
+        const shortName = FIXED_ADMIN.shortName;
+        const displayName = FIXED_ADMIN.displayName;
+        let profile = store.load(shortName) || {};
+        if(profile.fatigue === undefined) profile.fatigue = 0.05;
+        if(!profile.archetype) profile.archetype = 'Moderator';
+        if(!profile.lang) profile.lang = 'en';
+        store.save(shortName, profile);
+
+        return {
+          id: FIXED_ADMIN.id,
+          name: shortName,
+          displayName: displayName,
+          role: FIXED_ADMIN.role,
+          avatar: FIXED_ADMIN.avatar,
+          country: 'US',
+          language: profile.lang,
+          emotionBaseline: 'neutral',
+          personality: profile.archetype,
+          fatigue: profile.fatigue,
+          authority: 3,
+          lastActive: now
+        };
+      }
+
+      // fixed mod slot
+      if(i === 1 && includeMod){
+        const shortName = FIXED_MOD.shortName;
+        const displayName = FIXED_MOD.displayName;
+        let profile = store.load(shortName) || {};
+        if(profile.fatigue === undefined) profile.fatigue = 0.08;
+        if(!profile.archetype) profile.archetype = 'Moderator';
+        if(!profile.lang) profile.lang = 'en';
+        store.save(shortName, profile);
+
+        return {
+          id: FIXED_MOD.id,
+          name: shortName,
+          displayName: displayName,
+          role: FIXED_MOD.role,
+          avatar: FIXED_MOD.avatar,
+          country: 'US',
+          language: profile.lang,
+          emotionBaseline: 'neutral',
+          personality: profile.archetype,
+          fatigue: profile.fatigue,
+          authority: 2,
+          lastActive: now - 60000
+        };
+      }
+
+      // otherwise generate deterministic profile
+      const shortName = `Member_${(i+1).toString().padStart(6,'0')}`; // padded for large pools
+      const rndLocal = xorshift32(seedBase + i * 97); // per-member deterministic PRNG
+      const first = gen.pickFirst();
+      const middle = gen.pickMiddle();
+      const last = gen.pickLast();
+      let displayName = middle ? `${first} ${middle} ${last}` : `${first} ${last}`;
+
+      const nameFlavor = Math.floor(gen.rnd()*100);
+      if(nameFlavor < 6){
+        displayName = (gen.rnd() < 0.5) ? `${gen.pickEmoji()} ${displayName}` : `${displayName} ${gen.pickEmoji()}`;
+      } else if(nameFlavor < 14){
+        displayName = gen.rnd() < 0.5 ? displayName.toLowerCase() : displayName.charAt(0).toUpperCase() + displayName.slice(1);
+      } else if(nameFlavor < 24){
+        displayName = `${displayName}${TITLES[Math.floor(gen.rnd()*TITLES.length)]}${Math.floor(gen.rnd()*999)}`;
+      }
+
+      // ensure uniqueness, passing rndLocal for varied suffixes
+      displayName = ensureUnique(displayName, usedNames, rndLocal);
+
+      // role and persisted profile; the defaults are always drawn so the random stream (and every later
+      // member) does not depend on which profiles happen to be stored already
+      const role = gen.rollRole(i, includeAdmin, includeMod);
+      const defaultFatigue = clamp(gen.rnd() * 0.25 + (i % 50 === 0 ? 0.1 : 0), 0, 0.95);
+      const defaultArchetype = gen.pickArchetype();
+      const defaultLang = gen.pickLang();
+      let profile = store.load(shortName) || {};
+      if(profile.fatigue === undefined) profile.fatigue = defaultFatigue;
+      if(!profile.archetype) profile.archetype = defaultArchetype;
+      if(!profile.lang) profile.lang = defaultLang;
+      store.save(shortName, profile);
+
+      // avatar (use allowRealPhotos to reduce calls to pravatar for purely-cartoon setups)
+      const avatar = (i === 0 && includeAdmin) ? FIXED_ADMIN.avatar :
+                     (i === 1 && includeMod) ? FIXED_MOD.avatar :
+                     gen.avatarForIndex(i, shortName, allowRealPhotos);
+
+      const country = gen.pickCountry();
+      const emotionBaseline = gen.pickEmotion();
+      const personality = profile.archetype || gen.pickArchetype();
+      // lastActive spread so not everyone is at same time
+      const lastActive = now - Math.floor(gen.rnd()*1000*60*60*24*14); // up to 14 days
+
+      const member = {
+        id: 'm_' + (i+1) + '_' + seedBase,
+        name: shortName,
+        displayName,
+        role,
+        avatar,
+        country,
+        language: profile.lang,
+        emotionBaseline,
+        personality,
+        fatigue: profile.fatigue,
+        authority: role === 'ADMIN' ? 3 : role === 'MOD' ? 2 : 1,
+        lastActive
+      };
+      return member;
+    }
+
+    let next = 0;
+    return {
+      meta,
+      size,
+      next(count){
+        const end = Math.min(size, next + Math.max(0, count || 0));
+        const out = [];
+        for(; next < end; next++) out.push(memberAt(next));
+        return out;
+      }
+    };
+  }
+
+  // generatePool options that can cross into a worker (no callbacks)
+  function poolOptions(opts){
+    const out = {};
+    ['size','seedBase','dicebearStyles','avatarMix','includeAdmin','includeMod','allowRealPhotos','now'].forEach(k => {
+      if(opts[k] !== undefined) out[k] = opts[k];
+    });
+    return out;
+  }
+
+  const NO_STORE = { load: () => null, save: () => {} };
+
+  // persisted profiles by short name (sent to the worker so it sees what generatePool would read)
+  function storedProfiles(){
+    const out = {};
+    const prefix = LS_PREFIX + profileKey('');
+    try{
+      for(let k=0; k<localStorage.length; k++){
+        const key = localStorage.key(k);
+        if(key && key.indexOf(prefix) === 0){
+          const shortName = key.slice(prefix.length);
+          const p = loadProfile(shortName);
+          if(p) out[shortName] = p;
+        }
+      }
+    }catch(e){}
+    return out;
+  }
+
   /* ---------------- SyntheticPeople API ---------------- */
   const SyntheticPeople = {
     people: [],
+    // members added with addMember (e.g. imported chat authors); kept out of people, which MessagePool draws
+    // senders from, so an import does not change what a seed generates
+    guests: [],
     meta: {
       size: 4872,
       seedBase: 2026,
@@ -170,149 +358,77 @@
     },
 
     // generatePool: deterministic generation (can scale up). Keep lazy=false for full memory pool.
+    // opts.now: reference time for lastActive (default Date.now()); pass the same value to reproduce a pool exactly.
     generatePool(opts){
       opts = opts || {};
-      const size = clamp(Number(opts.size) || this.meta.size || 4872, 3, 500000); // allow large but warn in docs
-      const seedBase = Number(opts.seedBase) || this.meta.seedBase || 2026;
-      const dicebearStyles = opts.dicebearStyles && Array.isArray(opts.dicebearStyles) && opts.dicebearStyles.length ? opts.dicebearStyles : this.meta.dicebearStyles;
-      const avatarMix = typeof opts.avatarMix === 'number' ? clamp(opts.avatarMix, 0, 1) : this.meta.avatarMix;
-      const includeAdmin = opts.includeAdmin !== false;
-      const includeMod = opts.includeMod !== false;
-      const allowRealPhotos = opts.allowRealPhotos !== false;
+      const builder = makePoolBuilder(opts, this.meta, { load: loadProfile, save: saveProfile });
 
       // warn if user tries to create huge in-browser pools
-      if(size > 100000){
-        console.warn(`SyntheticPeople.generatePool: creating very large pool (${size}) in-browser may be slow or memory-heavy. Consider pre-generating server-side or using lazy message generation.`);
+      if(builder.size > 100000){
+        console.warn(`SyntheticPeople.generatePool: creating very large pool (${builder.size}) in-browser may be slow or memory-heavy. Consider generatePoolAsync, pre-generating server-side or using lazy message generation.`);
       }
 
-      this.meta = { size, seedBase, dicebearStyles, avatarMix, includeAdmin, includeMod };
-
-      // build generator with access to avatarMix
-      const gen = makeGenerator(seedBase, dicebearStyles, avatarMix);
-
-      const arr = [];
-      const usedNames = new Set();
-
-      // Reserve fixed admin/mod display names to prevent collision
-      if(includeAdmin) usedNames.add(FIXED_ADMIN.displayName);
-      if(includeMod) usedNames.add(FIXED_MOD.displayName);
-
-      for(let i=0;i<size;i++){
-        // fixed admin slot
-        if(i === 0 && includeAdmin){
-          const shortName = FIXED_ADMIN.shortName;
-          const displayName = FIXED_ADMIN.displayName;
-          let profile = loadProfile(shortName) || {};
-          if(profile.fatigue === undefined) profile.fatigue = 0.05;
-          if(!profile.archetype) profile.archetype = 'Moderator';
-          if(!profile.lang) profile.lang = 'en';
-          saveProfile(shortName, profile);
-
-          arr.push({
-            id: FIXED_ADMIN.id,
-            name: shortName,
-            displayName: displayName,
-            role: FIXED_ADMIN.role,
-            avatar: FIXED_ADMIN.avatar,
-            country: 'US',
-            language: profile.lang,
-            emotionBaseline: 'neutral',
-            personality: profile.archetype,
-            fatigue: profile.fatigue,
-            authority: 3,
-            lastActive: Date.now()
-          });
-          continue;
-        }
-
-        // fixed mod slot
-        if(i === 1 && includeMod){
-          const shortName = FIXED_MOD.shortName;
-          const displayName = FIXED_MOD.displayName;
-          let profile = loadProfile(shortName) || {};
-          if(profile.fatigue === undefined) profile.fatigue = 0.08;
-          if(!profile.archetype) profile.archetype = 'Moderator';
-          if(!profile.lang) profile.lang = 'en';
-          saveProfile(shortName, profile);
-
-          arr.push({
-            id: FIXED_MOD.id,
-            name: shortName,
-            displayName: displayName,
-            role: FIXED_MOD.role,
-            avatar: FIXED_MOD.avatar,
-            country: 'US',
-            language: profile.lang,
-            emotionBaseline: 'neutral',
-            personality: profile.archetype,
-            fatigue: profile.fatigue,
-            authority: 2,
-            lastActive: Date.now() - 60000
-          });
-          continue;
-        }
-
-        // otherwise generate deterministic profile
-        const shortName = `Member_${(i+1).toString().padStart(6,'0')}`; // padded for large pools
-        const rndLocal = xorshift32(seedBase + i * 97); // per-member deterministic PRNG
-        const first = gen.pickFirst();
-        const middle = gen.pickMiddle();
-        const last = gen.pickLast();
-        let displayName = middle ? `${first} ${middle} ${last}` : `${first} ${last}`;
-
-        const nameFlavor = Math.floor(gen.rnd()*100);
-        if(nameFlavor < 6){
-          displayName = (gen.rnd() < 0.5) ? `${gen.pickEmoji()} ${displayName}` : `${displayName} ${gen.pickEmoji()}`;
-        } else if(nameFlavor < 14){
-          displayName = gen.rnd() < 0.5 ? displayName.toLowerCase() : displayName.charAt(0).toUpperCase() + displayName.slice(1);
-        } else if(nameFlavor < 24){
-          displayName = `${displayName}${TITLES[Math.floor(gen.rnd()*TITLES.length)]}${Math.floor(gen.rnd()*999)}`;
-        }
-
-        // ensure uniqueness, passing rndLocal for varied suffixes
-        displayName = ensureUnique(displayName, usedNames, rndLocal);
+      return this._commitPool(builder.meta, builder.next(builder.size));
+    },
 
-        // role and persisted profile
-        const role = gen.rollRole(i, includeAdmin, includeMod);
-        let profile = loadProfile(shortName) || {};
-        if(profile.fatigue === undefined) {
-          profile.fatigue = clamp(gen.rnd() * 0.25 + (i % 50 === 0 ? 0.1 : 0), 0, 0.95);
-        }
-        if(!profile.archetype) profile.archetype = gen.pickArchetype();
-        if(!profile.lang) profile.lang = gen.pickLang();
-        saveProfile(shortName, profile);
-
-        // avatar (use allowRealPhotos to reduce calls to pravatar for purely-cartoon setups)
-        const avatar = (i === 0 && includeAdmin) ? FIXED_ADMIN.avatar :
-                       (i === 1 && includeMod) ? FIXED_MOD.avatar :
-                       gen.avatarForIndex(i, shortName, allowRealPhotos);
-
-        const country = gen.pickCountry();
-        const emotionBaseline = gen.pickEmotion();
-        const personality = profile.archetype || gen.pickArchetype();
-        // lastActive spread so not everyone is at same time
-        const lastActive = Date.now() - Math.floor(gen.rnd()*1000*60*60*24*14); // up to 14 days
-
-        const member = {
-          id: 'm_' + (i+1) + '_' + seedBase,
-          name: shortName,
-          displayName,
-          role,
-          avatar,
-          country,
-          language: profile.lang,
-          emotionBaseline,
-          personality,
-          fatigue: profile.fatigue,
-          authority: role === 'ADMIN' ? 3 : role === 'MOD' ? 2 : 1,
-          lastActive
+    // generatePool in a Web Worker (pool-worker.js), streamed back in chunks; same result as generatePool
+    // for the same options and opts.now. Falls back to chunked generation on the main thread without workers.
+    // opts: generatePool options plus { chunkSize, onChunk(members, startIndex), onProgress(done, total) }.
+    // Returns a promise for the people array (null if cancelled); call promise.cancel() to stop.
+    generatePoolAsync(opts){
+      opts = opts || {};
+      const plain = poolOptions(opts);
+      plain.now = Number(opts.now) || Date.now();
+      const chunkSize = Math.max(100, Number(opts.chunkSize) || 2000);
+      const size = makePoolBuilder(plain, this.meta, NO_STORE).size;
+      const out = new Array(size);
+      const accept = (items, start) => {
+        for(let k=0;k<items.length;k++) out[start + k] = items[k];
+        try{ opts.onChunk && opts.onChunk(items, start); }catch(e){ console.warn('SyntheticPeople: onChunk failed', e); }
+        try{ opts.onProgress && opts.onProgress(start + items.length, size); }catch(e){}
+      };
+
+      let cancelled = false, job = null;
+      const viaMainThread = () => new Promise(resolve => {
+        const builder = makePoolBuilder(plain, this.meta, { load: loadProfile, save: saveProfile });
+        let start = 0;
+        const step = () => {
+          if(cancelled) return resolve(null);
+          const items = builder.next(chunkSize);
+          accept(items, start);
+          start += items.length;
+          if(start < size) setTimeout(step, 0);
+          else resolve(this._commitPool(builder.meta, out));
         };
-        arr.push(member);
+        step();
+      });
+
+      let promise;
+      if(window.PoolWorker && window.PoolWorker.supported()){
+        job = window.PoolWorker.run('people', { opts: plain, meta: this.meta, profiles: storedProfiles(), chunkSize }, {
+          onChunk: (msg) => {
+            Object.keys(msg.profiles || {}).forEach(n => saveProfile(n, msg.profiles[n]));
+            accept(msg.items, msg.start);
+          }
+        });
+        promise = job.then(done => done ? this._commitPool(done.meta, out) : null, err => {
+          console.warn('SyntheticPeople.generatePoolAsync: worker unavailable, generating on the main thread', err);
+          return cancelled ? null : viaMainThread();
+        });
+      } else {
+        promise = viaMainThread();
       }
+      promise.cancel = () => { cancelled = true; if(job) job.cancel(); };
+      return promise;
+    },
+
+    _poolBuilder(opts, meta, store){ return makePoolBuilder(opts, meta, store); },
 
-      this.people = arr;
+    _commitPool(meta, people){
+      this.meta = meta;
+      this.people = people;
       lsSet('last_meta', this.meta);
-      lsSet('pool_size', size);
+      lsSet('pool_size', people.length);
       return this.people;
     },
 
@@ -331,12 +447,13 @@
 
     // export minimal format for UI
     exportForSimulation(){
-      return (this.people || []).map(p => ({
+      return (this.people || []).concat(this.guests || []).map(p => ({
         id: p.id,
         name: p.name,
         displayName: p.displayName,
         role: p.role,
         avatar: p.avatar,
+        country: p.country,
         language: p.language,
         emotionBaseline: p.emotionBaseline,
         personality: p.personality,
@@ -436,8 +553,52 @@
       return true;
     },
 
+    // UTC offset in hours for a member's country (0 when unknown)
+    utcOffsetFor(country){
+      const o = COUNTRY_UTC_OFFSETS[String(country || '').toUpperCase()];
+      return typeof o === 'number' ? o : 0;
+    },
+
+    // member's local Date-like view: { hour, day (0=Sunday), offsetHours } at timestamp ts
+    localTimeOf(member, ts){
+      const offsetHours = this.utcOffsetFor(member && member.country);
+      const local = new Date((ts || Date.now()) + offsetHours * 3600000);
+      return { hour: local.getUTCHours(), day: local.getUTCDay(), offsetHours };
+    },
+
+    // add a member who is not part of the generated pool (e.g. the author of an imported chat) and return it.
+    // profile: any member fields; the short name is derived from name / displayName and made unique.
+    // The member goes to guests (found by findByName, listed by exportForSimulation), not people.
+    // Does not touch the UI — call injectToUI() after a batch of additions.
+    addMember(profile){
+      profile = profile || {};
+      const base = String(profile.name || profile.displayName || 'Member').normalize('NFKD').replace(/[^A-Za-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'Member';
+      let name = base;
+      for(let k=2; this.findByName(name); k++) name = base + '_' + k;
+      const role = ['ADMIN','MOD','VERIFIED'].indexOf(String(profile.role || '').toUpperCase()) !== -1 ? String(profile.role).toUpperCase() : 'VERIFIED';
+      const member = {
+        id: profile.id || ('x_' + name),
+        name,
+        displayName: profile.displayName || name,
+        role,
+        avatar: profile.avatar || dicebear(name, DEFAULT_DICEBEAR_STYLES[0]),
+        country: profile.country || 'US',
+        language: profile.language || 'en',
+        emotionBaseline: EMOTIONS.indexOf(profile.emotionBaseline) !== -1 ? profile.emotionBaseline : 'neutral',
+        personality: ARCHETYPES.indexOf(profile.personality) !== -1 ? profile.personality : 'QuietObserver',
+        fatigue: profile.fatigue !== undefined ? clamp(Number(profile.fatigue) || 0, 0, 0.95) : 0.2,
+        authority: role === 'ADMIN' ? 3 : role === 'MOD' ? 2 : 1,
+        lastActive: Number(profile.lastActive) || Date.now()
+      };
+      this.guests = this.guests || [];
+      this.guests.push(member);
+      return member;
+    },
+
+    // generated member or guest by short name, display name or id
     findByName(nameOrDisplay){
-      return (this.people || []).find(p => p.name === nameOrDisplay || p.displayName === nameOrDisplay || p.id === nameOrDisplay) || null;
+      const match = p => p.name === nameOrDisplay || p.displayName === nameOrDisplay || p.id === nameOrDisplay;
+      return (this.people || []).find(match) || (this.guests || []).find(match) || null;
     },
 
     pickRandom(filter){
@@ -461,18 +622,20 @@
 
     // Simulate presence step: nudges lastActive for a fraction of members to simulate activity cycles.
     // call this periodically (e.g., every minute) to animate online counts.
+    // opts: { percent, seedBase, now (reference time, default Date.now(); pass the simulation clock's) }
     simulatePresenceStep(opts){
       opts = opts || {};
       if(!this.people || !this.people.length) return 0;
       const pct = typeof opts.percent === 'number' ? clamp(opts.percent, 0, 1) : 0.01; // default 1% churn
       const seed = Number(opts.seedBase || this.meta.seedBase || 2026);
-      const rnd = xorshift32(seed + Date.now() % 100000);
+      const t = Number(opts.now) || Date.now();
+      const rnd = xorshift32(seed + t % 100000);
       const count = Math.max(1, Math.floor(this.people.length * pct));
       for(let i=0;i<count;i++){
         const idx = Math.floor(rnd() * this.people.length);
         const p = this.people[idx];
         // nudge lastActive to now - small offset to mark as online/idle
-        p.lastActive = Date.now() - Math.floor(rnd()*1000*60*3); // active within last 3 minutes
+        p.lastActive = t - Math.floor(rnd()*1000*60*3); // active within last 3 minutes
       }
       return count;
     },
@@ -492,6 +655,7 @@
 
   /* ---------------- Auto-init: restore or generate default pool ---------------- */
   (function autoInit(){
+    if(window.ABROX_WORKER) return; // pool-worker.js only needs the generator
     try{
       const lastMeta = lsGet('last_meta', null);
       if(lastMeta && lastMeta.size && lastMeta.seedBase){
@@ -7,12 +7,26 @@
 //   1) window._abrox.showTyping(names)
 //   2) fallback to #typingRow / #typingText
 //
+// Typing is tracked in sessions, one per message being written, so several members type at once ("A and B
+// are typing…") and one member can have two messages in flight. A session is typing, paused (hidden, may
+// resume) or ended (finish: the message is sent, abandon: it is not). The indicator shows everyone with a
+// typing session once, oldest first. Sessions that are left open end on their own after sessionTimeoutMs.
+//
 // Deterministic support:
 //   TypingEngine.configure({ seedBase: 4000 })
+//   session timers run on VirtualClock (virtual-clock.js) when it is loaded
 //
 // Public API:
 //   TypingEngine.configure(opts)
-//   TypingEngine.triggerTyping(names, durationMs)
+//   TypingEngine.startSession(person, opts)  -> a new session { id, name, state, pause(ms), resume(), abandon(), finish() }
+//                                              person: name or { displayName, name }; opts: { timeoutMs }
+//   TypingEngine.pause(sessionOrName, ms)    (ms: resume automatically after ms; a name means all of that
+//                                             person's sessions, also for resume / abandon / finish)
+//   TypingEngine.resume(sessionOrName)
+//   TypingEngine.abandon(sessionOrName)
+//   TypingEngine.finish(sessionOrName)
+//   TypingEngine.sessions()                  -> [{ id, name, state, startedAt }]
+//   TypingEngine.triggerTyping(names, durationMs)  (a session per name, finished after durationMs)
 //   TypingEngine.clear()
 //   TypingEngine.isActive()
 
@@ -36,17 +50,31 @@
     return Math.max(a, Math.min(b, v));
   }
 
+  // time and timers go through the shared VirtualClock (virtual-clock.js) when it is loaded
+  function now(){
+    return window.VirtualClock ? window.VirtualClock.now() : Date.now();
+  }
+  function setTimer(fn, ms){
+    return window.VirtualClock ? window.VirtualClock.setTimeout(fn, ms) : setTimeout(fn, ms);
+  }
+  function clearTimer(id){
+    return window.VirtualClock ? window.VirtualClock.clearTimeout(id) : clearTimeout(id);
+  }
+
   /* ---------------- defaults ---------------- */
   const DEFAULTS = {
     seedBase: null,
     minDurationMs: 120,
-    maxNames: 6
+    maxNames: 6,
+    sessionTimeoutMs: 30000
   };
 
   let cfg = { ...DEFAULTS };
   let rnd = Math.random;
   let active = false;
-  let clearTimer = null;
+  let shownKey = '';
+  let nextSessionId = 1;
+  const sessions = new Map(); // id -> session, in start order
 
   /* ---------------- UI hook ---------------- */
   function showTyping(names){
@@ -87,6 +115,108 @@
     active = false;
   }
 
+  /* ---------------- sessions ---------------- */
+  // the indicator shows everyone with a typing (not paused) session; only redrawn when that list changes
+  function render(){
+    const names = [];
+    sessions.forEach(s => { if (s.state === 'typing' && names.indexOf(s.name) === -1) names.push(s.name); });
+    const key = names.join('\n');
+    if (key === shownKey) return;
+    shownKey = key;
+    if (names.length){
+      active = true;
+      showTyping(names);
+    } else {
+      clearTyping();
+    }
+  }
+
+  function personName(person){
+    if (person && typeof person === 'object') return String(person.displayName || person.name || '');
+    return person === undefined || person === null ? '' : String(person);
+  }
+
+  // open sessions for a session object (itself, while open) or a person (all of theirs)
+  function lookup(sessionOrName){
+    if (sessionOrName && typeof sessionOrName === 'object' && sessionOrName.id !== undefined){
+      const s = sessions.get(sessionOrName.id);
+      return s ? [s] : [];
+    }
+    const name = personName(sessionOrName);
+    return Array.from(sessions.values()).filter(s => s.name === name);
+  }
+
+  // apply fn to every session lookup() finds; true if it changed any
+  function each(sessionOrName, fn, arg){
+    return lookup(sessionOrName).map(s => fn(s, arg)).some(Boolean);
+  }
+
+  function clearTimers(s){
+    if (s.resumeTimer){ clearTimer(s.resumeTimer); s.resumeTimer = null; }
+    if (s.timeoutTimer){ clearTimer(s.timeoutTimer); s.timeoutTimer = null; }
+  }
+
+  // any activity pushes the session's timeout back
+  function armTimeout(s){
+    endAfter(s, s.timeoutMs, 'timeout');
+  }
+
+  function endAfter(s, ms, reason){
+    if (s.timeoutTimer) clearTimer(s.timeoutTimer);
+    s.timeoutTimer = setTimer(() => end(s, reason), ms);
+  }
+
+  function end(s, reason){
+    if (!s || s.state === 'ended') return false;
+    clearTimers(s);
+    s.state = 'ended';
+    s.endReason = reason;
+    if (sessions.get(s.id) === s) sessions.delete(s.id);
+    render();
+    return true;
+  }
+
+  function pause(s, ms){
+    if (!s || s.state !== 'typing') return false;
+    s.state = 'paused';
+    armTimeout(s);
+    if (ms) s.resumeTimer = setTimer(() => resume(s), Math.max(0, Number(ms) || 0));
+    render();
+    return true;
+  }
+
+  function resume(s){
+    if (!s || s.state !== 'paused') return false;
+    if (s.resumeTimer){ clearTimer(s.resumeTimer); s.resumeTimer = null; }
+    s.state = 'typing';
+    armTimeout(s);
+    render();
+    return true;
+  }
+
+  // a new session on every call; the person shows once however many they have open
+  function startSession(person, opts = {}){
+    const name = personName(person);
+    if (!name) return null;
+    const s = {
+      id: nextSessionId++,
+      name,
+      state: 'typing',
+      startedAt: now(),
+      timeoutMs: Math.max(cfg.minDurationMs, Number(opts.timeoutMs) || cfg.sessionTimeoutMs),
+      resumeTimer: null,
+      timeoutTimer: null,
+      pause: (ms) => pause(s, ms),
+      resume: () => resume(s),
+      abandon: () => end(s, 'abandoned'),
+      finish: () => end(s, 'finished')
+    };
+    sessions.set(s.id, s);
+    armTimeout(s);
+    render();
+    return s;
+  }
+
   /* ---------------- public API ---------------- */
   const TypingEngine = {
     configure(opts = {}){
@@ -100,9 +230,23 @@
       if (opts.maxNames !== undefined){
         cfg.maxNames = clamp(Number(opts.maxNames), 1, 10);
       }
+      if (opts.sessionTimeoutMs !== undefined){
+        cfg.sessionTimeoutMs = Math.max(cfg.minDurationMs, Number(opts.sessionTimeoutMs) || 0);
+      }
       return { ...cfg };
     },
 
+    startSession,
+    pause(sessionOrName, ms){ return each(sessionOrName, pause, ms); },
+    resume(sessionOrName){ return each(sessionOrName, resume); },
+    abandon(sessionOrName){ return each(sessionOrName, end, 'abandoned'); },
+    finish(sessionOrName){ return each(sessionOrName, end, 'finished'); },
+
+    sessions(){
+      return Array.from(sessions.values()).map(s => ({ id: s.id, name: s.name, state: s.state, startedAt: s.startedAt }));
+    },
+
+    // short-lived sessions for the given names; other people's sessions are left alone
     triggerTyping(names, durationMs){
       if (!Array.isArray(names)) names = [names];
       names = names.filter(Boolean).slice(0, cfg.maxNames);
@@ -113,24 +257,16 @@
         Number(durationMs) || cfg.minDurationMs
       );
 
-      if (clearTimer){
-        clearTimeout(clearTimer);
-        clearTimer = null;
-      }
-
-      active = true;
-      showTyping(names);
-
-      clearTimer = setTimeout(() => {
-        clearTyping();
-      }, dur);
+      names.forEach(name => {
+        const s = startSession(name);
+        if (s) endAfter(s, dur, 'finished');
+      });
     },
 
     clear(){
-      if (clearTimer){
-        clearTimeout(clearTimer);
-        clearTimer = null;
-      }
+      Array.from(sessions.values()).forEach(s => { clearTimers(s); s.state = 'ended'; s.endReason = 'cleared'; });
+      sessions.clear();
+      shownKey = '';
       clearTyping();
     },
 
@@ -2,9 +2,19 @@
 // Full UI glue for Abrox + presence wiring that uses SyntheticPeople.simulatePresenceStep()
 // - Prefill now prefers MessagePool.createGeneratorView() (memory-light paging) when available
 // - Exposes window._abrox.setSampleMembers and window._abrox.showTyping
-// - Renders members list and messages
+// - Renders members list and messages; the chat is a windowed timeline (at most ~160 bubble rows in the DOM,
+//   rows recycled, older history paged in on scroll-up) exposed as window._abrox.timeline
+// - Groups consecutive messages from one sender (window._abrox.configureGrouping({ thresholdMs }))
+// - Attachment cards (chart thumbnails drawn by ChartCanvas, video / PDF / file tiles) and a full-screen lightbox
+// - Reply quotes in bubbles (parent sender + snippet, resolved through MessagePool even when not rendered);
+//   clicking one jumps to the parent, loading the history in between
+// - Emoji reaction chips under bubbles (window._abrox.addReaction(id, emoji, by))
 // - Attaches interactions (context menu / long-press / pin / reply)
-// - Presence wiring updates #onlineCount periodically
+// - Pinned messages: per-lounge pin list, cycling banner ("N of M"), pinned panel, window.pinMessage / unpinMessage
+// - Presence wiring updates #onlineCount periodically (on VirtualClock time when virtual-clock.js is loaded)
+// - Message text formatted by RichText (rich-text.js); cashtags open the search panel for their token
+// - Header search panel over MessagePool.search; results jump to the message (window._abrox.jumpToMessage)
+// - Sidebar history export buttons (NDJSON / CSV / Telegram JSON via MessagePool.downloadExport)
 // - Demo: prefill chat from MessagePool via generator view when available
 (function uiAdapterGlobal(){
   if(window._abrox && window._abrox._uiAdapterLoaded) return;
@@ -13,16 +23,29 @@
 
   /* ---------- Helpers ---------- */
   function escapeHtml(s){ return (''+s).replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'})[c]); }
+  // lang/dir attributes for a bubble: right-to-left scripts (Arabic, Persian, Urdu, ...) need dir="rtl"
+  const RTL_LANGS = ['ar','fa','ur','he','ps','sd','yi'];
+  function bubbleLangAttrs(m){
+    const lang = String((m && m.lang) || '').toLowerCase().split('-')[0];
+    if(!lang) return 'dir="auto"';
+    return `lang="${escapeHtml(lang)}" dir="${RTL_LANGS.indexOf(lang) !== -1 ? 'rtl' : 'ltr'}"`;
+  }
   function formatTime(ts) {
     const d = new Date(ts || Date.now());
     return d.toLocaleTimeString([], {hour:'2-digit', minute:'2-digit'});
   }
   function clamp(v,a,b){ return Math.max(a, Math.min(b, v)); }
+  // simulation time (VirtualClock when loaded), so presence and sent messages follow a paused / sped-up session
+  function clockNow(){ return window.VirtualClock ? window.VirtualClock.now() : Date.now(); }
+  // every message is rendered in the canonical shape (message-model.js)
+  function normalizeMessage(m){ return window.MessageModel ? window.MessageModel.normalizeMessage(m) : m; }
+  // message text as HTML: formatting, links, cashtags and mentions through the sanitizing formatter (rich-text.js)
+  function formatText(text){ return window.RichText ? window.RichText.toHtml(text) : escapeHtml(text); }
 
   // presence helper (UI-visible)
   window.presenceOf = function(m){
     if(!m) return 'offline';
-    const d = Date.now() - (m.lastActive || 0);
+    const d = clockNow() - (m.lastActive || 0);
     if(d < 90*1000) return 'online';
     if(d < 300*1000) return 'idle';
     return 'offline';
@@ -41,11 +64,15 @@
   };
 
   /* ---------- Typing indicator hook (used by TypingEngine) ---------- */
+  // TypingEngine owns the typing sessions and calls this with the current names ([] hides the row)
+  const TYPING_SAFETY_MS = 45000;
+  let typingSafetyTimer = null;
   window._abrox.showTyping = function(names){
     try{
       const typingRow = document.getElementById('typingRow');
       const typingText = document.getElementById('typingText');
       if(!typingRow || !typingText) return;
+      if(typingSafetyTimer){ (window.VirtualClock || window).clearTimeout(typingSafetyTimer); typingSafetyTimer = null; }
       if(!names || !names.length){
         typingRow.classList.remove('active');
         document.getElementById('membersRow') && document.getElementById('membersRow').classList.remove('hidden');
@@ -54,8 +81,8 @@
       typingText.textContent = names.length === 1 ? `${names[0]} is typing…` : names.length === 2 ? `${names[0]} and ${names[1]} are typing…` : `${names.length} people are typing…`;
       typingRow.classList.add('active');
       document.getElementById('membersRow') && document.getElementById('membersRow').classList.add('hidden');
-      // auto-hide after short random interval (safety)
-      setTimeout(()=>{ typingRow.classList.remove('active'); document.getElementById('membersRow') && document.getElementById('membersRow').classList.remove('hidden'); }, 1000 + Math.random()*1800);
+      // hide if nobody clears it (safety)
+      typingSafetyTimer = (window.VirtualClock || window).setTimeout(()=>{ typingRow.classList.remove('active'); document.getElementById('membersRow') && document.getElementById('membersRow').classList.remove('hidden'); }, TYPING_SAFETY_MS);
     }catch(e){ console.error('showTyping error', e); }
   };
 
@@ -86,64 +113,641 @@
     });
   }
 
-  /* ---------- Message rendering ---------- */
-  function ensureChatScrollToEnd(chatEl){
-    if(!chatEl) return;
-    if(chatEl.scrollTop + chatEl.clientHeight < chatEl.scrollHeight - 60){
-      const unreadBtn = document.getElementById('unreadBtn');
-      if(unreadBtn){
-        unreadBtn.textContent = '⬇ New messages';
-        unreadBtn.style.display = 'block';
-      }
-    } else {
-      chatEl.scrollTop = chatEl.scrollHeight;
+  /* ---------- Message rendering: windowed timeline ---------- */
+  // Every rendered message goes into a session log; only a window of it (at most WINDOW_MAX rows) is in the
+  // DOM. Scrolling near the top renders older log entries, and past the start of the log pages older pool
+  // messages in (in-memory pool or createGeneratorView()); scrolling back down renders newer entries.
+  // Rows leaving the window are recycled for the next rows. Prepending / trimming rows and late height
+  // changes (images, fonts) keep the first visible row in place; at the bottom the chat stays pinned there.
+  const WINDOW_MAX = 160;       // rows in the DOM at most
+  const PAGE_ROWS = 40;         // rows added per scroll step
+  const EDGE_PX = 400;          // load more when this close to the top / bottom
+  const LOG_MAX = 100000;       // session log entries kept (older pool messages can be paged in again)
+  const SPARE_MAX = 60;         // recycled row nodes kept
+
+  // entry: { seq, msg (canonical), day }; rendered rows are rows[i] for log[winStart + i]
+  const log = [];
+  const seqPos = new Map();     // id -> seq of its latest entry (position = seq - log[0].seq)
+  let nextSeq = 0;
+  let winStart = 0, winEnd = 0;
+  let rows = [];
+  const spare = [];
+  let anchor = null;            // { el, top } first visible row, captured on scroll
+  let stuckToBottom = true;     // the newest row is rendered and the chat is scrolled to the bottom
+
+  function chatEl(){ return document.getElementById('chat'); }
+  function dayOf(m){ return new Date(m.time || Date.now()).toDateString(); }
+
+  function nearBottom(chat){ return chat.scrollTop + chat.clientHeight >= chat.scrollHeight - 60; }
+
+  function showUnread(){
+    const unreadBtn = document.getElementById('unreadBtn');
+    if(unreadBtn){
+      unreadBtn.textContent = '⬇ New messages';
+      unreadBtn.style.display = 'block';
     }
   }
 
-  window.renderMessage = function(m, isNew){
-    try{
-      const chat = document.getElementById('chat');
-      if(!chat || !m) return;
-      // date pill when day changes
-      const d = new Date(m.time || Date.now());
-      const day = d.toDateString();
-      if(chat._lastDate !== day){
-        const pill = document.createElement('div');
-        pill.className = 'date-pill';
-        pill.textContent = (day === (new Date()).toDateString() ? 'Today' : day);
-        chat.appendChild(pill);
-        chat._lastDate = day;
-      }
+  function ensureChatScrollToEnd(chat){
+    if(!chat) return;
+    if(!nearBottom(chat)) showUnread();
+    else chat.scrollTop = chat.scrollHeight;
+  }
+
+  function captureAnchor(chat){
+    const top = chat.getBoundingClientRect().top;
+    for(let i=0;i<rows.length;i++){
+      const r = rows[i].getBoundingClientRect();
+      if(r.bottom > top) return { el: rows[i], top: r.top - top };
+    }
+    return null;
+  }
+
+  function restoreAnchor(chat, a){
+    if(!a || !a.el.isConnected) return;
+    chat.scrollTop += (a.el.getBoundingClientRect().top - chat.getBoundingClientRect().top) - a.top;
+  }
 
-      const grouped = false; // placeholder for grouping logic
-      const el = document.createElement('div');
-      el.className = 'msg ' + ((m.out) ? 'out' : 'in') + (grouped ? ' grouped' : '');
-      el.dataset.id = m.id || ('id_' + Math.random().toString(36).slice(2,9));
+  // bubble row for a message (a recycled node when one is spare)
+  function buildRow(m){
+    const el = spare.pop() || document.createElement('div');
+    el.className = 'msg ' + ((m.out) ? 'out' : 'in');
+    el.dataset.id = m.id || ('id_' + Math.random().toString(36).slice(2,9));
+    el._msg = m;
+    el._pill = null;
 
-      const badge = m.role === 'ADMIN' ? '<span class="role-pill admin">ADMIN</span>' : (m.role === 'MOD' ? '<span class="role-pill mod">MOD</span>' : '<span class="verified-bubble" title="Verified"><i data-lucide="award" style="width:12px;height:12px"></i></span>');
-      const avatarHtml = (!m.out) ? `<img class="avatar" src="${escapeHtml(m.avatar||'')}" alt="${escapeHtml(m.displayName||m.name||'')}" loading="lazy">` : '';
+    const badge = m.role === 'ADMIN' ? '<span class="role-pill admin">ADMIN</span>' : (m.role === 'MOD' ? '<span class="role-pill mod">MOD</span>' : '<span class="verified-bubble" title="Verified"><i data-lucide="award" style="width:12px;height:12px"></i></span>');
+    const avatarHtml = (!m.out) ? `<img class="avatar" src="${escapeHtml(m.avatar||'')}" alt="${escapeHtml(m.displayName||m.name||'')}" loading="lazy">` : '';
 
-      el.innerHTML = `${avatarHtml}
-        <div class="bubble" role="article">
+    el.innerHTML = `${avatarHtml}
+        <div class="bubble" role="article" ${bubbleLangAttrs(m)}>
           ${!m.out ? `<div class="sender">${escapeHtml(m.displayName || m.name)} ${badge}</div>` : ''}
-          <div class="content">${m.text}</div>
+          <div class="content">${formatText(m.text)}</div>
           <div class="time"><i data-lucide="eye" class="w-3 h-3"></i> · ${formatTime(m.time || Date.now())}</div>
         </div>`;
+    const bubble = el.querySelector('.bubble');
+    if(m.attachment) bubble.insertBefore(renderAttachment(m), bubble.querySelector('.content'));
+    if(m.replyTo){
+      const quote = renderReplyQuote(m);
+      bubble.insertBefore(quote, bubble.querySelector('.attachment') || bubble.querySelector('.content'));
+    }
+    if(reactions.has(m.id)) renderReactions(el, m.id);
+    attachMessageInteractions(el, m);
+    if(resizeObserver) resizeObserver.observe(el);
+    return el;
+  }
+
+  function releaseRow(el){
+    if(el._pill) el._pill.remove();
+    el.remove();
+    if(resizeObserver) resizeObserver.unobserve(el);
+    el._msg = null;
+    el._pill = null;
+    el.classList.remove('flash');
+    if(spare.length < SPARE_MAX) spare.push(el);
+  }
+
+  function makePill(day){
+    const pill = document.createElement('div');
+    pill.className = 'date-pill';
+    pill.textContent = (day === (new Date()).toDateString() ? 'Today' : day);
+    return pill;
+  }
+
+  /* ---------- Sender grouping ---------- */
+  // Consecutive messages from the same sender within groupThresholdMs form a group: only the first row
+  // shows the avatar and sender line (rows after it get .grouped). Groups break at date pills and at the
+  // top of the rendered window, and are recomputed whenever rows are prepended or removed.
+  let groupThresholdMs = 120000;
+
+  function continuesGroup(prev, m){
+    if(!prev || groupThresholdMs <= 0) return false;
+    const dt = (m.time || 0) - (prev.time || 0);
+    return !!prev.out === !!m.out && prev.name === m.name && dt >= 0 && dt < groupThresholdMs;
+  }
+
+  // the row for log[pos] has a date pill when it starts the window or a new day, and is grouped with
+  // the row above when it continues that sender's group
+  function syncRow(pos){
+    const el = rows[pos - winStart];
+    if(!el) return;
+    const day = log[pos].day;
+    const needs = pos === winStart || log[pos - 1].day !== day;
+    if(needs && !el._pill){
+      el._pill = makePill(day);
+      el.parentNode.insertBefore(el._pill, el);
+    } else if(!needs && el._pill){
+      el._pill.remove();
+      el._pill = null;
+    }
+    el.classList.toggle('grouped', !needs && continuesGroup(log[pos - 1].msg, log[pos].msg));
+  }
+
+  window._abrox.configureGrouping = function(opts){
+    opts = opts || {};
+    if(opts.thresholdMs !== undefined) groupThresholdMs = Math.max(0, Number(opts.thresholdMs) || 0);
+    for(let pos = winStart; pos < winEnd; pos++) syncRow(pos);
+    return { thresholdMs: groupThresholdMs };
+  };
+
+  // rows (with pills and grouping) for log[from, to) as a fragment
+  function renderSpan(from, to){
+    const frag = document.createDocumentFragment();
+    const made = [];
+    for(let pos = from; pos < to; pos++){
+      const e = log[pos];
+      let el;
+      try{ el = buildRow(e.msg); }catch(err){ console.error('renderMessage error', err, e.msg); el = document.createElement('div'); el.className = 'msg'; }
+      if(pos === from || log[pos - 1].day !== e.day){
+        el._pill = makePill(e.day);
+        frag.appendChild(el._pill);
+      } else if(continuesGroup(log[pos - 1].msg, e.msg)){
+        el.classList.add('grouped');
+      }
+      frag.appendChild(el);
+      made.push(el);
+    }
+    return { frag, made };
+  }
+
+  function trimTop(count){
+    const drop = rows.splice(0, count);
+    drop.forEach(releaseRow);
+    winStart += drop.length;
+    syncRow(winStart);
+  }
+
+  function trimBottom(count){
+    const drop = rows.splice(rows.length - count, count);
+    drop.forEach(releaseRow);
+    winEnd -= drop.length;
+  }
+
+  function firstNode(){ return rows.length ? (rows[0]._pill || rows[0]) : null; }
+
+  // replace the rendered window with log[from, to)
+  function renderWindow(from, to){
+    const chat = chatEl();
+    if(!chat) return;
+    rows.forEach(releaseRow);
+    rows = [];
+    winStart = winEnd = from;
+    const { frag, made } = renderSpan(from, to);
+    chat.appendChild(frag);
+    rows = made;
+    winEnd = to;
+    try{ lucide.createIcons(); }catch(e){}
+  }
+
+  // render older log entries above the window; pages older pool messages into the log first when the
+  // window already starts at the beginning of the log
+  function showOlder(){
+    const chat = chatEl();
+    if(!chat) return false;
+    if(winStart === 0 && !pageOlderFromPool(PAGE_ROWS)) return false;
+    const from = Math.max(0, winStart - PAGE_ROWS);
+    const a = captureAnchor(chat);
+    const { frag, made } = renderSpan(from, winStart);
+    const oldStart = winStart;
+    chat.insertBefore(frag, firstNode());
+    rows = made.concat(rows);
+    winStart = from;
+    syncRow(oldStart);
+    if(rows.length > WINDOW_MAX) trimBottom(rows.length - WINDOW_MAX);
+    try{ lucide.createIcons(); }catch(e){}
+    restoreAnchor(chat, a);
+    return true;
+  }
+
+  function showNewer(){
+    const chat = chatEl();
+    if(!chat || winEnd >= log.length) return false;
+    const to = Math.min(log.length, winEnd + PAGE_ROWS);
+    const a = captureAnchor(chat);
+    const { frag, made } = renderSpan(winEnd, to);
+    const oldEnd = winEnd;
+    chat.appendChild(frag);
+    rows = rows.concat(made);
+    winEnd = to;
+    syncRow(oldEnd);
+    if(rows.length > WINDOW_MAX) trimTop(rows.length - WINDOW_MAX);
+    try{ lucide.createIcons(); }catch(e){}
+    restoreAnchor(chat, a);
+    return true;
+  }
+
+  function logEntry(m){
+    const e = { seq: nextSeq++, msg: m, day: dayOf(m) };
+    if(m.id) seqPos.set(m.id, e.seq);
+    return e;
+  }
+
+  function dropOldestEntries(count){
+    if(winStart < count) trimTop(Math.min(rows.length, count - winStart));
+    const dropped = log.splice(0, count);
+    dropped.forEach(e => { if(seqPos.get(e.msg.id) === e.seq) seqPos.delete(e.msg.id); });
+    winStart = Math.max(0, winStart - count);
+    winEnd = Math.max(winStart, winEnd - count);
+  }
 
-      chat.appendChild(el);
+  // prepend older messages (oldest first) to the log; positions of existing entries shift
+  function prependToLog(msgs){
+    if(!msgs.length) return 0;
+    let seq = log.length ? log[0].seq : nextSeq;
+    const entries = msgs.map(m => normalizeMessage(m));
+    const made = [];
+    for(let i = entries.length - 1; i >= 0; i--){
+      const m = entries[i];
+      const e = { seq: --seq, msg: m, day: dayOf(m) };
+      if(m.id && !seqPos.has(m.id)) seqPos.set(m.id, e.seq);
+      made.unshift(e);
+    }
+    Array.prototype.unshift.apply(log, made);
+    winStart += made.length;
+    winEnd += made.length;
+    return made.length;
+  }
+
+  // up to `count` pool messages older than the first log entry
+  function pageOlderFromPool(count){
+    const first = log[0];
+    const index = first ? poolIndexOf(first.msg.id) : -1;
+    if(index <= 0) return false;
+    const start = Math.max(0, index - count);
+    const older = historyRange(start, index - start).filter(m => m && m.id !== first.msg.id);
+    return prependToLog(older) > 0;
+  }
+
+  function positionOf(id){
+    if(!id || !seqPos.has(id) || !log.length) return -1;
+    const pos = seqPos.get(id) - log[0].seq;
+    return pos >= 0 && pos < log.length && log[pos].msg.id === id ? pos : -1;
+  }
+
+  const timeline = {
+    // add a message at the end (the live path behind window.renderMessage)
+    append(m){
+      const chat = chatEl();
+      if(!chat || !m) return;
+      m = normalizeMessage(m);
+      const atEnd = winEnd === log.length;
+      log.push(logEntry(m));
+      if(log.length > LOG_MAX) dropOldestEntries(log.length - LOG_MAX);
+      if(!atEnd){ showUnread(); return; }
+      const stick = nearBottom(chat);
+      const { frag, made } = renderSpan(log.length - 1, log.length);
+      chat.appendChild(frag);
+      rows.push(made[0]);
+      winEnd = log.length;
+      syncRow(winEnd - 1);
+      if(rows.length > WINDOW_MAX){
+        const a = stick ? null : captureAnchor(chat);
+        trimTop(rows.length - WINDOW_MAX);
+        restoreAnchor(chat, a);
+      }
       try{ lucide.createIcons(); }catch(e){}
       ensureChatScrollToEnd(chat);
-      attachMessageInteractions(el, m);
+      stuckToBottom = nearBottom(chat);
+    },
+
+    // replace the log (and the chat) with msgs, showing the newest
+    reset(msgs){
+      rows.forEach(releaseRow);
+      rows = [];
+      log.length = 0;
+      seqPos.clear();
+      winStart = winEnd = 0;
+      (msgs || []).forEach(m => { if(m) log.push(logEntry(normalizeMessage(m))); });
+      timeline.showLatest();
+    },
+
+    // render the newest WINDOW rows and scroll to the bottom
+    showLatest(){
+      const chat = chatEl();
+      if(!chat) return;
+      if(winEnd !== log.length || !rows.length) renderWindow(Math.max(0, log.length - WINDOW_MAX), log.length);
+      chat.scrollTop = chat.scrollHeight;
+    },
+
+    // make sure log[pos] is rendered (re-rendering the window around it if needed); returns its row
+    showPosition(pos){
+      if(pos < 0 || pos >= log.length) return null;
+      if(pos < winStart || pos >= winEnd){
+        const from = clamp(pos - Math.floor(WINDOW_MAX / 2), 0, Math.max(0, log.length - WINDOW_MAX));
+        renderWindow(from, Math.min(log.length, from + WINDOW_MAX));
+      }
+      return rows[pos - winStart] || null;
+    },
+
+    prepend(msgs){ return prependToLog(msgs || []); },
+    positionOf,
+    find(id){ const pos = positionOf(id); return pos >= 0 ? log[pos].msg : null; },
+    firstPoolIndex(){ return log.length ? poolIndexOf(log[0].msg.id) : -1; },
+    showOlder,
+    showNewer,
+    info(){ return { logSize: log.length, winStart, winEnd, rows: rows.length, spare: spare.length }; }
+  };
+
+  // keep the first visible row (or the bottom) in place when rendered rows change height
+  const resizeObserver = typeof ResizeObserver === 'function' ? new ResizeObserver(() => {
+    const chat = chatEl();
+    if(!chat) return;
+    if(stuckToBottom) chat.scrollTop = chat.scrollHeight;
+    else restoreAnchor(chat, anchor);
+  }) : null;
+
+  (function wireTimelineScroll(){
+    const chat = chatEl();
+    if(!chat) return;
+    let scheduled = false;
+    chat.addEventListener('scroll', () => {
+      if(scheduled) return;
+      scheduled = true;
+      requestAnimationFrame(() => {
+        scheduled = false;
+        if(chat.scrollTop < EDGE_PX) showOlder();
+        else if(chat.scrollTop + chat.clientHeight > chat.scrollHeight - EDGE_PX) showNewer();
+        stuckToBottom = winEnd === log.length && nearBottom(chat);
+        anchor = captureAnchor(chat);
+        const unreadBtn = document.getElementById('unreadBtn');
+        if(unreadBtn && stuckToBottom) unreadBtn.style.display = 'none';
+      });
+    }, {passive:true});
+  })();
+
+  window.renderMessage = function(m, isNew){
+    try{
+      timeline.append(m);
     }catch(err){
       console.error('renderMessage error', err, m);
     }
   };
 
+  window._abrox.timeline = timeline;
+
+  /* ---------- Attachments (cards + lightbox) ---------- */
+  // Images are thumbnails; 'chart' images without a url are drawn by ChartCanvas from the message's
+  // token / timeframe. Videos show a chart poster with a play badge, PDFs and other files a tile.
+  // Sizes, page counts and durations are derived from the message so they stay the same on every render.
+  const IMAGE_RE = /\.(png|jpe?g|gif|webp)$/i;
+  const VIDEO_RE = /\.(mp4|webm|mov|m4v)$/i;
+  const THUMB_W = 320, THUMB_H = 180;
+
+  function attachmentKind(a){
+    const f = String((a && a.filename) || '');
+    if(IMAGE_RE.test(f)) return 'image';
+    if(VIDEO_RE.test(f)) return 'video';
+    if(/\.pdf$/i.test(f)) return 'pdf';
+    return 'file';
+  }
+
+  function attachmentSeed(m){
+    const s = String(m.id) + '|' + m.attachment.filename;
+    let h = 2166136261 >>> 0;
+    for(let i=0;i<s.length;i++){ h ^= s.charCodeAt(i); h = Math.imul(h, 16777619) >>> 0; }
+    return h;
+  }
+
+  function fileSizeLabel(bytes){
+    if(bytes < 1024 * 1024) return Math.max(1, Math.round(bytes / 1024)) + ' KB';
+    return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+  }
+
+  // <canvas> chart (or <img> when the attachment has a real url)
+  function attachmentPicture(m, width, height){
+    const a = m.attachment;
+    if(a.url){
+      const img = document.createElement('img');
+      img.src = a.url;
+      img.alt = a.filename;
+      img.loading = 'lazy';
+      return img;
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.setAttribute('role', 'img');
+    canvas.setAttribute('aria-label', [a.token, a.timeframe, 'chart'].filter(Boolean).join(' '));
+    try{ if(window.ChartCanvas) window.ChartCanvas.drawAttachment(canvas, a, m.time); }catch(e){ console.warn('chart attachment', e); }
+    return canvas;
+  }
+
+  function renderAttachment(m){
+    m = normalizeMessage(m);
+    const a = m.attachment;
+    const wrap = document.createElement('div');
+    wrap.className = 'attachment';
+    if(!a) return wrap;
+    const kind = attachmentKind(a);
+    const seed = attachmentSeed(m);
+
+    if(kind === 'image'){
+      const pic = attachmentPicture(m, THUMB_W, THUMB_H);
+      pic.classList.add('attachment-image');
+      pic.addEventListener('click', (ev) => { ev.stopPropagation(); openLightbox(m); });
+      wrap.appendChild(pic);
+      return wrap;
+    }
+
+    if(kind === 'video'){
+      const secs = 12 + seed % 170;
+      const box = document.createElement('div');
+      box.className = 'attachment-video';
+      const pic = attachmentPicture(Object.assign({}, m, { attachment: Object.assign({}, a, { url: '' }) }), THUMB_W, THUMB_H);
+      pic.classList.add('attachment-image');
+      box.appendChild(pic);
+      box.insertAdjacentHTML('beforeend', `<span class="play"><i data-lucide="play"></i></span><span class="duration">${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, '0')}</span>`);
+      box.addEventListener('click', (ev) => { ev.stopPropagation(); openLightbox(m); });
+      wrap.appendChild(box);
+      return wrap;
+    }
+
+    const ext = (a.filename.split('.').pop() || 'file').slice(0, 4).toUpperCase();
+    const bytes = kind === 'pdf' ? 90 * 1024 + seed % (3 * 1024 * 1024) : 4 * 1024 + seed % (800 * 1024);
+    const meta = kind === 'pdf' ? `PDF · ${1 + seed % 14} pages · ${fileSizeLabel(bytes)}` : `${ext} · ${fileSizeLabel(bytes)}`;
+    wrap.innerHTML = `<div class="attachment-tile ${kind}">
+        <div class="file-icon">${escapeHtml(ext)}</div>
+        <div style="min-width:0">
+          <div class="file-name">${escapeHtml(a.filename)}</div>
+          <div class="file-meta">${escapeHtml(meta)}</div>
+        </div>
+      </div>`;
+    return wrap;
+  }
+
+  function openLightbox(m){
+    const box = document.getElementById('lightbox');
+    const body = document.getElementById('lightboxBody');
+    if(!box || !body) return;
+    const a = m.attachment;
+    body.innerHTML = '';
+    // full-size chart at the device pixel ratio so it stays sharp when zoomed
+    const scale = Math.min(2, window.devicePixelRatio || 1);
+    const w = Math.round(Math.min(1280, (window.innerWidth || 960) - 48) * scale);
+    const pic = attachmentPicture(Object.assign({}, m, { attachment: attachmentKind(a) === 'video' ? Object.assign({}, a, { url: '' }) : a }), w, Math.round(w * 9 / 16));
+    body.appendChild(pic);
+    const caption = document.getElementById('lightboxCaption');
+    if(caption) caption.textContent = `${a.filename} · ${m.displayName || m.name} · ${formatTime(m.time)}`;
+    box.classList.remove('hidden');
+    try{ lucide.createIcons(); }catch(e){}
+  }
+
+  function closeLightbox(){
+    const box = document.getElementById('lightbox');
+    if(!box || box.classList.contains('hidden')) return;
+    box.classList.add('hidden');
+    const body = document.getElementById('lightboxBody');
+    if(body) body.innerHTML = '';
+  }
+
+  (function wireLightbox(){
+    const box = document.getElementById('lightbox');
+    if(!box) return;
+    box.addEventListener('click', closeLightbox);
+    document.addEventListener('keydown', (ev) => { if(ev.key === 'Escape') closeLightbox(); });
+  })();
+
+  window._abrox.renderAttachment = renderAttachment;
+  window._abrox.openLightbox = function(m){ try{ openLightbox(normalizeMessage(m)); }catch(e){ console.warn('openLightbox', e); } };
+  window._abrox.closeLightbox = closeLightbox;
+
+  /* ---------- Reply quotes ---------- */
+  // A reply shows the sender and a snippet of the message it answers. The parent is looked up in the
+  // in-memory pool, then generated through a MessagePool generator view (so it resolves even when the
+  // pool is not loaded and the parent is not rendered), then taken from messages sent here.
+  // Clicking the quote jumps to the parent (window._abrox.jumpToMessage).
+  const QUOTE_SNIPPET = 90;
+  const sentMessages = new Map(); // id -> message sent from this page
+  let quoteView = null, quoteViewKey = '';
+
+  // pool index of a message id, or -1
+  function poolIndexOf(id){
+    const MP = window.MessagePool;
+    if(!MP || !id) return -1;
+    if(MP._idIndex && MP._idIndex[id] !== undefined) return MP._idIndex[id];
+    const m = /^msg_(\d+)$/.exec(id);
+    return m ? Number(m[1]) - 1 : -1;
+  }
+
+  // identifies the generated pool MessagePool describes (seed, size, span, packs, ...)
+  function poolKey(){
+    const meta = (window.MessagePool && window.MessagePool.meta) || {};
+    return [meta.seedBase, meta.size, meta.spanDays, meta.endTime, JSON.stringify(meta.packs || null), meta.codeSwitch].join('|');
+  }
+
+  // shared generator view, rebuilt when the pool it describes changes
+  function generatorView(){
+    const MP = window.MessagePool;
+    if(!MP || typeof MP.createGeneratorView !== 'function') return null;
+    const key = poolKey();
+    if(!quoteView || key !== quoteViewKey){
+      quoteView = MP.createGeneratorView({ pageSize: 50, cachePages: 4 });
+      quoteViewKey = key;
+    }
+    return quoteView;
+  }
+
+  function resolveMessage(id){
+    const MP = window.MessagePool;
+    if(!id) return null;
+    try{
+      if(MP && typeof MP.findById === 'function'){
+        const m = MP.findById(id);
+        if(m) return m;
+      }
+      if(MP && !(MP.messages && MP.messages.length) && !(MP.meta && MP.meta.imported)){
+        const index = poolIndexOf(id);
+        const view = index >= 0 ? generatorView() : null;
+        const m = view ? view.get(index) : null;
+        if(m && m.id === id) return m;
+      }
+    }catch(e){ console.warn('resolveMessage', e); }
+    return timeline.find(id) || sentMessages.get(id) || null;
+  }
+
+  function replySnippet(m){
+    let text = String(m.text || '').replace(/\s+/g, ' ').trim();
+    if(!text && m.attachment) text = '📎 ' + m.attachment.filename;
+    return text.length > QUOTE_SNIPPET ? text.slice(0, QUOTE_SNIPPET - 1) + '…' : text;
+  }
+
+  function renderReplyQuote(m){
+    m = normalizeMessage(m);
+    const parent = resolveMessage(m.replyTo);
+    const quote = document.createElement('div');
+    quote.className = 'reply-quote' + (parent ? '' : ' missing');
+    quote.dataset.replyTo = m.replyTo || '';
+    quote.setAttribute('role', 'button');
+    quote.tabIndex = 0;
+    if(parent){
+      const p = normalizeMessage(parent);
+      quote.innerHTML = `<div class="reply-sender">${escapeHtml(p.out ? 'You' : (p.displayName || p.name))}</div>
+        <div class="reply-snippet" ${bubbleLangAttrs(p)}>${escapeHtml(replySnippet(p))}</div>`;
+    } else {
+      quote.innerHTML = `<div class="reply-snippet">Original message not available</div>`;
+    }
+    const go = (ev) => { ev.stopPropagation(); if(parent) window._abrox.jumpToMessage(m.replyTo); };
+    quote.addEventListener('click', go);
+    quote.addEventListener('keydown', (ev) => { if(ev.key === 'Enter') go(ev); });
+    return quote;
+  }
+
+  window._abrox.renderReplyQuote = renderReplyQuote;
+  window._abrox.resolveMessage = resolveMessage;
+  // messages sent outside ui-adapter (the inline composer) register here so replies to them resolve
+  window._abrox.rememberSent = function(m){ if(m && m.id) sentMessages.set(m.id, m); };
+
+  /* ---------- Emoji reactions ---------- */
+  // Reactions live here for the session (they are not part of the message model): id -> Map(emoji -> [names]).
+  // Bubbles show one chip per emoji with its count; the names are in the chip's title.
+  const reactions = new Map();
+
+  function renderReactions(el, id){
+    let box = el.querySelector('.reactions');
+    const byEmoji = reactions.get(id);
+    if(!byEmoji || !byEmoji.size){ if(box) box.remove(); return; }
+    if(!box){
+      box = document.createElement('div');
+      box.className = 'reactions';
+      const bubble = el.querySelector('.bubble');
+      bubble.insertBefore(box, bubble.querySelector('.time'));
+    }
+    box.innerHTML = Array.from(byEmoji.entries()).map(([emoji, names]) =>
+      `<span class="reaction" title="${escapeHtml(names.join(', '))}">${escapeHtml(emoji)}<span class="reaction-count">${names.length}</span></span>`).join('');
+  }
+
+  // add `by`'s reaction to message `id`; false when they already reacted with that emoji
+  window._abrox.addReaction = function(id, emoji, by){
+    if(!id || !emoji) return false;
+    by = String(by || 'Someone');
+    let byEmoji = reactions.get(id);
+    if(!byEmoji){ byEmoji = new Map(); reactions.set(id, byEmoji); }
+    const names = byEmoji.get(emoji) || [];
+    if(names.indexOf(by) !== -1) return false;
+    names.push(by);
+    byEmoji.set(emoji, names);
+    // the row's ResizeObserver keeps the scroll position while the chips grow it
+    const el = rows.find(r => r._msg && r._msg.id === id);
+    if(el) renderReactions(el, id);
+    return true;
+  };
+
+  window._abrox.getReactions = function(id){
+    const byEmoji = reactions.get(id);
+    const out = {};
+    if(byEmoji) byEmoji.forEach((names, emoji) => { out[emoji] = names.slice(); });
+    return out;
+  };
+
   /* ---------- Message interactions (context menu, longpress) ---------- */
+  // rows are recycled by the timeline: listeners are bound once per node and act on the node's current message
   window.attachMessageInteractions = function(domEl, msg){
     if(!domEl) return;
+    if(!domEl._msg) domEl._msg = msg;
+    if(domEl._interactions) return;
+    domEl._interactions = true;
     domEl.addEventListener('contextmenu', (ev) => {
-      ev.preventDefault(); showContextMenuAt(ev.clientX, ev.clientY, msg, domEl);
+      ev.preventDefault(); showContextMenuAt(ev.clientX, ev.clientY, domEl._msg, domEl);
     });
     let touchTimer = null, startX=0, startY=0;
     domEl.addEventListener('touchstart', (ev) => {
@@ -151,7 +755,7 @@
       const t = ev.touches && ev.touches[0];
       if(!t) return;
       startX = t.clientX; startY = t.clientY;
-      touchTimer = setTimeout(() => { showContextMenuAt(t.clientX, t.clientY, msg, domEl); touchTimer = null; }, 520);
+      touchTimer = setTimeout(() => { showContextMenuAt(t.clientX, t.clientY, domEl._msg, domEl); touchTimer = null; }, 520);
     }, {passive:true});
     domEl.addEventListener('touchmove', (ev) => {
       if(!touchTimer) return;
@@ -173,39 +777,235 @@
       menu.style.left = x + 'px';
       menu.style.top = y + 'px';
       menu.style.zIndex = 9999;
-      menu.innerHTML = `<div class=\"menu-item\" data-action=\"reply\">Reply</div><div class=\"menu-item\" data-action=\"pin\">Pin</div>`;
+      const pinned = window._abrox.isPinned(msg.id);
+      menu.innerHTML = `<div class=\"menu-item\" data-action=\"reply\">Reply</div><div class=\"menu-item\" data-action=\"pin\">${pinned ? 'Unpin' : 'Pin'}</div>`;
       document.body.appendChild(menu);
       const rect = menu.getBoundingClientRect();
       if(rect.right > window.innerWidth) menu.style.left = (window.innerWidth - rect.width - 8) + 'px';
       if(rect.bottom > window.innerHeight) menu.style.top = (window.innerHeight - rect.height - 8) + 'px';
       menu.querySelector('[data-action="reply"]').addEventListener('click', ()=>{ menu.remove(); setReplyTo(msg.id); });
-      menu.querySelector('[data-action="pin"]').addEventListener('click', ()=>{ menu.remove(); pinMessage(msg.id); });
+      menu.querySelector('[data-action="pin"]').addEventListener('click', ()=>{ menu.remove(); if(pinned) window.unpinMessage(msg.id); else window.pinMessage(msg.id, { message: msg }); });
       setTimeout(()=>{ document.addEventListener('click', function closer(e){ if(!menu.contains(e.target)){ menu.remove(); document.removeEventListener('click', closer); } }); }, 10);
     }catch(e){ console.warn('showContextMenuAt', e); }
   }
 
-  /* ---------- Pin behavior ---------- */
-  window.pinMessage = function(id){
+  /* ---------- Pinned messages ---------- */
+  // Pins are kept per lounge (MessagePool seed) in localStorage: { pins: [{ id, text, name, time, by, pinnedAt }], unpinned: [id] }.
+  // The pinned list is those pins plus the messages MessagePool generated with pinned: true, ordered by
+  // message time. Like Telegram, the banner starts at the newest pin; clicking it jumps to that message and
+  // moves the banner on to the previous one ("N of M").
+  const PINS_PREFIX = 'abrox.pins.';
+  const PIN_SNIPPET = 200;
+  let pinnedList = [];
+  let pinCursor = -1;
+
+  function pinsKey(){
+    const seed = window.MessagePool && window.MessagePool.meta ? window.MessagePool.meta.seedBase : null;
+    return PINS_PREFIX + (seed !== null && seed !== undefined ? seed : 'default');
+  }
+  // the stored pin state, read once per lounge (and again when another tab changes it)
+  let pinState = null, pinStateKey = '';
+  window.addEventListener('storage', (e) => { if(e.key === pinStateKey) pinState = null; });
+
+  function loadPinState(){
+    const storageKey = pinsKey();
+    if(pinState && pinStateKey === storageKey) return pinState;
+    let state = null;
+    try{ state = JSON.parse(localStorage.getItem(storageKey) || 'null'); }catch(e){}
+    state = state || { pins: [], unpinned: [] };
+    // one-time migration of the old single pin
     try{
-      const el = document.querySelector(`[data-id="${id}"]`);
-      let txt = 'Pinned message';
-      if(el && el.querySelector('.content')) txt = el.querySelector('.content').textContent;
-      const pinnedTextEl = document.getElementById('pinnedText');
-      if(pinnedTextEl) pinnedTextEl.textContent = txt.length > 160 ? txt.slice(0,157) + '...' : txt;
-      const banner = document.getElementById('pinnedBanner');
-      if(banner) banner.classList.remove('hidden');
-      try{ localStorage.setItem('pinned_message_id', id); localStorage.setItem('pinned_message_text', txt); }catch(e){}
-    }catch(e){ console.warn('pinMessage error', e); }
-  };
+      const oldId = localStorage.getItem('pinned_message_id');
+      if(oldId){
+        const m = findMessageForPin(oldId) || { id: oldId, text: localStorage.getItem('pinned_message_text') || '' };
+        if(!state.pins.some(p => p.id === oldId)) state.pins.push(pinEntry(m, null));
+        localStorage.removeItem('pinned_message_id');
+        localStorage.removeItem('pinned_message_text');
+        savePinState(state);
+      }
+    }catch(e){}
+    pinState = state;
+    pinStateKey = storageKey;
+    return state;
+  }
+  function savePinState(state){
+    pinState = state;
+    pinStateKey = pinsKey();
+    try{ localStorage.setItem(pinStateKey, JSON.stringify(state)); }catch(e){ console.warn('pins: could not persist', e); }
+  }
+
+  // message for id from the pool, the generator view or the DOM
+  function findMessageForPin(id){
+    const MP = window.MessagePool;
+    if(MP){
+      const m = typeof MP.findById === 'function' ? MP.findById(id) : null;
+      if(m) return m;
+      const i = Number((/^msg_(\d+)$/.exec(id) || [])[1]) - 1;
+      const view = i >= 0 ? generatorView() : null;
+      if(view) return view.get(i);
+    }
+    if(timeline.find(id)) return timeline.find(id);
+    const el = document.querySelector(`[data-id="${CSS.escape(id)}"]`);
+    if(el) return { id, text: el.querySelector('.content') ? el.querySelector('.content').textContent : '', displayName: el.querySelector('.sender') ? el.querySelector('.sender').textContent.trim() : '', time: 0 };
+    return null;
+  }
+
+  function pinEntry(m, by){
+    const text = String(m.text || (m.attachment ? m.attachment.filename : '') || 'Pinned message');
+    return { id: m.id, text: text.length > PIN_SNIPPET ? text.slice(0, PIN_SNIPPET - 1) + '…' : text, name: m.displayName || m.name || '', time: Number(m.time) || 0, by: by || null, pinnedAt: Date.now() };
+  }
 
-  // unpin handler (wire to UI button if present)
-  (function wireUnpin(){
-    const unpinBtn = document.getElementById('unpinBtn');
-    if(unpinBtn){
-      unpinBtn.addEventListener('click', ()=>{ document.getElementById('pinnedBanner').classList.add('hidden'); try{ localStorage.removeItem('pinned_message_id'); localStorage.removeItem('pinned_message_text'); }catch(e){} });
+  // messages MessagePool generated with pinned: true, searched once per pool (pins and unpins only change the
+  // stored state). While generated history is still being indexed the partial list is used and the pins are
+  // refreshed when indexing is done.
+  let generatedPins = null, generatedPinsKey = '', pinsRefreshQueued = false;
+  function generatedPinEntries(){
+    const MP = window.MessagePool;
+    if(!MP || typeof MP.search !== 'function') return [];
+    const key = poolKey() + '|' + (MP.messages ? MP.messages.length : 0);
+    if(generatedPins && key === generatedPinsKey) return generatedPins;
+    const res = MP.search('', { pinned: true, limit: 1000 });
+    const list = res.results.filter(r => r.message).map(r => pinEntry(r.message, null));
+    if(res.pending){
+      if(!pinsRefreshQueued && typeof MP.whenSearchReady === 'function'){
+        pinsRefreshQueued = true;
+        MP.whenSearchReady().then(done => { pinsRefreshQueued = false; if(done) refreshPins(); });
+      }
+      return list;
     }
+    generatedPins = list;
+    generatedPinsKey = key;
+    return list;
+  }
+
+  // rebuild pinnedList from storage + generated pins; keeps the cursor on the same pin when possible
+  function refreshPins(){
+    const state = loadPinState();
+    const unpinned = new Set(state.unpinned || []);
+    const byId = new Map();
+    try{
+      generatedPinEntries().forEach(p => byId.set(p.id, p));
+    }catch(e){ console.warn('pins: generated pins unavailable', e); }
+    (state.pins || []).forEach(p => byId.set(p.id, p));
+    const currentId = pinnedList[pinCursor] && pinnedList[pinCursor].id;
+    pinnedList = Array.from(byId.values()).filter(p => !unpinned.has(p.id)).sort((a,b) => (a.time - b.time) || (a.pinnedAt - b.pinnedAt));
+    const k = pinnedList.findIndex(p => p.id === currentId);
+    pinCursor = k !== -1 ? k : pinnedList.length - 1;
+    renderPinnedBanner();
+    renderPinnedPanel();
+    return pinnedList;
+  }
+
+  function renderPinnedBanner(){
+    const banner = document.getElementById('pinnedBanner');
+    if(!banner) return;
+    const pin = pinnedList[pinCursor];
+    banner.classList.toggle('hidden', !pin);
+    if(!pin) return;
+    const textEl = document.getElementById('pinnedText');
+    if(textEl) textEl.textContent = pin.text;
+    const counter = document.getElementById('pinnedCounter');
+    if(counter) counter.textContent = pinnedList.length > 1 ? `${pinCursor + 1} of ${pinnedList.length}` : '';
+  }
+
+  function renderPinnedPanel(){
+    const list = document.getElementById('pinnedList');
+    if(!list) return;
+    const title = document.getElementById('pinnedPanelTitle');
+    if(title) title.textContent = pinnedList.length === 1 ? '1 pinned message' : `${pinnedList.length} pinned messages`;
+    list.innerHTML = '';
+    pinnedList.slice().reverse().forEach(p => {
+      const row = document.createElement('div');
+      row.className = 'pinned-item';
+      row.tabIndex = 0;
+      row.innerHTML = `<div class="meta"><span>${escapeHtml(p.name)}</span><span>${p.time ? escapeHtml(new Date(p.time).toLocaleString()) : ''}</span></div>
+        <div class="snippet">${escapeHtml(p.text)}</div>
+        ${p.by ? `<div class="meta">Pinned by ${escapeHtml(p.by)}</div>` : ''}
+        <button class="pinned-unpin" aria-label="Unpin"><i data-lucide="x"></i></button>`;
+      row.addEventListener('click', (e) => {
+        if(e.target.closest('.pinned-unpin')){ window.unpinMessage(p.id); return; }
+        togglePinnedPanel(false);
+        window._abrox.jumpToMessage(p.id);
+      });
+      row.addEventListener('keydown', (e) => { if(e.key === 'Enter'){ togglePinnedPanel(false); window._abrox.jumpToMessage(p.id); } });
+      list.appendChild(row);
+    });
+    try{ lucide.createIcons(); }catch(e){}
+  }
+
+  function togglePinnedPanel(open){
+    const panel = document.getElementById('pinnedPanel');
+    if(!panel) return;
+    if(open === undefined) open = panel.classList.contains('hidden');
+    panel.classList.toggle('hidden', !open);
+    if(open) renderPinnedPanel();
+  }
+
+  // pin a message; opts: { by (who pinned it), message (when the caller has it already) }
+  window.pinMessage = function(id, opts){
+    opts = opts || {};
+    try{
+      const m = opts.message || findMessageForPin(id);
+      if(!m) return false;
+      const state = loadPinState();
+      state.pins = (state.pins || []).filter(p => p.id !== id);
+      state.pins.push(pinEntry(m, opts.by));
+      state.unpinned = (state.unpinned || []).filter(x => x !== id);
+      savePinState(state);
+      const pooled = window.MessagePool && window.MessagePool.findById ? window.MessagePool.findById(id) : null;
+      if(pooled) pooled.pinned = true; // keeps MessagePool.search's pinned facet in step
+      refreshPins();
+      pinCursor = pinnedList.findIndex(p => p.id === id);
+      renderPinnedBanner();
+      return true;
+    }catch(e){ console.warn('pinMessage error', e); return false; }
+  };
+
+  window.unpinMessage = function(id){
+    try{
+      const state = loadPinState();
+      state.pins = (state.pins || []).filter(p => p.id !== id);
+      if((state.unpinned || []).indexOf(id) === -1) (state.unpinned = state.unpinned || []).push(id);
+      savePinState(state);
+      const pooled = window.MessagePool && window.MessagePool.findById ? window.MessagePool.findById(id) : null;
+      if(pooled) pooled.pinned = false;
+      refreshPins();
+      return true;
+    }catch(e){ console.warn('unpinMessage error', e); return false; }
+  };
+
+  window._abrox.isPinned = function(id){ return pinnedList.some(p => p.id === id); };
+
+  (function wirePinnedBanner(){
+    const banner = document.getElementById('pinnedBanner');
+    if(!banner) return;
+    const openCurrent = () => {
+      const pin = pinnedList[pinCursor];
+      if(!pin) return;
+      window._abrox.jumpToMessage(pin.id);
+      // next click shows the previous (older) pin, wrapping to the newest
+      if(pinnedList.length > 1){
+        pinCursor = (pinCursor - 1 + pinnedList.length) % pinnedList.length;
+        renderPinnedBanner();
+      }
+    };
+    banner.addEventListener('click', (e) => {
+      if(e.target.closest('#unpinBtn')){
+        e.stopPropagation();
+        const pin = pinnedList[pinCursor];
+        if(pin) window.unpinMessage(pin.id);
+        return;
+      }
+      if(e.target.closest('#pinnedListBtn')){ e.stopPropagation(); togglePinnedPanel(); return; }
+      openCurrent();
+    });
+    banner.addEventListener('keydown', (e) => { if(e.key === 'Enter' && e.target === banner) openCurrent(); });
+    document.getElementById('pinnedPanelClose')?.addEventListener('click', () => togglePinnedPanel(false));
   })();
 
+  window._abrox.getPinnedMessages = function(){ return pinnedList.slice(); };
+  window._abrox.refreshPins = refreshPins;
+
   /* ---------- Reply preview UI ---------- */
   let replyTargetId = null;
   window.setReplyTo = function(msgId){
@@ -256,7 +1056,7 @@
     if(unreadBtn){
       unreadBtn.addEventListener('click', ()=>{
         const chat = document.getElementById('chat');
-        if(chat){ chat.scrollTop = chat.scrollHeight; unreadBtn.style.display = 'none'; }
+        if(chat){ timeline.showLatest(); unreadBtn.style.display = 'none'; }
       });
     }
 
@@ -267,18 +1067,19 @@
       sendBtn.addEventListener('click', ()=> {
         const txt = (inputEl.value || '').trim();
         if(!txt) return;
-        const m = {
-          id: 'out_' + Date.now(),
+        const m = normalizeMessage({
           name: 'You',
           displayName: 'You',
-          role: 'YOU',
+          role: 'VERIFIED',
           avatar: '',
-          text: escapeHtml(txt),
+          text: txt,
           out: true,
-          time: Date.now(),
+          time: clockNow(),
           replyTo: replyTargetId
-        };
+        });
+        sentMessages.set(m.id, m);
         renderMessage(m, true);
+        try{ window.SimulationEngine && window.SimulationEngine.onLocalSend(m); }catch(e){ console.warn('onLocalSend failed', e); }
         inputEl.value = '';
         clearReplyPreview();
       });
@@ -297,7 +1098,7 @@
     function updateOnlineDisplay(){
       try{
         if(window.SyntheticPeople && typeof window.SyntheticPeople.simulatePresenceStep === 'function'){
-          try{ window.SyntheticPeople.simulatePresenceStep(PRESENCE_OPTS); }catch(e){}
+          try{ window.SyntheticPeople.simulatePresenceStep(Object.assign({ now: clockNow() }, PRESENCE_OPTS)); }catch(e){}
         }
 
         const list = (window.sampleMembers && window.sampleMembers.length) ? window.sampleMembers : (window.SyntheticPeople && Array.isArray(window.SyntheticPeople.people) ? window.SyntheticPeople.people : []);
@@ -311,7 +1112,7 @@
         for(let i=0;i<list.length;i++){
           const p = list[i];
           try{
-            if((window.presenceOf || function(m){ const d = Date.now() - (m.lastActive || 0); if(d < 90*1000) return 'online'; if(d < 300*1000) return 'idle'; return 'offline'; })(p) === 'online') online++;
+            if((window.presenceOf || function(m){ const d = clockNow() - (m.lastActive || 0); if(d < 90*1000) return 'online'; if(d < 300*1000) return 'idle'; return 'offline'; })(p) === 'online') online++;
           }catch(e){}
         }
 
@@ -325,32 +1126,173 @@
       }
     }
 
-    // initial run + interval
-    setTimeout(updateOnlineDisplay, 600);
-    const presenceTicker = setInterval(updateOnlineDisplay, PRESENCE_INTERVAL_MS);
+    // initial run + interval, on the simulation clock
+    const timers = window.VirtualClock || window;
+    timers.setTimeout(updateOnlineDisplay, 600);
+    const presenceTicker = timers.setInterval(updateOnlineDisplay, PRESENCE_INTERVAL_MS);
 
     // expose small control API
     window._abrox.presenceControls = {
-      stop: () => clearInterval(presenceTicker),
+      stop: () => timers.clearInterval(presenceTicker),
       tickNow: updateOnlineDisplay,
       setPercent: (p) => { PRESENCE_OPTS.percent = clamp(Number(p) || 0.01, 0, 1); }
     };
   })();
 
-  /* ---------- Auto-restore pinned message from localStorage ---------- */
-  (function restorePinned(){
-    try{
-      const pid = localStorage.getItem('pinned_message_id');
-      const ptxt = localStorage.getItem('pinned_message_text');
-      if(pid && ptxt){
-        const el = document.getElementById('pinnedText');
-        if(el) el.textContent = ptxt;
-        const banner = document.getElementById('pinnedBanner');
-        if(banner) banner.classList.remove('hidden');
+  /* ---------- Message search panel (MessagePool.search) ---------- */
+  // text with the [start, end) ranges wrapped in <mark>, everything escaped
+  function highlightHtml(text, ranges){
+    text = String(text || '');
+    let html = '', at = 0;
+    (ranges || []).forEach(r => {
+      html += escapeHtml(text.slice(at, r[0])) + '<mark>' + escapeHtml(text.slice(r[0], r[1])) + '</mark>';
+      at = r[1];
+    });
+    return html + escapeHtml(text.slice(at));
+  }
+
+  let searchRerun = false;
+  function runSearch(){
+    const results = document.getElementById('searchResults');
+    const count = document.getElementById('searchCount');
+    if(!results || !window.MessagePool || typeof window.MessagePool.search !== 'function') return;
+    const q = (document.getElementById('searchInput')?.value || '').trim();
+    const opts = { limit: 50 };
+    const role = document.getElementById('searchRole')?.value;
+    const token = (document.getElementById('searchToken')?.value || '').trim();
+    if(role) opts.role = role;
+    if(token) opts.token = token;
+    if(document.getElementById('searchAttachment')?.checked) opts.hasAttachment = true;
+    if(document.getElementById('searchPinned')?.checked) opts.pinned = true;
+    if(!q && Object.keys(opts).length === 1){ results.innerHTML = ''; if(count) count.textContent = ''; return; }
+    let res;
+    try{ res = window.MessagePool.search(q, opts); }catch(e){ console.warn('search failed', e); return; }
+    if(count) count.textContent = res.total.toLocaleString() + (res.total === 1 ? ' result' : ' results') + (res.pending ? ' (indexing…)' : '');
+    // generated history is indexed between tasks: search again once it is done
+    if(res.pending && !searchRerun && typeof window.MessagePool.whenSearchReady === 'function'){
+      searchRerun = true;
+      window.MessagePool.whenSearchReady().then(done => { searchRerun = false; if(done) runSearch(); });
+    }
+    results.innerHTML = '';
+    res.results.forEach(r => {
+      if(!r.message) return;
+      const item = document.createElement('div');
+      item.className = 'search-result';
+      item.setAttribute('role', 'option');
+      item.tabIndex = 0;
+      item.innerHTML = `<div class="meta"><span>${escapeHtml(r.message.displayName || r.message.name || '')}</span><span>${escapeHtml(new Date(r.message.time || 0).toLocaleString())}</span></div>
+        <div class="snippet" ${bubbleLangAttrs(r.message)}>${highlightHtml(r.message.text, r.ranges)}</div>`;
+      const go = () => window._abrox.jumpToMessage(r.id, r.index);
+      item.addEventListener('click', go);
+      item.addEventListener('keydown', (e) => { if(e.key === 'Enter') go(); });
+      results.appendChild(item);
+    });
+  }
+
+  // messages [start, start + count) from the in-memory pool, or the generator view when it is not loaded
+  function historyRange(start, count){
+    const MP = window.MessagePool;
+    if(!MP || count <= 0) return [];
+    if(MP.messages && MP.messages.length) return MP.getRange(start, count);
+    // generator mode: by index, since view pages are aligned to the page grid and not to `start`
+    const view = generatorView();
+    if(!view) return [];
+    const out = [];
+    for(let i = Math.max(0, start); i < start + count; i++){
+      const m = view.get(i);
+      if(!m) break;
+      out.push(m);
+    }
+    return out;
+  }
+
+  // scroll the chat to a message and highlight it. A message in the session log is rendered in place;
+  // otherwise, if it is at most JUMP_FILL messages older than the start of the log, the history in between
+  // is paged into the log; else the log is replaced by the history around it (from the in-memory pool,
+  // or the generator view)
+  const JUMP_CONTEXT = 20;
+  const JUMP_FILL = 400;
+  window._abrox.jumpToMessage = function(id, index){
+    const chat = document.getElementById('chat');
+    if(!chat) return false;
+    let pos = timeline.positionOf(id);
+    if(pos < 0){
+      if(!window.MessagePool) return false;
+      if(index === undefined || index === null) index = poolIndexOf(id);
+      if(!(index >= 0)) return false;
+      const first = timeline.firstPoolIndex();
+      if(first >= 0 && index < first && first - index <= JUMP_FILL){
+        timeline.prepend(historyRange(index, first - index));
+      } else {
+        const start = Math.max(0, index - JUMP_CONTEXT);
+        const around = historyRange(start, index - start + JUMP_CONTEXT + 1);
+        if(!around.length) return false;
+        timeline.reset(around);
       }
-    }catch(e){}
+      pos = timeline.positionOf(id);
+    }
+    const el = timeline.showPosition(pos);
+    if(!el) return false;
+    el.scrollIntoView({ block: 'center' });
+    el.classList.remove('flash');
+    void el.offsetWidth; // restart the animation
+    el.classList.add('flash');
+    return true;
+  };
+
+  (function searchPanel(){
+    const btn = document.getElementById('searchBtn');
+    const panel = document.getElementById('searchPanel');
+    if(!btn || !panel) return;
+    let timer = null;
+    const schedule = () => { clearTimeout(timer); timer = setTimeout(runSearch, 150); };
+    btn.addEventListener('click', () => {
+      const open = panel.classList.toggle('hidden') === false;
+      btn.setAttribute('aria-expanded', String(open));
+      if(open) document.getElementById('searchInput')?.focus();
+    });
+    ['searchInput', 'searchToken'].forEach(id => document.getElementById(id)?.addEventListener('input', schedule));
+    ['searchRole', 'searchAttachment', 'searchPinned'].forEach(id => document.getElementById(id)?.addEventListener('change', runSearch));
+    panel.addEventListener('keydown', (e) => {
+      if(e.key === 'Escape'){ panel.classList.add('hidden'); btn.setAttribute('aria-expanded', 'false'); btn.focus(); }
+    });
+    // a cashtag in a bubble opens the panel filtered to that token
+    document.getElementById('chat')?.addEventListener('click', (e) => {
+      const tag = e.target.closest && e.target.closest('.cashtag');
+      const tokenInput = document.getElementById('searchToken');
+      if(!tag || !tokenInput) return;
+      tokenInput.value = tag.dataset.token || '';
+      panel.classList.remove('hidden');
+      btn.setAttribute('aria-expanded', 'true');
+      runSearch();
+    });
+  })();
+
+  /* ---------- History export (MessagePool.downloadExport) ---------- */
+  (function exportButtons(){
+    const row = document.getElementById('exportRow');
+    if(!row) return;
+    const status = document.getElementById('exportStatus');
+    row.addEventListener('click', async (e) => {
+      const btn = e.target.closest && e.target.closest('[data-export]');
+      if(!btn || !window.MessagePool || typeof window.MessagePool.downloadExport !== 'function') return;
+      const buttons = row.querySelectorAll('[data-export]');
+      buttons.forEach(b => { b.disabled = true; });
+      try{
+        const ok = await window.MessagePool.downloadExport(btn.dataset.export, {
+          onProgress: (done, total) => { if(status) status.textContent = Math.round(done / Math.max(1, total) * 100) + '%'; }
+        });
+        if(status) status.textContent = ok ? '' : 'Export failed';
+      }finally{
+        buttons.forEach(b => { b.disabled = false; });
+      }
+    });
   })();
 
+  /* ---------- Restore pinned messages ---------- */
+  // once the pool exists (MessagePool auto-generates shortly after load)
+  setTimeout(()=>{ try{ refreshPins(); }catch(e){} }, 600);
+
   /* ---------- Demo prefill using generator view when available ---------- */
   // Exposed as window._abrox.prefillFromMessagePool(start = 0, count = 40)
   window._abrox.prefillFromMessagePool = function(start = 0, count = 40){
@@ -363,8 +1305,7 @@
           // expose for debugging
           window._abrox._messagePoolView = gv;
           const page = gv.nextPage(Number(start) || 0);
-          const chat = document.getElementById('chat'); if(chat) chat.innerHTML = '';
-          page.forEach(m => { try{ window.renderMessage(m, false); }catch(e){ console.warn('renderMessage failed for prefill', e); } });
+          timeline.reset(page);
           return page;
         }catch(e){ console.warn('prefillFromMessagePool generatorView failed', e); }
       }
@@ -372,10 +1313,7 @@
       // fallback to getRange if generator view not present
       if(window.MessagePool && typeof window.MessagePool.getRange === 'function'){
         const msgs = window.MessagePool.getRange(Number(start) || 0, Number(count) || 40) || [];
-        const chat = document.getElementById('chat'); if(chat) chat.innerHTML = '';
-        for(let i=0;i<msgs.length;i++){
-          try{ window.renderMessage(msgs[i], false); }catch(e){ console.warn('renderMessage failed for prefill', e); }
-        }
+        timeline.reset(msgs);
         return msgs;
       }
 
@@ -400,10 +1338,7 @@
             const gv = window.MessagePool.createGeneratorView({ pageSize: 40, cachePages: 4 });
             window._abrox._messagePoolView = gv;
             const page = gv.nextPage(0);
-            if(page && page.length){
-              const chat = document.getElementById('chat'); if(chat) chat.innerHTML = '';
-              page.forEach(m => { try{ window.renderMessage(m, false); }catch(e){} });
-            }
+            if(page && page.length) timeline.reset(page);
             return;
           }catch(e){ console.warn('auto prefill generatorView failed', e); }
         }
@@ -412,7 +1347,7 @@
         if(typeof window.MessagePool.getRange === 'function'){
           try{
             const sample = window.MessagePool.getRange(0, 40);
-            if(sample && sample.length){ const chat = document.getElementById('chat'); if(chat) chat.innerHTML = ''; sample.forEach(m => { try{ window.renderMessage(m, false); }catch(e){} }); }
+            if(sample && sample.length) timeline.reset(sample);
           }catch(e){ console.warn('auto prefill failed', e); }
         }
       }
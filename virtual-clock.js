@@ -0,0 +1,202 @@
+// virtual-clock.js
+// Shared clock for the simulation. SimulationEngine, TypingEngine, MessagePool.streamToUI and the presence
+// ticker in ui-adapter.js read the time and set their timers here instead of Date.now() / setTimeout, so a
+// session can be paused, sped up for a demo or stepped through in a test. Include it before those scripts.
+//
+// Modes:
+//   'realtime' (default)  virtual time follows the real clock times speed; starts at the real time
+//   'manual'              time only moves through advance(ms); an hour of simulation runs as fast as its timers
+// Timers fire in order of their virtual due time (ties in the order they were set). advance() fires every timer
+// that falls due on the way, with now() set to each timer's due time while it runs.
+//
+// Public API:
+//   VirtualClock.now()
+//   VirtualClock.setTimeout(fn, ms) / clearTimeout(id) / setInterval(fn, ms) / clearInterval(id)
+//   VirtualClock.pause() / resume() / isPaused()
+//   VirtualClock.setSpeed(n) / getSpeed()          (realtime mode: n virtual ms per real ms)
+//   VirtualClock.advance(ms)                       (any mode: fires the timers due within ms, in order)
+//   VirtualClock.setMode('realtime' | 'manual') / getMode()
+//   VirtualClock.configure({ mode, speed, time })  (time: jump the virtual time, e.g. a fixed start for tests)
+//   VirtualClock.pending()                         -> number of timers set
+
+(function globalVirtualClock(){
+  if(window.VirtualClock) return;
+
+  // real timers, captured before anything can replace them
+  const realSetTimeout = window.setTimeout.bind(window);
+  const realClearTimeout = window.clearTimeout.bind(window);
+  const realNow = () => Date.now();
+
+  const MAX_SPEED = 10000;
+  const MAX_FIRES_PER_ADVANCE = 1000000; // a 0 ms interval would otherwise spin forever
+
+  let mode = 'realtime';
+  let speed = 1;
+  let paused = false;
+  let baseVirtual = realNow();   // virtual time at realAnchor
+  let realAnchor = realNow();
+  let advancing = false;
+
+  // timers sorted by (due, seq)
+  const queue = [];
+  const byId = new Map();
+  let nextId = 1;
+  let seq = 0;
+  let realTimer = null;
+
+  /* ---------- Time ---------- */
+  function frozen(){ return mode === 'manual' || paused || advancing; }
+
+  function now(){
+    if(frozen()) return baseVirtual;
+    return baseVirtual + (realNow() - realAnchor) * speed;
+  }
+
+  // fix the current virtual time as the new base (before changing speed, mode or pause state)
+  function reanchor(){
+    baseVirtual = now();
+    realAnchor = realNow();
+  }
+
+  /* ---------- Timer queue ---------- */
+  function insert(t){
+    let lo = 0, hi = queue.length;
+    while(lo < hi){
+      const mid = (lo + hi) >> 1;
+      const q = queue[mid];
+      if(q.due < t.due || (q.due === t.due && q.seq < t.seq)) lo = mid + 1; else hi = mid;
+    }
+    queue.splice(lo, 0, t);
+  }
+
+  function remove(t){
+    const i = queue.indexOf(t);
+    if(i !== -1) queue.splice(i, 1);
+  }
+
+  function run(t){
+    if(t.interval !== null){
+      t.due += Math.max(1, t.interval);
+      t.seq = seq++;
+      insert(t);
+    } else {
+      byId.delete(t.id);
+    }
+    try{ t.fn.apply(null, t.args); }catch(e){ console.warn('VirtualClock: timer callback failed', e); }
+  }
+
+  // realtime: one real timer for the earliest due virtual timer
+  function schedule(){
+    if(realTimer){ realClearTimeout(realTimer); realTimer = null; }
+    if(frozen() || !queue.length) return;
+    const wait = Math.max(0, (queue[0].due - now()) / speed);
+    realTimer = realSetTimeout(fire, Math.min(wait, 2147483647));
+  }
+
+  function fire(){
+    realTimer = null;
+    if(frozen()) return;
+    const t0 = now();
+    // only the timers due now: the ones they set run on a later turn, like real timers
+    const due = [];
+    for(let i=0; i<queue.length && queue[i].due <= t0; i++) due.push(queue[i]);
+    due.forEach(t => { if(byId.get(t.id) === t && t.due <= t0){ remove(t); run(t); } });
+    schedule();
+  }
+
+  function add(fn, ms, args, interval){
+    if(typeof fn !== 'function') return 0;
+    ms = Math.max(0, Number(ms) || 0);
+    const t = { id: nextId++, due: now() + ms, seq: seq++, fn, args, interval: interval ? ms : null };
+    byId.set(t.id, t);
+    insert(t);
+    if(!advancing && queue[0] === t) schedule();
+    return t.id;
+  }
+
+  function cancel(id){
+    const t = byId.get(id);
+    if(!t) return;
+    byId.delete(id);
+    remove(t);
+  }
+
+  /* ---------- Controls ---------- */
+  // fire every timer due within ms, in order, then leave the time at now + ms
+  function advance(ms){
+    ms = Math.max(0, Number(ms) || 0);
+    if(advancing) return 0;
+    reanchor();
+    const target = baseVirtual + ms;
+    let fired = 0;
+    advancing = true;
+    try{
+      while(queue.length && queue[0].due <= target && fired < MAX_FIRES_PER_ADVANCE){
+        const t = queue.shift();
+        baseVirtual = Math.max(baseVirtual, t.due);
+        run(t);
+        fired++;
+      }
+      if(fired >= MAX_FIRES_PER_ADVANCE) console.warn('VirtualClock.advance: stopped after', fired, 'timers');
+    } finally {
+      advancing = false;
+    }
+    baseVirtual = Math.max(baseVirtual, target);
+    realAnchor = realNow();
+    schedule();
+    return fired;
+  }
+
+  function setMode(m){
+    m = m === 'manual' ? 'manual' : 'realtime';
+    if(m === mode) return mode;
+    reanchor();
+    mode = m;
+    schedule();
+    return mode;
+  }
+
+  function setSpeed(n){
+    n = Number(n);
+    if(!isFinite(n) || n <= 0) return speed;
+    reanchor();
+    speed = Math.min(MAX_SPEED, n);
+    schedule();
+    return speed;
+  }
+
+  window.VirtualClock = {
+    now,
+    setTimeout(fn, ms){ return add(fn, ms, Array.prototype.slice.call(arguments, 2), false); },
+    clearTimeout: cancel,
+    setInterval(fn, ms){ return add(fn, ms, Array.prototype.slice.call(arguments, 2), true); },
+    clearInterval: cancel,
+
+    pause(){ if(!paused){ reanchor(); paused = true; schedule(); } return true; },
+    resume(){ if(paused){ reanchor(); paused = false; schedule(); } return true; },
+    isPaused(){ return paused; },
+
+    setSpeed,
+    getSpeed(){ return speed; },
+    advance,
+    setMode,
+    getMode(){ return mode; },
+
+    configure(opts){
+      opts = opts || {};
+      if(opts.mode !== undefined) setMode(opts.mode);
+      if(opts.speed !== undefined) setSpeed(opts.speed);
+      if(opts.time !== undefined && isFinite(Number(new Date(opts.time)))){
+        // timers keep their remaining delay across the jump
+        const delta = Number(new Date(opts.time)) - now();
+        queue.forEach(t => { t.due += delta; });
+        baseVirtual = now() + delta;
+        realAnchor = realNow();
+        schedule();
+      }
+      return { mode, speed, paused, time: now() };
+    },
+
+    pending(){ return queue.length; }
+  };
+})();